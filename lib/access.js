@@ -0,0 +1,152 @@
+// access.js - Who may use the proxy, and how much
+// The proxy binds to every interface, so on a shared LAN anyone who can reach it could use it as an
+// open proxy. Clients have to come from an allowed address range (ACCESS_ALLOW), can be made to log in
+// with Proxy-Authorization Basic credentials (PROXY_AUTH), can be kept to 2K traffic
+// (ALLOW_OTHER_TRAFFIC: false) and are rate limited per source address (RATE_LIMIT, RATE_LIMIT_BURST).
+
+const crypto = require('crypto');
+const http = require('http');
+const net = require('net');
+const { normalizeAddress } = require('./clients');
+
+const REALM = 'NBA 2K17 Proxy';
+const MAX_BUCKETS = 1000;
+const DENIAL_LOG_INTERVAL = 10 * 1000; // Repeated denials for one address and reason are logged this often
+
+const DENIALS = {
+  address: { statusCode: 403, message: 'address not in ACCESS_ALLOW' },
+  auth: { statusCode: 407, message: 'missing or wrong proxy credentials' },
+  'admin-auth': { statusCode: 401, message: 'missing or wrong credentials for the admin pages' },
+  'other-traffic': { statusCode: 403, message: 'only 2K traffic is proxied (ALLOW_OTHER_TRAFFIC)' },
+  'rate-limit': { statusCode: 429, message: 'rate limit exceeded' }
+};
+
+// "192.168.0.0/16", "fd00::/8" or a single address
+function parseAllowList(entries) {
+  const list = new net.BlockList();
+  for (const entry of entries) {
+    const [address, prefix] = String(entry).trim().split('/');
+    const family = net.isIP(address);
+    const bits = prefix === undefined ? (family === 6 ? 128 : 32) : Number(prefix);
+    if (!family || !Number.isInteger(bits) || bits < 0 || bits > (family === 6 ? 128 : 32)) {
+      throw new Error(`Invalid ACCESS_ALLOW entry "${entry}" (expected an address or CIDR range)`);
+    }
+    list.addSubnet(address, bits, family === 6 ? 'ipv6' : 'ipv4');
+  }
+  return list;
+}
+
+function digest(value) {
+  return crypto.createHash('sha256').update(value).digest();
+}
+
+class AccessControl {
+  // options: { allow, credentials ("user:password" strings), allowOtherTraffic, rateLimit (requests per
+  // second, 0 for none), rateBurst }
+  constructor(options = {}) {
+    this.allowList = parseAllowList(options.allow || []);
+    this.credentials = (options.credentials || []).map((credential) => {
+      if (!String(credential).includes(':')) {
+        throw new Error('PROXY_AUTH entries must be "user:password"');
+      }
+      return digest(String(credential));
+    });
+    this.allowOtherTraffic = options.allowOtherTraffic !== false;
+    this.rateLimit = options.rateLimit || 0;
+    this.rateBurst = Math.max(options.rateBurst || 0, 1);
+    this.buckets = new Map(); // source address -> { tokens, updatedAt }, least recently used first
+    this.denialLog = new Map(); // "address reason" -> { loggedAt, suppressed }
+  }
+
+  allowsAddress(address) {
+    const ip = normalizeAddress(address);
+    const family = net.isIP(ip);
+    return Boolean(family) && this.allowList.check(ip, family === 6 ? 'ipv6' : 'ipv4');
+  }
+
+  // Always true without PROXY_AUTH
+  authenticates(headers, header = 'proxy-authorization') {
+    if (!this.credentials.length) return true;
+    const basic = /^Basic\s+(\S+)/i.exec(headers[header] || '');
+    if (!basic) return false;
+    const given = digest(Buffer.from(basic[1], 'base64').toString('utf8'));
+    return this.credentials.some(expected => crypto.timingSafeEqual(given, expected));
+  }
+
+  // A request or connection, in the order the checks are cheapest and most telling. Requests decrypted
+  // from a tunnel were authenticated at CONNECT, and transparent connections can't send credentials,
+  // so those pass authenticated: true. Returns null when allowed, else a denial.
+  check({ address, headers = {}, intercepted, authenticated = false }) {
+    if (!this.allowsAddress(address)) return this.denial('address');
+    if (!authenticated && !this.authenticates(headers)) return this.denial('auth');
+    if (!intercepted && !this.allowOtherTraffic) return this.denial('other-traffic');
+
+    // By source address: client IDs come from headers the client picks, so a new one per request
+    // would get a fresh bucket every time
+    const retryAfter = this.take(normalizeAddress(address));
+    return retryAfter ? this.denial('rate-limit', retryAfter) : null;
+  }
+
+  // The proxy's own pages (/metrics, /__proxy/...): the same address range and PROXY_AUTH login as
+  // proxied traffic. Fetched directly rather than through the proxy, the login comes as Authorization.
+  checkAdmin({ address, headers = {} }) {
+    if (!this.allowsAddress(address)) return this.denial('address');
+    if (!this.authenticates(headers) && !this.authenticates(headers, 'authorization')) return this.denial('admin-auth');
+    return null;
+  }
+
+  // Token bucket per source address: RATE_LIMIT_BURST requests at once, refilled at RATE_LIMIT per
+  // second. Returns 0 when the request may go ahead, else the seconds until it could.
+  take(key, now = Date.now()) {
+    if (!this.rateLimit) return 0;
+
+    let bucket = this.buckets.get(key);
+    if (bucket) {
+      this.buckets.delete(key);
+      bucket.tokens = Math.min(this.rateBurst, bucket.tokens + ((now - bucket.updatedAt) / 1000) * this.rateLimit);
+    } else {
+      bucket = { tokens: this.rateBurst };
+    }
+    bucket.updatedAt = now;
+    this.buckets.set(key, bucket);
+    if (this.buckets.size > MAX_BUCKETS) this.buckets.delete(this.buckets.keys().next().value);
+
+    if (bucket.tokens < 1) return Math.ceil((1 - bucket.tokens) / this.rateLimit);
+    bucket.tokens -= 1;
+    return 0;
+  }
+
+  denial(reason, retryAfter = null) {
+    const { statusCode, message } = DENIALS[reason];
+    const headers = { 'Content-Type': 'text/plain' };
+    if (statusCode === 407) headers['Proxy-Authenticate'] = `Basic realm="${REALM}"`;
+    if (statusCode === 401) headers['WWW-Authenticate'] = `Basic realm="${REALM}"`;
+    if (retryAfter) headers['Retry-After'] = String(retryAfter);
+    return { reason, statusCode, message, headers };
+  }
+
+  // The raw answer for a CONNECT or another socket no HTTP response exists for
+  rawResponse(denial) {
+    const headers = Object.entries(denial.headers).map(([name, value]) => `${name}: ${value}\r\n`).join('');
+    return `HTTP/1.1 ${denial.statusCode} ${http.STATUS_CODES[denial.statusCode]}\r\n${headers}Content-Length: 0\r\n\r\n`;
+  }
+
+  // Whether to log this denial, so a client hammering the proxy can't flood the logs. Returns null to
+  // stay quiet, else how many denials went unlogged since the last one.
+  shouldLog(address, reason, now = Date.now()) {
+    const key = `${normalizeAddress(address)} ${reason}`;
+    const entry = this.denialLog.get(key);
+    if (entry && now - entry.loggedAt < DENIAL_LOG_INTERVAL) {
+      entry.suppressed++;
+      return null;
+    }
+
+    const suppressed = entry ? entry.suppressed : 0;
+    this.denialLog.delete(key);
+    this.denialLog.set(key, { loggedAt: now, suppressed: 0 });
+    if (this.denialLog.size > MAX_BUCKETS) this.denialLog.delete(this.denialLog.keys().next().value);
+    return suppressed;
+  }
+}
+
+module.exports = { AccessControl, DENIALS, parseAllowList };
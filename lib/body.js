@@ -0,0 +1,116 @@
+// body.js - Binary-safe message bodies
+// Bodies are always Buffers; compressed ones are decoded for inspection and re-encoded with the
+// same content-encoding when something changed them
+
+const zlib = require('zlib');
+
+// Largest a compressed body may inflate to unless told otherwise (MAX_DECODED_BODY)
+const MAX_DECODED_SIZE = 8 * 1024 * 1024;
+
+// decode(buffer, options) takes zlib options, i.e. maxOutputLength; past it zlib throws a RangeError
+const CODECS = {
+  gzip: { decode: zlib.gunzipSync, encode: zlib.gzipSync },
+  'x-gzip': { decode: zlib.gunzipSync, encode: zlib.gzipSync },
+  deflate: { decode: inflate, encode: zlib.deflateSync },
+  br: { decode: zlib.brotliDecompressSync, encode: zlib.brotliCompressSync },
+  identity: { decode: buffer => buffer, encode: buffer => buffer }
+};
+
+// Some servers send raw deflate without the zlib wrapper
+function inflate(buffer, options) {
+  try {
+    return zlib.inflateSync(buffer, options);
+  } catch (err) {
+    if (err.code === 'ERR_BUFFER_TOO_LARGE') throw err;
+    return zlib.inflateRawSync(buffer, options);
+  }
+}
+
+// "gzip, br" means gzip was applied first, so undo them in reverse
+function parseEncodings(contentEncoding) {
+  return String(contentEncoding || '')
+    .split(',')
+    .map(encoding => encoding.trim().toLowerCase())
+    .filter(Boolean);
+}
+
+// Throws when an encoding is unknown or the body would inflate past maxOutputLength bytes,
+// so a small compressed body can't be turned into gigabytes in memory
+function decodeContent(buffer, contentEncoding, maxOutputLength = MAX_DECODED_SIZE) {
+  return parseEncodings(contentEncoding).reverse().reduce((data, encoding) => {
+    const codec = CODECS[encoding];
+    if (!codec) throw new Error(`Unsupported content-encoding "${encoding}"`);
+    return codec.decode(data, { maxOutputLength });
+  }, buffer);
+}
+
+function encodeContent(buffer, contentEncoding) {
+  return parseEncodings(contentEncoding).reduce((data, encoding) => {
+    const codec = CODECS[encoding];
+    if (!codec) throw new Error(`Unsupported content-encoding "${encoding}"`);
+    return codec.encode(data);
+  }, buffer);
+}
+
+function toBuffer(body) {
+  if (Buffer.isBuffer(body)) return body;
+  if (body === undefined || body === null) return Buffer.alloc(0);
+  return Buffer.from(typeof body === 'string' ? body : String(body));
+}
+
+// Body is sent whole, so give it an exact length instead of chunked framing
+function setBodyLength(headers, body) {
+  for (const name of Object.keys(headers)) {
+    if (name.toLowerCase() === 'transfer-encoding' || name.toLowerCase() === 'content-length') {
+      delete headers[name];
+    }
+  }
+  headers['content-length'] = String(body.length);
+  return headers;
+}
+
+function collectBody(stream) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    stream.on('data', chunk => chunks.push(chunk));
+    stream.on('end', () => resolve(Buffer.concat(chunks)));
+    stream.on('error', reject);
+  });
+}
+
+// Keeps a copy of a streamed body: the first `previewLimit` bytes for logging, or all of it when `keepAll`
+class BodyTap {
+  constructor(options = {}) {
+    this.previewLimit = options.previewLimit || 64 * 1024;
+    this.keepAll = Boolean(options.keepAll);
+    this.chunks = [];
+    this.kept = 0;
+    this.size = 0;
+  }
+
+  push(chunk) {
+    this.size += chunk.length;
+    if (this.keepAll || this.kept < this.previewLimit) {
+      this.chunks.push(chunk);
+      this.kept += chunk.length;
+    }
+  }
+
+  get complete() {
+    return this.kept === this.size;
+  }
+
+  get body() {
+    return Buffer.concat(this.chunks);
+  }
+}
+
+module.exports = {
+  MAX_DECODED_SIZE,
+  BodyTap,
+  collectBody,
+  decodeContent,
+  encodeContent,
+  setBodyLength,
+  toBuffer
+};
@@ -0,0 +1,300 @@
+// breakpoints.js - Pause matching requests/responses so they can be inspected and edited by hand
+// Paused messages are released through the dashboard's admin API or the terminal prompt, and
+// auto-resume unchanged after a timeout so the game never waits forever
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const readline = require('readline');
+const { spawn } = require('child_process');
+const { EventEmitter } = require('events');
+const { globToRegex } = require('./rules');
+const { encodeBody, decodeBody } = require('./recorder');
+const { setBodyLength } = require('./body');
+
+const PHASES = ['request', 'response', 'both'];
+
+// What can be changed while a message is paused
+const EDITABLE = {
+  request: ['path', 'headers', 'body'],
+  response: ['statusCode', 'headers', 'body']
+};
+
+class Breakpoint {
+  // A plain string is a path glob that breaks on both phases
+  constructor(definition, id) {
+    const spec = typeof definition === 'string' ? { path: definition } : definition;
+
+    this.id = id;
+    this.phase = spec.phase || 'both';
+    this.host = spec.host || null;
+    this.path = spec.path || null;
+    this.method = spec.method ? spec.method.toUpperCase() : null;
+    this.hits = 0;
+
+    if (!PHASES.includes(this.phase)) {
+      throw new Error(`Breakpoint phase must be one of ${PHASES.join(', ')}`);
+    }
+    this.hostRegex = this.host ? globToRegex(this.host) : null;
+    this.pathRegex = this.path ? globToRegex(this.path) : null;
+  }
+
+  matches(phase, context) {
+    if (this.phase !== 'both' && this.phase !== phase) return false;
+    if (this.method && this.method !== context.method) return false;
+    if (this.hostRegex && !this.hostRegex.test(context.host)) return false;
+    if (this.pathRegex && !this.pathRegex.test(context.path.split('?')[0])) return false;
+    return true;
+  }
+
+  toJSON() {
+    return { id: this.id, phase: this.phase, host: this.host, path: this.path, method: this.method, hits: this.hits };
+  }
+}
+
+class BreakpointManager extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.timeout = options.timeout || 30000;
+    this.logger = options.logger;
+    this.breakpoints = [];
+    this.paused = new Map();
+    this.nextId = 1;
+  }
+
+  add(definition) {
+    const breakpoint = new Breakpoint(definition, this.nextId++);
+    this.breakpoints.push(breakpoint);
+    this.emit('changed');
+    return breakpoint;
+  }
+
+  remove(id) {
+    const index = this.breakpoints.findIndex(breakpoint => breakpoint.id === Number(id));
+    if (index === -1) return false;
+    this.breakpoints.splice(index, 1);
+    this.emit('changed');
+    return true;
+  }
+
+  list() {
+    return this.breakpoints.map(breakpoint => breakpoint.toJSON());
+  }
+
+  pending() {
+    return Array.from(this.paused.values()).map(entry => this.describe(entry));
+  }
+
+  describe(entry) {
+    const message = {};
+    for (const field of EDITABLE[entry.phase]) {
+      message[field] = entry.message[field];
+    }
+    const body = message.body;
+    return {
+      id: entry.id,
+      requestId: entry.requestId,
+      phase: entry.phase,
+      breakpointId: entry.breakpointId,
+      ...entry.context,
+      pausedAt: entry.pausedAt,
+      expiresAt: entry.expiresAt,
+      message: { ...message, ...encodeBody(Buffer.isBuffer(body) ? body : Buffer.from(body || '')) }
+    };
+  }
+
+  wouldPause(phase, context) {
+    return this.breakpoints.some(breakpoint => breakpoint.matches(phase, context));
+  }
+
+  // Resolves with the (possibly edited) message, or null when it is dropped
+  pause(requestId, phase, context, message) {
+    const breakpoint = this.breakpoints.find(bp => bp.matches(phase, context));
+    if (!breakpoint) return Promise.resolve(message);
+
+    breakpoint.hits++;
+    return new Promise((resolve) => {
+      const entry = {
+        id: `${requestId}-${phase}`,
+        requestId,
+        phase,
+        breakpointId: breakpoint.id,
+        context,
+        message,
+        pausedAt: Date.now(),
+        expiresAt: Date.now() + this.timeout,
+        resolve
+      };
+
+      entry.timer = setTimeout(() => {
+        this.logger.log('WARN', `[${requestId}] Breakpoint timed out after ${this.timeout}ms, resuming ${phase} unchanged`);
+        this.settle(entry, 'timeout', message);
+      }, this.timeout);
+
+      this.paused.set(entry.id, entry);
+      this.logger.log('INFO', `[${requestId}] ⏸️ Paused ${phase} ${context.method} ${context.host}${context.path} at breakpoint #${breakpoint.id}`);
+      this.emit('paused', this.describe(entry));
+    });
+  }
+
+  // edits: any of the phase's editable fields; body is text unless encoding is 'base64'
+  resume(id, edits = {}) {
+    const entry = this.paused.get(id);
+    if (!entry) return false;
+
+    const { message } = entry;
+    const current = this.describe(entry).message;
+    const changed = EDITABLE[entry.phase].filter((field) => {
+      if (edits[field] === undefined) return false;
+      if (field === 'body') {
+        return edits.body !== current.body || (edits.encoding || 'utf8') !== current.encoding;
+      }
+      return JSON.stringify(edits[field]) !== JSON.stringify(current[field]);
+    });
+    for (const field of changed) {
+      message[field] = field === 'body' ? decodeBody(edits.body, edits.encoding) : edits[field];
+    }
+    if (changed.includes('body')) {
+      message.headers = setBodyLength({ ...message.headers }, message.body);
+    }
+
+    this.logger.log('INFO', `[${entry.requestId}] ▶️ Resumed ${entry.phase}${changed.length ? ` with edited ${changed.join(', ')}` : ''}`);
+    this.settle(entry, changed.length ? 'edited' : 'continued', message);
+    return true;
+  }
+
+  drop(id) {
+    const entry = this.paused.get(id);
+    if (!entry) return false;
+
+    this.logger.log('INFO', `[${entry.requestId}] 🗑️ Dropped ${entry.phase} at breakpoint`);
+    this.settle(entry, 'dropped', null);
+    return true;
+  }
+
+  settle(entry, outcome, result) {
+    clearTimeout(entry.timer);
+    this.paused.delete(entry.id);
+    this.emit('resumed', { id: entry.id, requestId: entry.requestId, outcome });
+    entry.resolve(result);
+  }
+
+  // Let everything through, e.g. on shutdown
+  releaseAll() {
+    for (const entry of this.paused.values()) {
+      this.settle(entry, 'continued', entry.message);
+    }
+  }
+}
+
+// Handles paused messages one at a time from the terminal: continue, edit in $EDITOR, drop or show
+class TerminalPrompt {
+  // options: { logger } whose console output is held back while the editor is open
+  constructor(manager, options = {}) {
+    this.manager = manager;
+    this.logger = options.logger || null;
+    this.queue = [];
+    this.active = null;
+    this.editing = null; // The prompt's own lines, kept back like the logger's while the editor is open
+    this.rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+    // readline swallows Ctrl+C, so pass it on to the shutdown handler
+    this.rl.on('SIGINT', () => process.emit('SIGINT'));
+    this.rl.on('line', line => this.handleLine(line.trim().toLowerCase()));
+
+    manager.on('paused', (paused) => {
+      this.queue.push(paused);
+      if (!this.active) this.next();
+    });
+    manager.on('resumed', ({ id, outcome }) => {
+      this.queue = this.queue.filter(paused => paused.id !== id);
+      if (this.active && this.active.id === id) {
+        if (this.handled !== id) this.say(`   (${id} ${outcome} elsewhere)`);
+        this.next();
+      }
+    });
+  }
+
+  next() {
+    this.active = this.queue.shift() || null;
+    this.handled = null;
+    if (!this.active) return;
+
+    const { id, phase, method, host, path: requestPath, expiresAt } = this.active;
+    const seconds = Math.max(0, Math.round((expiresAt - Date.now()) / 1000));
+    this.say(`\n⏸️  ${id}: ${phase} ${method} ${host}${requestPath} (auto-resumes in ${seconds}s)`);
+    this.say('   [c] continue  [e] edit in $EDITOR  [d] drop  [s] show');
+  }
+
+  say(line) {
+    if (this.editing) {
+      this.editing.push(line);
+    } else {
+      console.log(line);
+    }
+  }
+
+  handleLine(answer) {
+    if (!this.active) return;
+    const { id } = this.active;
+
+    switch (answer) {
+      case 'c':
+      case '':
+        this.handled = id;
+        this.manager.resume(id);
+        break;
+      case 'd':
+        this.handled = id;
+        this.manager.drop(id);
+        break;
+      case 's':
+        console.log(JSON.stringify(this.active.message, null, 2));
+        break;
+      case 'e':
+        this.edit(id);
+        break;
+      default:
+        console.log('   [c] continue  [e] edit in $EDITOR  [d] drop  [s] show');
+    }
+  }
+
+  // Runs the editor without blocking, so other traffic keeps flowing while the message is edited
+  edit(id) {
+    const file = path.join(os.tmpdir(), `breakpoint-${id}.json`);
+    fs.writeFileSync(file, JSON.stringify(this.active.message, null, 2));
+
+    const editor = process.env.VISUAL || process.env.EDITOR || (process.platform === 'win32' ? 'notepad' : 'vi');
+    this.rl.pause();
+    this.editing = [];
+    if (this.logger) this.logger.holdConsole();
+    return new Promise((resolve) => {
+      const child = spawn(editor, [file], { stdio: 'inherit', shell: process.platform === 'win32' });
+      child.on('error', err => resolve(err));
+      child.on('exit', () => resolve(null));
+    }).then((error) => {
+      const held = this.editing;
+      this.editing = null;
+      if (this.logger) this.logger.releaseConsole();
+      held.forEach(line => console.log(line));
+      this.rl.resume();
+      try {
+        if (error) throw error;
+        const edits = JSON.parse(fs.readFileSync(file, 'utf8'));
+        this.handled = id;
+        if (!this.manager.resume(id, edits)) {
+          console.log(`   ${id} was already resumed`);
+        }
+      } catch (err) {
+        console.log(`   Edit failed: ${err.message}`);
+      } finally {
+        fs.rmSync(file, { force: true });
+      }
+    });
+  }
+
+  close() {
+    this.rl.close();
+  }
+}
+
+module.exports = { BreakpointManager, Breakpoint, TerminalPrompt };
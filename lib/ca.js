@@ -0,0 +1,167 @@
+// ca.js - Local certificate authority for HTTPS interception
+// Owns a root CA generated on first run and mints per-hostname leaf certificates on demand
+
+const { execFile } = require('child_process');
+const crypto = require('crypto');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const tls = require('tls');
+const { promisify } = require('util');
+
+const execFileAsync = promisify(execFile);
+
+const CA_SUBJECT = '/CN=NBA 2K17 Local Proxy CA/O=NBA 2K17 Local Server';
+const CA_DAYS = 3650;
+const LEAF_DAYS = 825; // Longest validity most TLS clients still accept
+
+class CertificateAuthority {
+  constructor(certDir, opensslPath = 'openssl') {
+    this.certDir = certDir;
+    this.hostsDir = path.join(certDir, 'hosts');
+    this.caKeyPath = path.join(certDir, 'ca-key.pem');
+    this.caCertPath = path.join(certDir, 'ca.pem');
+    this.leafKeyPath = path.join(certDir, 'leaf-key.pem');
+    this.openssl = opensslPath;
+    this.contexts = new Map();
+  }
+
+  async runOpenssl(args) {
+    try {
+      const { stdout } = await execFileAsync(this.openssl, args);
+      return stdout;
+    } catch (err) {
+      throw new Error(`openssl ${args[0]} failed: ${(err.stderr || err.message).toString().trim()}`);
+    }
+  }
+
+  // Generate the root CA unless one already exists on disk
+  async ensureCA() {
+    if (fs.existsSync(this.caKeyPath) && fs.existsSync(this.caCertPath)) {
+      this.loadCA();
+      return false;
+    }
+    await this.generateCA();
+    return true;
+  }
+
+  async generateCA() {
+    fs.mkdirSync(this.hostsDir, { recursive: true });
+
+    await this.runOpenssl([
+      'req', '-x509', '-new', '-newkey', 'rsa:2048', '-nodes', '-sha256',
+      '-keyout', this.caKeyPath,
+      '-out', this.caCertPath,
+      '-days', String(CA_DAYS),
+      '-subj', CA_SUBJECT,
+      '-addext', 'basicConstraints=critical,CA:TRUE',
+      '-addext', 'keyUsage=critical,keyCertSign,cRLSign',
+      '-addext', 'subjectKeyIdentifier=hash'
+    ]);
+    fs.chmodSync(this.caKeyPath, 0o600);
+
+    // Leaf certificates share one key; they are only ever trusted through this CA
+    await this.runOpenssl(['genrsa', '-out', this.leafKeyPath, '2048']);
+    fs.chmodSync(this.leafKeyPath, 0o600);
+
+    // Certificates signed by the previous CA are no longer valid
+    for (const file of fs.readdirSync(this.hostsDir)) {
+      fs.unlinkSync(path.join(this.hostsDir, file));
+    }
+    this.contexts.clear();
+    this.loadCA();
+  }
+
+  loadCA() {
+    this.caCert = new crypto.X509Certificate(fs.readFileSync(this.caCertPath));
+    this.leafKey = fs.readFileSync(this.leafKeyPath);
+  }
+
+  getFingerprint() {
+    return this.caCert.fingerprint256;
+  }
+
+  // Copy the CA certificate somewhere the user can install it from
+  exportCA(destination) {
+    fs.copyFileSync(this.caCertPath, destination);
+    return destination;
+  }
+
+  // Reuse a leaf from disk as long as the current CA issued it and it has not expired
+  loadCachedLeaf(certPath) {
+    if (!fs.existsSync(certPath)) return null;
+
+    const pem = fs.readFileSync(certPath);
+    const cert = new crypto.X509Certificate(pem);
+    const valid = cert.checkIssued(this.caCert) &&
+      cert.verify(this.caCert.publicKey) &&
+      new Date(cert.validTo) > new Date();
+
+    return valid ? pem : null;
+  }
+
+  async mintLeaf(hostname) {
+    const certPath = path.join(this.hostsDir, `${hostname.replace(/[^A-Za-z0-9.-]/g, '_')}.pem`);
+    const cached = this.loadCachedLeaf(certPath);
+    if (cached) return cached;
+
+    const san = net.isIP(hostname) ? `IP:${hostname}` : `DNS:${hostname}`;
+    const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'nba2k17-ca-'));
+    const csrPath = path.join(tmpDir, 'leaf.csr');
+    const extPath = path.join(tmpDir, 'leaf.ext');
+
+    fs.writeFileSync(extPath, [
+      `subjectAltName=${san}`,
+      'basicConstraints=CA:FALSE',
+      'keyUsage=critical,digitalSignature,keyEncipherment',
+      'extendedKeyUsage=serverAuth',
+      'authorityKeyIdentifier=keyid'
+    ].join('\n'));
+
+    try {
+      await this.runOpenssl(['req', '-new', '-key', this.leafKeyPath, '-out', csrPath, '-subj', `/CN=${hostname}`]);
+      await this.runOpenssl([
+        'x509', '-req', '-sha256',
+        '-in', csrPath,
+        '-CA', this.caCertPath,
+        '-CAkey', this.caKeyPath,
+        '-set_serial', '0x' + crypto.randomBytes(16).toString('hex'),
+        '-days', String(LEAF_DAYS),
+        '-extfile', extPath,
+        '-out', certPath
+      ]);
+    } finally {
+      fs.rmSync(tmpDir, { recursive: true, force: true });
+    }
+
+    return fs.readFileSync(certPath);
+  }
+
+  // TLS context for a hostname, minted once and cached for the life of the process
+  getSecureContext(hostname) {
+    const key = hostname.toLowerCase();
+
+    if (!this.contexts.has(key)) {
+      const pending = this.mintLeaf(key).then(cert => tls.createSecureContext({
+        key: this.leafKey,
+        cert: Buffer.concat([cert, Buffer.from('\n'), fs.readFileSync(this.caCertPath)])
+      }));
+
+      // Do not cache failures so the next handshake retries
+      pending.catch(() => this.contexts.delete(key));
+      this.contexts.set(key, pending);
+    }
+
+    return this.contexts.get(key);
+  }
+
+  // SNICallback for tls/https servers
+  sniCallback() {
+    return (servername, callback) => {
+      this.getSecureContext(servername).then(ctx => callback(null, ctx), callback);
+    };
+  }
+}
+
+module.exports = { CertificateAuthority };
@@ -0,0 +1,171 @@
+// clients.js - Tell apart the consoles and PCs sharing one proxy
+// Each request is attributed to a client: a configured profile (CLIENTS) matched by source IP or device
+// header, else a session token seen earlier for a known client, else the device header, else the IP.
+// The client ID tags request IDs (so every log line and capture), and a profile can route its client
+// differently from the rest: its own mode, replay file, fallback, rules and capture.
+
+const { MODES } = require('./config');
+const { globToRegex } = require('./rules');
+const { getSessionToken } = require('./sessions');
+
+const MAX_CLIENTS = 500;
+const MAX_SESSIONS = 2000;
+
+const PROFILE_KEYS = ['id', 'match', 'mode', 'replayFile', 'fallbackToLocal', 'modifications', 'capture'];
+
+// IPv4 clients show up as ::ffff:a.b.c.d on dual-stack sockets
+function normalizeAddress(address) {
+  return address ? String(address).replace(/^::ffff:/, '') : null;
+}
+
+// Device IDs end up in request IDs and log lines
+function cleanId(value) {
+  return String(value).trim().replace(/[^A-Za-z0-9._:-]/g, '_').substring(0, 48);
+}
+
+// Where a client's 2K traffic goes; defaults: { mode, replayFile, fallbackToLocal, modifications, capture }
+function buildRouting(profile, defaults) {
+  const mode = profile.mode || defaults.mode;
+  const replays = mode === 'replay' || mode === 'hybrid';
+  const routing = {
+    mode,
+    replayFile: replays ? profile.replayFile || defaults.replayFile || null : null,
+    fallbackToLocal: profile.fallbackToLocal !== undefined
+      ? Boolean(profile.fallbackToLocal)
+      : defaults.fallbackToLocal || mode === 'hybrid',
+    modifications: profile.modifications !== undefined ? Boolean(profile.modifications) : defaults.modifications,
+    capture: profile.capture !== undefined ? Boolean(profile.capture) : defaults.capture || mode === 'record'
+  };
+  if (mode === 'replay' && !routing.replayFile) {
+    throw new Error(`Client "${profile.id}": replay mode needs a replayFile (or REPLAY_FILE)`);
+  }
+  return routing;
+}
+
+class ClientProfile {
+  constructor(definition, index, defaults) {
+    if (!definition || typeof definition !== 'object' || Array.isArray(definition)) {
+      throw new Error(`CLIENTS[${index}] must be an object`);
+    }
+    const unknown = Object.keys(definition).filter(key => !PROFILE_KEYS.includes(key));
+    if (unknown.length) {
+      throw new Error(`CLIENTS[${index}]: unknown keys ${unknown.join(', ')}`);
+    }
+    if (!definition.id || cleanId(definition.id) !== String(definition.id)) {
+      throw new Error(`CLIENTS[${index}]: needs an id of letters, digits, ".", "_", ":" or "-"`);
+    }
+    if (definition.mode && !MODES.includes(definition.mode)) {
+      throw new Error(`Client "${definition.id}": unknown mode "${definition.mode}" (expected ${MODES.join(', ')})`);
+    }
+
+    const match = definition.match || {};
+    this.id = definition.id;
+    this.ips = match.ip ? [].concat(match.ip).map(globToRegex) : null;
+    this.devices = match.device ? [].concat(match.device).map(globToRegex) : null;
+    if (!this.ips && !this.devices) {
+      throw new Error(`Client "${this.id}": match needs an ip or device`);
+    }
+    this.routing = buildRouting(definition, defaults);
+  }
+
+  // Every condition given has to hold
+  matches({ ip, device }) {
+    if (this.ips && !(ip && this.ips.some(re => re.test(ip)))) return false;
+    if (this.devices && !(device && this.devices.some(re => re.test(device)))) return false;
+    return true;
+  }
+}
+
+class ClientRegistry {
+  // options: { deviceHeaders, defaults } with defaults as for buildRouting
+  constructor(profiles = [], options = {}) {
+    this.deviceHeaders = (options.deviceHeaders || []).map(name => name.toLowerCase());
+    const defaults = options.defaults || {};
+    this.defaultRouting = buildRouting({ id: 'default' }, defaults);
+    this.profiles = profiles.map((definition, i) => new ClientProfile(definition, i, defaults));
+
+    const ids = new Set();
+    for (const profile of this.profiles) {
+      if (ids.has(profile.id)) throw new Error(`Client "${profile.id}" is defined twice`);
+      ids.add(profile.id);
+    }
+
+    this.clients = new Map(); // id -> client, least recently seen first
+    this.sessions = new Map(); // session token -> client id
+  }
+
+  // Every routing in use, to set up replay stores and the recorder once
+  routings() {
+    return [this.defaultRouting, ...this.profiles.map(profile => profile.routing)];
+  }
+
+  // An HTTP request, decrypted or not: counted against its client
+  identify(address, headers = {}) {
+    const client = this.resolve(normalizeAddress(address), headers);
+    client.requests++;
+    return client;
+  }
+
+  // A CONNECT or transparent connection, before any request headers are seen
+  identifyConnection(address) {
+    return this.resolve(normalizeAddress(address), null);
+  }
+
+  resolve(ip, headers) {
+    const device = headers ? this.deviceOf(headers) : null;
+    const session = headers ? getSessionToken(headers) : null;
+
+    let profile = this.profiles.find(candidate => candidate.matches({ ip, device })) || null;
+    let id = profile ? profile.id : null;
+    if (!id && session && this.sessions.has(session)) {
+      id = this.sessions.get(session);
+      profile = this.profiles.find(candidate => candidate.id === id) || null;
+    }
+    if (!id) id = device ? cleanId(device) : ip || 'unknown';
+
+    // The same console logged in elsewhere (another address, no device header) is still this client
+    if (session && !this.sessions.has(session)) {
+      this.sessions.set(session, id);
+      if (this.sessions.size > MAX_SESSIONS) this.sessions.delete(this.sessions.keys().next().value);
+    }
+
+    return this.track(id, profile, ip, device);
+  }
+
+  deviceOf(headers) {
+    const name = this.deviceHeaders.find(header => headers[header]);
+    return name ? String(headers[name]) : null;
+  }
+
+  track(id, profile, ip, device) {
+    let client = this.clients.get(id);
+    if (!client) {
+      client = { id, profile: profile ? profile.id : null, ip, device, firstSeen: Date.now(), lastSeen: null, requests: 0 };
+    }
+    this.clients.delete(id);
+    this.clients.set(id, client);
+    if (this.clients.size > MAX_CLIENTS) this.clients.delete(this.clients.keys().next().value);
+
+    client.lastSeen = Date.now();
+    if (ip) client.ip = ip;
+    if (device) client.device = device;
+    return client;
+  }
+
+  routing(client) {
+    const profile = client.profile && this.profiles.find(candidate => candidate.id === client.profile);
+    return profile ? profile.routing : this.defaultRouting;
+  }
+
+  // For /__proxy/clients, most recently seen first
+  list() {
+    return Array.from(this.clients.values()).reverse().map(client => ({
+      ...client,
+      mode: this.routing(client).mode,
+      lastSeen: new Date(client.lastSeen).toISOString(),
+      firstSeen: new Date(client.firstSeen).toISOString()
+    }));
+  }
+}
+
+module.exports = { ClientRegistry, normalizeAddress };
@@ -0,0 +1,361 @@
+// config.js - Configuration for the NBA 2K17 proxy
+// Defaults, overridden by a JSON/YAML config file, overridden by command-line flags
+
+const fs = require('fs');
+const path = require('path');
+const { LOG_LEVELS } = require('./logging');
+
+const MODES = ['local', 'passthrough', 'record', 'replay', 'hybrid'];
+
+const DEFAULT_CONFIG_FILES = ['proxy.config.json', 'proxy.config.yaml', 'proxy.config.yml'];
+
+const DEFAULTS = {
+  MODE: 'passthrough',
+  PROXY_HOST: '0.0.0.0',
+  PROXY_PORT: 8080,
+  // Addresses (CIDR ranges) allowed to use the proxy, its DNS server and transparent listeners.
+  // Loopback and private LAN ranges by default; add "0.0.0.0/0" and "::/0" to allow anyone
+  ACCESS_ALLOW: ['127.0.0.0/8', '::1/128', '10.0.0.0/8', '172.16.0.0/12', '192.168.0.0/16', 'fc00::/7', 'fe80::/10'],
+  PROXY_AUTH: [], // "user:password" logins for Proxy-Authorization Basic; empty needs none
+  ALLOW_OTHER_TRAFFIC: true, // Forward and tunnel non-2K traffic; false answers it with 403
+  RATE_LIMIT: 0, // Requests (and tunnels) per second per source address; 0 means no limit
+  RATE_LIMIT_BURST: 100, // Requests an address can make at once before RATE_LIMIT applies
+  LOCAL_SERVER_HOST: '127.0.0.1',
+  LOCAL_SERVER_PORT: 49767, // Your local server for fallback/testing
+  LOGS_DIR: './proxy_logs',
+  LOG_LEVEL: 'info', // error | warn | info | debug
+  LOG_MAX_SIZE: 10 * 1024 * 1024, // Bytes before the day's log file is rotated
+  LOG_RETENTION_DAYS: 14, // Older log files are deleted; 0 keeps them forever
+  LOG_COMPRESS: true, // Gzip rotated and previous days' log files
+  // Keys masked in logs wherever they appear: headers, nested JSON, form bodies and query strings.
+  // Matched case-insensitively; "/regex/" entries match by pattern
+  LOG_REDACT_KEYS: ['authorization', 'proxy-authorization', 'cookie', 'set-cookie', 'x-session-token', 'password', 'token', 'sessionToken'],
+  ENABLE_REQUEST_LOGGING: true,
+  ENABLE_RESPONSE_LOGGING: true,
+  ENABLE_MODIFICATIONS: true,
+  RULES_FILE: './rules.json', // Declarative request/response rules, reloaded on change
+  ENABLE_CAPTURE: false, // Write HAR/JSONL captures of every 2K exchange
+  CAPTURE_DIR: './captures',
+  REPLAY_FILE: null, // Path to a .har/.jsonl capture (or an array of them) to answer 2K requests from
+  REPLAY_MATCH: 'normal', // strict (adds body fingerprint) | normal (method, host, path, query) | loose (method, path)
+  REPLAY_IGNORE_QUERY_PARAMS: ['t', 'ts', 'timestamp', 'nonce'],
+  REPLAY_IGNORE_BODY_KEYS: ['timestamp', 'nonce', 'requestTime'],
+  FALLBACK_TO_LOCAL: null, // Fall back to the local server when a real server fails; null only does in hybrid mode
+  CLIENT_DEVICE_HEADERS: ['x-2k-device-id', 'x-device-id'], // Request headers naming the console or PC, tried in order
+  // Per-client profiles: { id, match: { ip, device }, mode, replayFile, fallbackToLocal, modifications, capture }.
+  // ip and device take globs; anything left out follows the settings above
+  CLIENTS: [],
+  ENABLE_HEALTH_CHECKS: true, // Track real server health and skip hosts that are down
+  HEALTH_FAILURE_THRESHOLD: 3, // Consecutive failures before a host is marked down
+  HEALTH_COOLDOWN: 30000, // How long a down host is skipped before a live request tries it again
+  HEALTH_CHECK_INTERVAL: 15000, // Probe every real server this often; 0 disables probes
+  HEALTH_CHECK_TIMEOUT: 5000,
+  HEALTH_CHECK_PATH: '/',
+  HEALTH_FAILOVER: true, // Send a down host's traffic to the local server; false answers 503 instead
+  ENABLE_TLS_INTERCEPTION: true, // Decrypt 2K HTTPS with the local CA instead of blind tunnelling
+  CERT_DIR: './certs',
+  ENABLE_DNS: false, // Answer INTERCEPT_DOMAINS with this machine's LAN IP so the game needs no system proxy
+  DNS_HOST: '0.0.0.0',
+  DNS_PORT: 53,
+  DNS_ANSWER_IP: null, // Address handed out for intercepted hosts; null picks the first LAN IPv4
+  DNS_UPSTREAM: '8.8.8.8', // Resolver for everything else; null refuses non-2K queries
+  DNS_TTL: 60,
+  ENABLE_TRANSPARENT: null, // HTTPS listeners routed by SNI; null follows ENABLE_DNS
+  TRANSPARENT_PORTS: [443, 17217],
+  ENABLE_METRICS: true, // Request statistics at /metrics (Prometheus) and /metrics.json on the proxy port
+  ENABLE_DISCOVERY: true, // Inventory of every 2K endpoint seen, reported for building out the local server
+  DISCOVERY_DIR: './discovery', // endpoints.json (kept across runs), endpoints.md and openapi.json
+  DISCOVERY_EXAMPLES: 3, // Example exchanges kept per endpoint
+  ENABLE_DASHBOARD: false, // Live traffic web UI
+  DASHBOARD_HOST: '127.0.0.1', // Keep it on loopback: it shows unredacted headers and bodies
+  DASHBOARD_PORT: 8081,
+  DASHBOARD_HISTORY: 500, // Exchanges kept in memory for the dashboard
+  ENABLE_BREAKPOINTS: false, // Pause matching requests/responses for editing (needs the dashboard)
+  BREAKPOINTS: [], // Path globs, or { phase, host, path, method } objects
+  BREAKPOINT_TIMEOUT: 30000, // Paused messages continue unchanged after this long
+  MAX_REQUEST_BODY: 10 * 1024 * 1024, // Bytes of a 2K request body buffered for rules, breakpoints, replay or capture; more gets 413
+  MAX_DECODED_BODY: 8 * 1024 * 1024, // Bytes a compressed body may inflate to; larger ones are passed on undecoded
+  DECODER_PLUGINS: [], // Modules adding body decoders (see lib/decoders.js)
+  DECODER_PATHS: {}, // Path glob -> decoder name, for bodies whose content type doesn't say
+  CONNECTION_TIMEOUT: 30000, // Connecting to a server or tunnel target (30 seconds)
+  IDLE_TIMEOUT: 30000, // Upstream request with no traffic either way
+  REQUEST_TIMEOUT: 60000, // Whole upstream exchange, until the last byte of the response (60 seconds)
+  TUNNEL_IDLE_TIMEOUT: 120000, // Quiet CONNECT/transparent tunnels and game keep-alive connections are closed
+  // Reach servers through another proxy: "http://[user:pass@]host:port" (via CONNECT) or "socks5://...".
+  // null uses HTTP_PROXY/HTTPS_PROXY/ALL_PROXY from the environment (unless USE_ENV_PROXY is false)
+  UPSTREAM_PROXY: null,
+  UPSTREAM_PROXY_HOSTS: {}, // Host glob -> proxy URL or "direct", first match wins, e.g. { "*.2ksports.com": "direct" }
+  NO_PROXY: [], // Hosts always dialled directly, added to the NO_PROXY variable: "example.com", ".lan", "10.0.0.0/8", "*"
+  USE_ENV_PROXY: true, // Honour HTTP_PROXY, HTTPS_PROXY, ALL_PROXY and NO_PROXY
+
+  // 2K Sports domains to intercept, each with its subdomains; '2ksports.com' catches the rest for local mode
+  INTERCEPT_DOMAINS: [
+    'nba2k17-ws.2ksports.com',
+    'nba2k17-services.2ksports.com',
+    'api.2ksports.com',
+    'services.2ksports.com',
+    '2ksports.com'
+  ],
+
+  // Real 2K server endpoints mapping with correct ports
+  // NBA 2K17 uses port 17217 for HTTPS
+  SERVER_ENDPOINTS: {
+    'nba2k17-ws.2ksports.com': { host: 'nba2k17-ws.2ksports.com', port: 17217, protocol: 'https' },
+    'nba2k17-services.2ksports.com': { host: 'nba2k17-services.2ksports.com', port: 17217, protocol: 'https' },
+    'api.2ksports.com': { host: 'api.2ksports.com', port: 17217, protocol: 'https' },
+    'services.2ksports.com': { host: 'services.2ksports.com', port: 17217, protocol: 'https' }
+  }
+};
+
+// Command-line flags and the config keys they set
+const FLAGS = {
+  '--mode': { key: 'MODE' },
+  '--host': { key: 'PROXY_HOST' },
+  '--port': { key: 'PROXY_PORT', type: 'number' },
+  '--allow': { key: 'ACCESS_ALLOW', type: 'list' },
+  '--auth': { key: 'PROXY_AUTH', type: 'list' },
+  '--no-other-traffic': { key: 'ALLOW_OTHER_TRAFFIC', type: 'boolean', value: false },
+  '--rate-limit': { key: 'RATE_LIMIT', type: 'number' },
+  '--upstream-proxy': { key: 'UPSTREAM_PROXY' },
+  '--direct': { key: 'NO_PROXY', type: 'list' },
+  '--ignore-env-proxy': { key: 'USE_ENV_PROXY', type: 'boolean', value: false },
+  '--local-host': { key: 'LOCAL_SERVER_HOST' },
+  '--local-port': { key: 'LOCAL_SERVER_PORT', type: 'number' },
+  '--logs-dir': { key: 'LOGS_DIR' },
+  '--log-level': { key: 'LOG_LEVEL' },
+  '--capture-dir': { key: 'CAPTURE_DIR' },
+  '--replay': { key: 'REPLAY_FILE' },
+  '--replay-match': { key: 'REPLAY_MATCH' },
+  '--cert-dir': { key: 'CERT_DIR' },
+  '--rules': { key: 'RULES_FILE' },
+  '--dns': { key: 'ENABLE_DNS', type: 'boolean' },
+  '--dns-port': { key: 'DNS_PORT', type: 'number' },
+  '--dns-upstream': { key: 'DNS_UPSTREAM' },
+  '--answer-ip': { key: 'DNS_ANSWER_IP' },
+  '--transparent': { key: 'ENABLE_TRANSPARENT', type: 'boolean' },
+  '--dashboard': { key: 'ENABLE_DASHBOARD', type: 'boolean' },
+  '--dashboard-port': { key: 'DASHBOARD_PORT', type: 'number' },
+  '--breakpoints': { key: 'ENABLE_BREAKPOINTS', type: 'boolean' },
+  '--break': { key: 'BREAKPOINTS', type: 'list' },
+  '--break-timeout': { key: 'BREAKPOINT_TIMEOUT', type: 'number' },
+  '--decoder': { key: 'DECODER_PLUGINS', type: 'list' },
+  '--discovery-dir': { key: 'DISCOVERY_DIR' },
+  '--no-discovery': { key: 'ENABLE_DISCOVERY', type: 'boolean', value: false },
+  '--fallback': { key: 'FALLBACK_TO_LOCAL', type: 'boolean' },
+  '--no-fallback': { key: 'FALLBACK_TO_LOCAL', type: 'boolean', value: false },
+  '--health-interval': { key: 'HEALTH_CHECK_INTERVAL', type: 'number' },
+  '--no-health-checks': { key: 'ENABLE_HEALTH_CHECKS', type: 'boolean', value: false },
+  '--no-failover': { key: 'HEALTH_FAILOVER', type: 'boolean', value: false },
+  '--no-tls-interception': { key: 'ENABLE_TLS_INTERCEPTION', type: 'boolean', value: false },
+  '--no-modifications': { key: 'ENABLE_MODIFICATIONS', type: 'boolean', value: false }
+};
+
+// Flags handled by the CLI itself rather than mapped onto config keys
+const COMMAND_FLAGS = ['--config', '--help', '--regenerate-ca', '--ca-fingerprint', '--export-ca', '--endpoint-report'];
+
+const USAGE = `Usage: node server.js [options]
+
+Modes (--mode=<mode>):
+  local        Redirect all 2K traffic to the local server
+  passthrough  Forward 2K traffic to the real servers (default)
+  record       Pass-through and capture every exchange to HAR/JSONL
+  replay       Answer 2K traffic from a capture (--replay=<file>)
+  hybrid       Replay when the capture matches, else real servers, falling back to local
+
+Options:
+  --config=<file>        JSON or YAML config file (default: ./proxy.config.{json,yaml,yml} if present)
+  --host=<addr>          Address the proxy binds to (default 0.0.0.0)
+  --port=<port>          Proxy port (default 8080)
+  --allow=<cidrs>        Client address ranges allowed to use the proxy, comma-separated (default: loopback and LAN)
+  --auth=<user:pass>     Require these Proxy-Authorization Basic logins, comma-separated
+  --no-other-traffic     Only proxy 2K traffic; refuse everything else with 403
+  --rate-limit=<n>       Requests per second per source address (default 0, no limit)
+  --upstream-proxy=<url> Reach servers through this proxy: http://[user:pass@]host:port or socks5://...
+  --direct=<hosts>       Hosts to reach without the upstream proxy, comma-separated (added to NO_PROXY)
+  --ignore-env-proxy     Ignore HTTP_PROXY, HTTPS_PROXY, ALL_PROXY and NO_PROXY
+  --local-host=<addr>    Local server host (default 127.0.0.1)
+  --local-port=<port>    Local server port (default 49767)
+  --logs-dir=<dir>       Log directory
+  --log-level=<level>    error | warn | info | debug (default info)
+  --capture-dir=<dir>    Capture directory
+  --replay=<file>        Capture file to replay (.har or .jsonl)
+  --replay-match=<lvl>   strict | normal | loose
+  --cert-dir=<dir>       Directory holding the local CA
+  --rules=<file>         Request/response rules file (default ./rules.json)
+  --dns                  Run the DNS server and the transparent HTTPS listeners (ports 443, 17217)
+  --dns-port=<port>      DNS port (default 53)
+  --dns-upstream=<addr>  Resolver for non-2K names, host[:port] (default 8.8.8.8)
+  --answer-ip=<addr>     Address given out for 2K hosts (default: first LAN IPv4)
+  --transparent          Run the transparent HTTPS listeners without the DNS server
+  --dashboard            Serve the live traffic dashboard (http://127.0.0.1:8081)
+  --dashboard-port=<n>   Dashboard port (default 8081)
+  --breakpoints          Allow breakpoints to be set from the dashboard (implies --dashboard)
+  --break=<globs>        Pause requests/responses whose path matches, comma-separated (implies --breakpoints)
+  --break-timeout=<ms>   Resume paused messages unchanged after this long (default 30000)
+  --decoder=<files>      Body decoder plugin modules, comma-separated
+  --discovery-dir=<dir>  Where the endpoint inventory and its reports go (default ./discovery)
+  --no-discovery         Don't keep the endpoint inventory
+  --fallback             Fall back to the local server when a real server fails
+  --no-fallback          Never fall back to the local server
+  --health-interval=<ms> Probe the real servers this often (default 15000, 0 disables probes)
+  --no-health-checks     Always try the real servers, even when they keep failing
+  --no-failover          Answer 503 instead of using the local server while a real server is down
+  --no-tls-interception  Tunnel 2K HTTPS blindly instead of decrypting it
+  --no-modifications     Disable request/response modification
+
+Certificates:
+  --ca-fingerprint       Print the CA's SHA-256 fingerprint and exit
+  --export-ca=<file>     Copy the CA certificate for installation and exit
+  --regenerate-ca        Replace the CA and exit (reinstall it afterwards)
+
+Endpoint discovery:
+  --endpoint-report      Write endpoints.md and openapi.json from the saved inventory and exit
+`;
+
+function parseArgs(argv) {
+  const options = {};
+  const commands = {};
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const [name, inlineValue] = arg.split(/=(.*)/s);
+
+    if (COMMAND_FLAGS.includes(name)) {
+      commands[name.replace(/^--/, '')] = inlineValue !== undefined ? inlineValue : true;
+      if (name === '--config' && inlineValue === undefined) {
+        commands.config = argv[++i];
+      }
+      continue;
+    }
+
+    const flag = FLAGS[name];
+    if (!flag) {
+      throw new Error(`Unknown option "${arg}" (see --help)`);
+    }
+
+    let value = inlineValue;
+    if (flag.type === 'boolean') {
+      value = flag.value !== undefined ? flag.value : value !== 'false';
+    } else {
+      if (value === undefined) {
+        value = argv[++i];
+      }
+      if (value === undefined) {
+        throw new Error(`Option ${name} needs a value`);
+      }
+      if (flag.type === 'list') {
+        value = value.split(',').map(item => item.trim()).filter(Boolean);
+      } else if (flag.type === 'number') {
+        value = parseInt(value, 10);
+        if (Number.isNaN(value)) {
+          throw new Error(`Option ${name} needs a number`);
+        }
+      }
+    }
+
+    options[flag.key] = value;
+  }
+
+  return { options, commands };
+}
+
+// js-yaml is optional: only YAML files need it, so it is loaded when one is read
+function parseYaml(text) {
+  let yaml;
+  try {
+    yaml = require('js-yaml');
+  } catch {
+    throw new Error('YAML files need the js-yaml package (npm install js-yaml), or use JSON');
+  }
+  return yaml.load(text);
+}
+
+// Read a JSON or YAML data file, picked by extension
+function readDataFile(filePath) {
+  const text = fs.readFileSync(filePath, 'utf8');
+  const ext = path.extname(filePath).toLowerCase();
+  return ext === '.yaml' || ext === '.yml' ? parseYaml(text) : JSON.parse(text);
+}
+
+function loadConfigFile(filePath) {
+  let data;
+
+  try {
+    data = readDataFile(filePath);
+  } catch (err) {
+    throw new Error(`Could not read config file ${filePath}: ${err.message}`);
+  }
+
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    throw new Error(`Config file ${filePath} must contain an object`);
+  }
+
+  const unknown = Object.keys(data).filter(key => !(key in DEFAULTS));
+  if (unknown.length) {
+    throw new Error(`Unknown keys in ${filePath}: ${unknown.join(', ')}`);
+  }
+
+  return data;
+}
+
+function findDefaultConfigFile() {
+  return DEFAULT_CONFIG_FILES.find(file => fs.existsSync(file)) || null;
+}
+
+// Settings implied by each mode
+function applyMode(config) {
+  if (config.ENABLE_TRANSPARENT === null) {
+    config.ENABLE_TRANSPARENT = config.ENABLE_DNS;
+  }
+
+  // Breakpoints are released through the dashboard's admin API
+  if (config.BREAKPOINTS.length) {
+    config.ENABLE_BREAKPOINTS = true;
+  }
+  if (config.ENABLE_BREAKPOINTS) {
+    config.ENABLE_DASHBOARD = true;
+  }
+
+  if (!(String(config.LOG_LEVEL).toLowerCase() in LOG_LEVELS)) {
+    throw new Error(`Unknown log level "${config.LOG_LEVEL}" (expected ${Object.keys(LOG_LEVELS).join(', ')})`);
+  }
+
+  if (!MODES.includes(config.MODE)) {
+    throw new Error(`Unknown mode "${config.MODE}" (expected ${MODES.join(', ')})`);
+  }
+
+  switch (config.MODE) {
+    case 'record':
+      config.ENABLE_CAPTURE = true;
+      break;
+    case 'replay':
+      if (!config.REPLAY_FILE) {
+        throw new Error('Replay mode needs a capture file (--replay=<file> or REPLAY_FILE)');
+      }
+      break;
+  }
+
+  // Hybrid mode falls back to the local server unless told not to
+  if (config.FALLBACK_TO_LOCAL === null) {
+    config.FALLBACK_TO_LOCAL = config.MODE === 'hybrid';
+  }
+
+  return config;
+}
+
+// Build the effective configuration from defaults, config file and flags
+function loadConfig(argv) {
+  const { options, commands } = parseArgs(argv);
+  const configFile = typeof commands.config === 'string' ? commands.config : findDefaultConfigFile();
+  const fileConfig = configFile ? loadConfigFile(configFile) : {};
+
+  const config = applyMode({
+    ...JSON.parse(JSON.stringify(DEFAULTS)),
+    ...fileConfig,
+    ...options
+  });
+
+  return { config, commands, configFile };
+}
+
+module.exports = { DEFAULTS, MODES, USAGE, loadConfig, loadConfigFile, parseArgs, readDataFile };
@@ -0,0 +1,205 @@
+// content.js - Server-driven content for the local 2K17 server (news, message of the day, config, assets)
+// Operators edit working files in the content directory (news.json, motd.json, roster.bin, ...) and
+// publish them; each publish snapshots the file as a new numbered version, and only the current
+// version of each item is served. Rolling back is re-activating an older version.
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const MANIFEST_VERSION = 1;
+const PUBLISHED_DIR = '.published';
+
+// Item keys come from file names and end up in URLs and as manifest properties, so keep them simple
+const KEY_PATTERN = /^(?!__proto__$)[A-Za-z0-9_-]{1,64}$/;
+
+const CONTENT_TYPES = {
+  '.json': 'application/json; charset=utf-8',
+  '.txt': 'text/plain; charset=utf-8',
+  '.xml': 'application/xml',
+  '.html': 'text/html; charset=utf-8',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg'
+};
+
+function contentTypeFor(ext) {
+  return CONTENT_TYPES[ext.toLowerCase()] || 'application/octet-stream';
+}
+
+function etagFor(data) {
+  return `"${crypto.createHash('sha256').update(data).digest('hex').substring(0, 32)}"`;
+}
+
+// If-None-Match: "a", W/"b" or *
+function etagMatches(header, etag) {
+  if (!header) return false;
+  return String(header).split(',').some((candidate) => {
+    const value = candidate.trim().replace(/^W\//, '');
+    return value === '*' || value === etag;
+  });
+}
+
+class ContentStore {
+  constructor(contentDir) {
+    this.contentDir = contentDir;
+    this.publishedDir = path.join(contentDir, PUBLISHED_DIR);
+    this.manifestPath = path.join(this.publishedDir, 'manifest.json');
+    this.manifest = { version: MANIFEST_VERSION, items: {} };
+    this.manifestMtime = 0;
+    this.cache = new Map(); // etag -> Buffer
+  }
+
+  load() {
+    fs.mkdirSync(this.publishedDir, { recursive: true });
+    this.reload();
+    return this;
+  }
+
+  // Pick up publishes made by the CLI while the server runs
+  reload() {
+    const mtime = fs.existsSync(this.manifestPath) ? fs.statSync(this.manifestPath).mtimeMs : 0;
+    if (mtime === this.manifestMtime) return;
+
+    if (mtime) {
+      const manifest = JSON.parse(fs.readFileSync(this.manifestPath, 'utf8'));
+      if (manifest.version !== MANIFEST_VERSION) {
+        throw new Error(`${this.manifestPath} has manifest version ${manifest.version}, expected ${MANIFEST_VERSION}`);
+      }
+      this.manifest = manifest;
+    }
+    this.manifestMtime = mtime;
+  }
+
+  // Temp file and rename, as for players.json
+  saveManifest() {
+    const tmpPath = `${this.manifestPath}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify(this.manifest, null, 2));
+    fs.renameSync(tmpPath, this.manifestPath);
+    this.manifestMtime = fs.statSync(this.manifestPath).mtimeMs;
+  }
+
+  // Working files: <key>.<ext> directly in the content directory
+  drafts() {
+    if (!fs.existsSync(this.contentDir)) return [];
+    return fs.readdirSync(this.contentDir, { withFileTypes: true })
+      .filter(entry => entry.isFile())
+      .map((entry) => {
+        const ext = path.extname(entry.name);
+        return { key: path.basename(entry.name, ext), ext, file: path.join(this.contentDir, entry.name) };
+      })
+      .filter(draft => KEY_PATTERN.test(draft.key) && !draft.file.endsWith('.tmp'));
+  }
+
+  draft(key) {
+    return this.drafts().find(draft => draft.key === key) || null;
+  }
+
+  // Own properties only: keys come from URLs
+  item(key) {
+    return Object.prototype.hasOwnProperty.call(this.manifest.items, key) ? this.manifest.items[key] : null;
+  }
+
+  current(key) {
+    const item = this.item(key);
+    return item ? item.versions.find(version => version.version === item.current) || null : null;
+  }
+
+  // Every item with its versions, and whether the working file differs from what is live
+  list() {
+    const keys = new Set([...Object.keys(this.manifest.items), ...this.drafts().map(draft => draft.key)]);
+    return Array.from(keys).sort().map((key) => {
+      const item = this.item(key) || { current: null, versions: [] };
+      const live = this.current(key);
+      const draft = this.draft(key);
+      let status = 'published';
+      if (!live) {
+        status = 'unpublished';
+      } else if (!draft) {
+        status = 'draft-removed';
+      } else if (etagFor(fs.readFileSync(draft.file)) !== live.etag) {
+        status = 'changed';
+      }
+      return { key, current: item.current, status, versions: item.versions };
+    });
+  }
+
+  // Snapshot the working file as the next version and make it current. Publishing an unchanged file
+  // returns the live version instead of adding a copy.
+  publish(key, options = {}) {
+    if (!KEY_PATTERN.test(key)) {
+      throw new Error(`Invalid content key "${key}"`);
+    }
+    const draft = this.draft(key);
+    if (!draft) {
+      throw new Error(`No content file for "${key}" in ${this.contentDir}`);
+    }
+    const data = fs.readFileSync(draft.file);
+    if (draft.ext.toLowerCase() === '.json') {
+      try {
+        JSON.parse(data.toString('utf8'));
+      } catch (err) {
+        throw new Error(`${draft.file} is not valid JSON: ${err.message}`);
+      }
+    }
+
+    const etag = etagFor(data);
+    const live = this.current(key);
+    if (live && live.etag === etag) return { ...live, unchanged: true };
+
+    const item = this.item(key) || (this.manifest.items[key] = { current: null, versions: [] });
+    const version = item.versions.reduce((max, entry) => Math.max(max, entry.version), 0) + 1;
+    const file = path.join(key, `${version}${draft.ext}`);
+    fs.mkdirSync(path.join(this.publishedDir, key), { recursive: true });
+    fs.writeFileSync(path.join(this.publishedDir, file), data);
+
+    const entry = {
+      version,
+      file,
+      contentType: contentTypeFor(draft.ext),
+      size: data.length,
+      etag,
+      publishedAt: new Date().toISOString(),
+      note: options.note || null
+    };
+    item.versions.push(entry);
+    item.current = version;
+    this.saveManifest();
+    return entry;
+  }
+
+  // Make an earlier (or later) published version the live one
+  activate(key, version) {
+    const item = this.item(key);
+    const entry = item && item.versions.find(candidate => candidate.version === version);
+    if (!entry) {
+      throw new Error(`"${key}" has no version ${version}`);
+    }
+    item.current = version;
+    this.saveManifest();
+    return entry;
+  }
+
+  // The live version of an item: { entry, data } or null
+  get(key) {
+    this.reload();
+    const entry = this.current(key);
+    if (!entry) return null;
+
+    if (!this.cache.has(entry.etag)) {
+      this.cache.set(entry.etag, fs.readFileSync(path.join(this.publishedDir, entry.file)));
+    }
+    return { entry, data: this.cache.get(entry.etag) };
+  }
+
+  // What the game can ask for, for GET /content
+  index() {
+    this.reload();
+    return Object.keys(this.manifest.items).sort().map((key) => {
+      const entry = this.current(key);
+      return entry && { key, version: entry.version, etag: entry.etag, size: entry.size, contentType: entry.contentType, publishedAt: entry.publishedAt };
+    }).filter(Boolean);
+  }
+}
+
+module.exports = { ContentStore, KEY_PATTERN, etagFor, etagMatches };
@@ -0,0 +1,440 @@
+// dashboard.js - Live traffic dashboard for the proxy
+// TrafficMonitor keeps the most recent exchanges in memory; Dashboard serves them to a browser
+// and streams updates over Server-Sent Events
+
+const fs = require('fs');
+const http = require('http');
+const net = require('net');
+const path = require('path');
+const url = require('url');
+const { EventEmitter } = require('events');
+const { encodeBody } = require('./recorder');
+const { decodeContent } = require('./body');
+
+const MAX_BODY_CAPTURE = 256 * 1024; // Bytes of each body kept for display
+const HEARTBEAT_INTERVAL = 15000;
+const PAGE_FILE = path.join(__dirname, 'dashboard.html');
+
+function newBody() {
+  return { chunks: [], size: 0, captured: 0 };
+}
+
+function captureChunk(body, chunk) {
+  if (!chunk || typeof chunk === 'function') return;
+  const buffer = Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk);
+
+  body.size += buffer.length;
+  if (body.captured < MAX_BODY_CAPTURE) {
+    const kept = buffer.subarray(0, MAX_BODY_CAPTURE - body.captured);
+    body.chunks.push(kept);
+    body.captured += kept.length;
+  }
+}
+
+// Readable form of a whole body, through content-encoding and the decoder registry
+function decodeForDisplay(decoders, buffer, context) {
+  try {
+    const decoded = decoders.decode(decodeContent(buffer, context.headers['content-encoding'], decoders.maxOutputLength), context);
+    if (!decoded || Buffer.isBuffer(decoded.value)) return null;
+    return { format: decoded.formats.join(' > '), value: decoded.value };
+  } catch {
+    return null;
+  }
+}
+
+function describeBody(body, decoders, context) {
+  const buffer = Buffer.concat(body.chunks);
+  const truncated = body.size > buffer.length;
+  const decoded = decoders && !truncated ? decodeForDisplay(decoders, buffer, context) : null;
+  return { ...encodeBody(buffer), size: body.size, truncated, decoded };
+}
+
+// Status filters accept an exact code ("404") or a class ("5xx")
+const STATUS_FILTER = /^[1-5][0-9x]{2}$/i;
+
+function matchesStatus(statusCode, filter) {
+  if (!filter) return true;
+  if (statusCode === null || !STATUS_FILTER.test(filter)) return false;
+  const pattern = new RegExp('^' + filter.toLowerCase().replace(/x/g, '\\d') + '$');
+  return pattern.test(String(statusCode));
+}
+
+// A repeated query parameter arrives as an array; the last one wins
+function filterValue(value) {
+  return String([].concat(value === undefined ? '' : value).pop());
+}
+
+class TrafficMonitor extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.maxEntries = options.maxEntries || 500;
+    this.decoders = options.decoders || null;
+    this.exchanges = new Map(); // Insertion order keeps the oldest first
+  }
+
+  // Follow a request and its response, tapping both bodies as they pass through.
+  // client: the ID from lib/clients.js, else the address the request came from
+  track(requestId, req, res, host, client = null) {
+    const exchange = {
+      requestId,
+      method: req.method,
+      host,
+      path: url.parse(req.url).path,
+      secure: Boolean(req.socket.encrypted),
+      client: client || req.socket.remoteAddress,
+      route: [],
+      state: 'pending',
+      startedAt: Date.now(),
+      respondedAt: null,
+      finishedAt: null,
+      request: { headers: req.headers, body: newBody() },
+      response: { statusCode: null, headers: {}, body: newBody() }
+    };
+
+    this.exchanges.set(requestId, exchange);
+    if (this.exchanges.size > this.maxEntries) {
+      this.exchanges.delete(this.exchanges.keys().next().value);
+    }
+
+    req.on('data', chunk => captureChunk(exchange.request.body, chunk));
+
+    const writeHead = res.writeHead;
+    const write = res.write;
+    const end = res.end;
+    // Headers passed straight to writeHead never show up in getHeaders()
+    res.writeHead = function (statusCode, ...args) {
+      const headers = args.find(arg => arg && typeof arg === 'object') || {};
+      exchange.response.headers = { ...this.getHeaders() };
+      for (const [name, value] of Object.entries(headers)) {
+        exchange.response.headers[name.toLowerCase()] = value;
+      }
+      return writeHead.call(this, statusCode, ...args);
+    };
+    const onOutput = (chunk) => {
+      if (!exchange.respondedAt) exchange.respondedAt = Date.now();
+      captureChunk(exchange.response.body, chunk);
+    };
+    res.write = function (chunk, ...args) {
+      onOutput(chunk);
+      return write.call(this, chunk, ...args);
+    };
+    res.end = function (chunk, ...args) {
+      onOutput(chunk);
+      return end.call(this, chunk, ...args);
+    };
+
+    res.on('finish', () => this.finish(exchange, res, 'complete'));
+    res.on('close', () => {
+      if (exchange.state === 'pending') this.finish(exchange, res, 'aborted');
+    });
+
+    this.emit('exchange', this.summarize(exchange));
+  }
+
+  // Record a step in the path the request took (intercept, rule, replay, forward, fallback, local, ...)
+  route(requestId, step) {
+    const exchange = this.exchanges.get(requestId);
+    if (!exchange) return;
+    exchange.route.push(step);
+    this.emit('exchange', this.summarize(exchange));
+  }
+
+  finish(exchange, res, state) {
+    exchange.state = state;
+    exchange.finishedAt = Date.now();
+    exchange.response.statusCode = res.headersSent ? res.statusCode : null;
+    exchange.response.headers = { ...res.getHeaders(), ...exchange.response.headers };
+    this.emit('exchange', this.summarize(exchange));
+  }
+
+  summarize(exchange) {
+    return {
+      requestId: exchange.requestId,
+      client: exchange.client,
+      method: exchange.method,
+      host: exchange.host,
+      path: exchange.path,
+      secure: exchange.secure,
+      route: exchange.route,
+      state: exchange.state,
+      statusCode: exchange.response.statusCode,
+      startedAt: exchange.startedAt,
+      duration: exchange.finishedAt ? exchange.finishedAt - exchange.startedAt : null,
+      requestSize: exchange.request.body.size,
+      responseSize: exchange.response.body.size
+    };
+  }
+
+  list(filters = {}) {
+    const host = filterValue(filters.host).toLowerCase();
+    const pathFilter = filterValue(filters.path).toLowerCase();
+    const client = filterValue(filters.client).toLowerCase();
+    const status = filterValue(filters.status);
+
+    return Array.from(this.exchanges.values())
+      .filter(exchange => !host || exchange.host.toLowerCase().includes(host))
+      .filter(exchange => !pathFilter || exchange.path.toLowerCase().includes(pathFilter))
+      .filter(exchange => !client || String(exchange.client).toLowerCase().includes(client))
+      .filter(exchange => matchesStatus(exchange.response.statusCode, status))
+      .map(exchange => this.summarize(exchange));
+  }
+
+  get(requestId) {
+    const exchange = this.exchanges.get(requestId);
+    if (!exchange) return null;
+
+    return {
+      ...this.summarize(exchange),
+      timings: {
+        wait: exchange.respondedAt ? exchange.respondedAt - exchange.startedAt : null,
+        receive: exchange.finishedAt && exchange.respondedAt ? exchange.finishedAt - exchange.respondedAt : null
+      },
+      request: {
+        headers: exchange.request.headers,
+        ...describeBody(exchange.request.body, this.decoders, { path: exchange.path, headers: exchange.request.headers, phase: 'request' })
+      },
+      response: {
+        statusCode: exchange.response.statusCode,
+        headers: exchange.response.headers,
+        ...describeBody(exchange.response.body, this.decoders, { path: exchange.path, headers: exchange.response.headers, phase: 'response' })
+      }
+    };
+  }
+}
+
+function readJson(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => {
+      const text = Buffer.concat(chunks).toString('utf8');
+      try {
+        resolve(text ? JSON.parse(text) : {});
+      } catch (err) {
+        reject(new Error(`Invalid JSON body: ${err.message}`));
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+// IDs in admin URLs; a malformed escape gives null
+function decodeId(text) {
+  try {
+    return decodeURIComponent(text);
+  } catch {
+    return null;
+  }
+}
+
+// Another site can make a browser post a form here, but not send JSON or a matching Origin without CORS
+function isCrossSite(req) {
+  const type = String(req.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+  if (type !== 'application/json') return true;
+  if (!req.headers.origin) return false;
+  try {
+    return new URL(req.headers.origin).host !== req.headers.host;
+  } catch {
+    return true;
+  }
+}
+
+// Admin UI: GET / (page), /events (SSE stream), /api/requests[?host=&path=&status=&client=], /api/requests/<id>
+// With breakpoints: GET/POST /api/breakpoints, DELETE /api/breakpoints/<n>,
+// POST /api/paused/<id>/resume (optional edits as JSON) and POST /api/paused/<id>/drop.
+// Changes must be sent as application/json, from the dashboard's own origin if the browser says
+class Dashboard {
+  constructor(monitor, logger, breakpoints = null) {
+    this.monitor = monitor;
+    this.logger = logger;
+    this.breakpoints = breakpoints;
+    this.host = null; // Set by listen()
+    this.clients = new Set();
+    this.server = http.createServer((req, res) => this.handle(req, res));
+    this.server.on('error', (err) => {
+      logger.log('ERROR', `Dashboard error: ${err.message}`);
+    });
+
+    monitor.on('exchange', summary => this.broadcast('exchange', summary));
+    if (breakpoints) {
+      breakpoints.on('paused', paused => this.broadcast('paused', paused));
+      breakpoints.on('resumed', resumed => this.broadcast('resumed', resumed));
+      breakpoints.on('changed', () => this.broadcast('breakpoints', this.breakpointState()));
+    }
+    this.heartbeat = setInterval(() => {
+      this.clients.forEach(client => client.write(': ping\n\n'));
+    }, HEARTBEAT_INTERVAL);
+    this.heartbeat.unref();
+  }
+
+  listen(port, host) {
+    return new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.host = host;
+      this.server.listen(port, host, () => {
+        this.server.removeListener('error', reject);
+        resolve();
+      });
+    });
+  }
+
+  close() {
+    clearInterval(this.heartbeat);
+    this.clients.forEach(client => client.end());
+    this.server.close();
+  }
+
+  broadcast(event, data) {
+    const message = `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+    this.clients.forEach(client => client.write(message));
+  }
+
+  breakpointState() {
+    return this.breakpoints
+      ? { enabled: true, breakpoints: this.breakpoints.list(), paused: this.breakpoints.pending() }
+      : { enabled: false, breakpoints: [], paused: [] };
+  }
+
+  // Only names that can't be rebound to another address: IP literals, localhost and the configured host.
+  // Otherwise a page on a rebound domain could read the unredacted traffic
+  isTrustedHost(hostHeader) {
+    const match = /^(\[[^\]]+\]|[^:]+)(?::(\d+))?$/.exec(String(hostHeader || ''));
+    if (!match || Number(match[2]) !== this.server.address().port) return false;
+    const hostname = match[1].replace(/^\[|\]$/g, '').toLowerCase();
+    return net.isIP(hostname) !== 0 || hostname === 'localhost' || hostname === String(this.host).toLowerCase();
+  }
+
+  handle(req, res) {
+    try {
+      this.route(req, res);
+    } catch (err) {
+      this.logger.log('ERROR', `Dashboard request ${req.url} failed: ${err.message}`);
+      if (res.headersSent) {
+        res.destroy();
+      } else {
+        this.sendJson(res, 500, { error: err.message });
+      }
+    }
+  }
+
+  route(req, res) {
+    if (!this.isTrustedHost(req.headers.host)) {
+      this.sendJson(res, 403, { error: 'Open the dashboard by its address, not another host name' });
+      return;
+    }
+
+    const { pathname, query } = url.parse(req.url, true);
+
+    if (pathname.startsWith('/api/breakpoints') || pathname.startsWith('/api/paused')) {
+      if (req.method !== 'GET' && isCrossSite(req)) {
+        this.sendJson(res, 403, { error: 'Changes must be sent as JSON from the dashboard' });
+        return;
+      }
+      this.handleBreakpoints(req, res, pathname).catch((err) => {
+        this.sendJson(res, 400, { error: err.message });
+      });
+      return;
+    }
+
+    if (req.method !== 'GET') {
+      this.sendJson(res, 405, { error: 'Method not allowed' });
+      return;
+    }
+
+    if (pathname === '/') {
+      fs.readFile(PAGE_FILE, (err, page) => {
+        if (err) {
+          this.sendJson(res, 500, { error: err.message });
+          return;
+        }
+        res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+        res.end(page);
+      });
+      return;
+    }
+
+    if (pathname === '/events') {
+      res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive'
+      });
+      res.write(`event: snapshot\ndata: ${JSON.stringify(this.monitor.list())}\n\n`);
+      res.write(`event: breakpoints\ndata: ${JSON.stringify(this.breakpointState())}\n\n`);
+      this.clients.add(res);
+      req.on('close', () => this.clients.delete(res));
+      return;
+    }
+
+    if (pathname === '/api/requests') {
+      const status = filterValue(query.status);
+      if (status && !STATUS_FILTER.test(status)) {
+        this.sendJson(res, 400, { error: 'status must be a code like 404 or a class like 5xx' });
+        return;
+      }
+      this.sendJson(res, 200, this.monitor.list(query));
+      return;
+    }
+
+    const detail = /^\/api\/requests\/([^/]+)$/.exec(pathname);
+    if (detail) {
+      const requestId = decodeId(detail[1]);
+      if (requestId === null) {
+        this.sendJson(res, 400, { error: 'Malformed request ID' });
+        return;
+      }
+      const exchange = this.monitor.get(requestId);
+      this.sendJson(res, exchange ? 200 : 404, exchange || { error: 'Unknown request ID' });
+      return;
+    }
+
+    this.sendJson(res, 404, { error: 'Not found' });
+  }
+
+  async handleBreakpoints(req, res, pathname) {
+    if (!this.breakpoints) {
+      this.sendJson(res, 404, { error: 'Breakpoints are not enabled (start with --breakpoints)' });
+      return;
+    }
+
+    if (pathname === '/api/breakpoints' && req.method === 'GET') {
+      this.sendJson(res, 200, this.breakpointState());
+      return;
+    }
+
+    if (pathname === '/api/breakpoints' && req.method === 'POST') {
+      this.sendJson(res, 201, this.breakpoints.add(await readJson(req)));
+      return;
+    }
+
+    const removal = /^\/api\/breakpoints\/(\d+)$/.exec(pathname);
+    if (removal && req.method === 'DELETE') {
+      const removed = this.breakpoints.remove(removal[1]);
+      this.sendJson(res, removed ? 200 : 404, removed ? { removed: Number(removal[1]) } : { error: 'Unknown breakpoint' });
+      return;
+    }
+
+    const action = /^\/api\/paused\/([^/]+)\/(resume|drop)$/.exec(pathname);
+    if (action && req.method === 'POST') {
+      const id = decodeId(action[1]);
+      if (id === null) {
+        this.sendJson(res, 400, { error: 'Malformed paused ID' });
+        return;
+      }
+      const done = action[2] === 'resume'
+        ? this.breakpoints.resume(id, await readJson(req))
+        : this.breakpoints.drop(id);
+      this.sendJson(res, done ? 200 : 404, done ? { [action[2] === 'resume' ? 'resumed' : 'dropped']: id } : { error: 'Nothing paused with that ID' });
+      return;
+    }
+
+    this.sendJson(res, 404, { error: 'Not found' });
+  }
+
+  sendJson(res, status, data) {
+    res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8' });
+    res.end(JSON.stringify(data));
+  }
+}
+
+module.exports = { TrafficMonitor, Dashboard };
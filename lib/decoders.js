@@ -0,0 +1,335 @@
+// decoders.js - Pluggable decoders for 2K payload formats
+// A decoder turns a body into a JSON-like value for logging, rule matching and editing, and
+// encodes the value back after a change. Wrapper decoders (base64, compressed blobs) yield
+// another Buffer, which is decoded again, so "base64 of gzip of JSON" ends up as the JSON.
+//
+// Decoder interface:
+//   name          unique name, used in logs and DECODER_PATHS
+//   contentTypes  media types it handles ('application/json', or a '+json' style suffix)
+//   paths         path globs it handles
+//   magic(buf)    returns true when the bytes look like this format
+//   decode(buf, context)    returns the value (or a Buffer for wrappers); throws if not this format
+//   encode(value, context)  returns a Buffer; optional, without it decoded bodies are read-only
+//   wrapper       true when decode returns a Buffer to be decoded further
+// context: { path, headers, phase, maxOutputLength }, the last being how far a wrapper may inflate a body
+
+const path = require('path');
+const querystring = require('querystring');
+const zlib = require('zlib');
+const { globToRegex } = require('./rules');
+const { MAX_DECODED_SIZE } = require('./body');
+
+const MAX_DEPTH = 4;
+
+function mediaType(headers) {
+  return String((headers && headers['content-type']) || '').split(';')[0].trim().toLowerCase();
+}
+
+function isPrintable(text) {
+  return !/[\u0000-\u0008\u000e-\u001f\ufffd]/.test(text);
+}
+
+const jsonDecoder = {
+  name: 'json',
+  contentTypes: ['application/json', 'text/json', '+json'],
+  magic: buffer => /^\s*[[{]/.test(buffer.subarray(0, 16).toString('utf8')),
+  decode: buffer => JSON.parse(buffer.toString('utf8')),
+  encode: value => Buffer.from(JSON.stringify(value))
+};
+
+const formDecoder = {
+  name: 'form',
+  contentTypes: ['application/x-www-form-urlencoded'],
+  decode: buffer => ({ ...querystring.parse(buffer.toString('utf8')) }),
+  encode: value => Buffer.from(querystring.stringify(value))
+};
+
+// Only accepted when what it wraps decodes too, so ordinary words are not mistaken for base64
+const base64Decoder = {
+  name: 'base64',
+  wrapper: true,
+  strict: true,
+  magic: (buffer) => {
+    const text = buffer.toString('latin1').trim();
+    return text.length >= 8 && text.length % 4 === 0 && /^[A-Za-z0-9+/]+={0,2}$/.test(text);
+  },
+  decode: buffer => Buffer.from(buffer.toString('latin1').trim(), 'base64'),
+  encode: buffer => Buffer.from(buffer.toString('base64'))
+};
+
+// Compressed blobs inside the body itself, e.g. save files (not HTTP content-encoding)
+const gzipDecoder = {
+  name: 'gzip',
+  wrapper: true,
+  magic: buffer => buffer[0] === 0x1f && buffer[1] === 0x8b,
+  decode: (buffer, context) => zlib.gunzipSync(buffer, { maxOutputLength: context.maxOutputLength }),
+  encode: buffer => zlib.gzipSync(buffer)
+};
+
+const zlibDecoder = {
+  name: 'zlib',
+  wrapper: true,
+  magic: buffer => buffer[0] === 0x78 && [0x01, 0x5e, 0x9c, 0xda].includes(buffer[1]),
+  decode: (buffer, context) => zlib.inflateSync(buffer, { maxOutputLength: context.maxOutputLength }),
+  encode: buffer => zlib.deflateSync(buffer)
+};
+
+// Schemaless protobuf wire format. Fields are keyed by number; repeated fields become arrays.
+// Varints are numbers ({ $varint } strings beyond 2^53), length-delimited fields are strings when printable,
+// else nested messages, else { $bytes: base64 }; fixed-width fields are { $fixed32 } / { $fixed64 }.
+function readVarint(buffer, offset) {
+  let result = 0n;
+  let shift = 0n;
+  for (let i = offset; i < buffer.length && i < offset + 10; i++) {
+    result |= BigInt(buffer[i] & 0x7f) << shift;
+    if ((buffer[i] & 0x80) === 0) return { value: result, offset: i + 1 };
+    shift += 7n;
+  }
+  throw new Error('Truncated varint');
+}
+
+function writeVarint(value) {
+  let remaining = BigInt.asUintN(64, BigInt(value));
+  const bytes = [];
+  do {
+    let byte = Number(remaining & 0x7fn);
+    remaining >>= 7n;
+    if (remaining > 0n) byte |= 0x80;
+    bytes.push(byte);
+  } while (remaining > 0n);
+  return Buffer.from(bytes);
+}
+
+function decodeProtobuf(buffer, depth = 0) {
+  const message = {};
+  let offset = 0;
+
+  while (offset < buffer.length) {
+    const key = readVarint(buffer, offset);
+    offset = key.offset;
+    const field = Number(key.value >> 3n);
+    const wireType = Number(key.value & 7n);
+    if (field === 0) throw new Error('Field number 0');
+
+    let value;
+    switch (wireType) {
+      case 0: {
+        const varint = readVarint(buffer, offset);
+        offset = varint.offset;
+        value = varint.value <= BigInt(Number.MAX_SAFE_INTEGER) ? Number(varint.value) : { $varint: varint.value.toString() };
+        break;
+      }
+      case 1:
+        if (offset + 8 > buffer.length) throw new Error('Truncated fixed64');
+        value = { $fixed64: buffer.readBigUInt64LE(offset).toString() };
+        offset += 8;
+        break;
+      case 2: {
+        const length = readVarint(buffer, offset);
+        offset = length.offset;
+        const end = offset + Number(length.value);
+        if (end > buffer.length) throw new Error('Truncated length-delimited field');
+        value = decodeLengthDelimited(buffer.subarray(offset, end), depth);
+        offset = end;
+        break;
+      }
+      case 5:
+        if (offset + 4 > buffer.length) throw new Error('Truncated fixed32');
+        value = { $fixed32: buffer.readUInt32LE(offset) };
+        offset += 4;
+        break;
+      default:
+        throw new Error(`Unsupported wire type ${wireType}`);
+    }
+
+    if (field in message) {
+      message[field] = [].concat(message[field], [value]);
+    } else {
+      message[field] = value;
+    }
+  }
+
+  return message;
+}
+
+function decodeLengthDelimited(bytes, depth) {
+  const text = bytes.toString('utf8');
+  if (Buffer.from(text, 'utf8').equals(bytes) && isPrintable(text)) {
+    return text;
+  }
+  if (depth < 16) {
+    try {
+      return decodeProtobuf(bytes, depth + 1);
+    } catch {
+      // Not a nested message
+    }
+  }
+  return { $bytes: bytes.toString('base64') };
+}
+
+function encodeProtobufValue(field, value) {
+  if (Array.isArray(value)) {
+    return Buffer.concat(value.map(item => encodeProtobufValue(field, item)));
+  }
+
+  const key = wireType => writeVarint((BigInt(field) << 3n) | BigInt(wireType));
+  const delimited = bytes => Buffer.concat([key(2), writeVarint(bytes.length), bytes]);
+
+  if (typeof value === 'number' || typeof value === 'boolean') {
+    return Buffer.concat([key(0), writeVarint(Number(value))]);
+  }
+  if (value && value.$varint !== undefined) {
+    return Buffer.concat([key(0), writeVarint(value.$varint)]);
+  }
+  if (typeof value === 'string') {
+    return delimited(Buffer.from(value, 'utf8'));
+  }
+  if (value && value.$fixed32 !== undefined) {
+    const bytes = Buffer.alloc(4);
+    bytes.writeUInt32LE(value.$fixed32);
+    return Buffer.concat([key(5), bytes]);
+  }
+  if (value && value.$fixed64 !== undefined) {
+    const bytes = Buffer.alloc(8);
+    bytes.writeBigUInt64LE(BigInt(value.$fixed64));
+    return Buffer.concat([key(1), bytes]);
+  }
+  if (value && value.$bytes !== undefined) {
+    return delimited(Buffer.from(value.$bytes, 'base64'));
+  }
+  if (value && typeof value === 'object') {
+    return delimited(encodeProtobuf(value));
+  }
+  throw new Error(`Cannot encode field ${field}`);
+}
+
+function encodeProtobuf(message) {
+  return Buffer.concat(Object.keys(message)
+    .sort((a, b) => Number(a) - Number(b))
+    .map(field => encodeProtobufValue(Number(field), message[field])));
+}
+
+const protobufDecoder = {
+  name: 'protobuf',
+  contentTypes: ['application/x-protobuf', 'application/protobuf', 'application/vnd.google.protobuf'],
+  decode: buffer => decodeProtobuf(buffer),
+  encode: value => encodeProtobuf(value)
+};
+
+const BUILT_IN_DECODERS = [jsonDecoder, formDecoder, protobufDecoder, gzipDecoder, zlibDecoder, base64Decoder];
+
+class DecoderRegistry {
+  // options.maxOutputLength: bytes a compressed blob may inflate to; past it the blob is left as bytes
+  constructor(options = {}) {
+    this.decoders = [];
+    this.pathBindings = [];
+    this.maxOutputLength = options.maxOutputLength || MAX_DECODED_SIZE;
+  }
+
+  // Plugins are registered ahead of the built-ins so they can take over a format
+  register(decoder, options = {}) {
+    if (!decoder || typeof decoder.name !== 'string' || typeof decoder.decode !== 'function') {
+      throw new Error('A decoder needs a name and a decode(buffer, context) function');
+    }
+    this.decoders = this.decoders.filter(existing => existing.name !== decoder.name);
+    if (options.first) {
+      this.decoders.unshift(decoder);
+    } else {
+      this.decoders.push(decoder);
+    }
+    return this;
+  }
+
+  get(name) {
+    return this.decoders.find(decoder => decoder.name === name) || null;
+  }
+
+  // Force a decoder for matching paths, e.g. { "/saves/**": "protobuf" }
+  bindPath(glob, name) {
+    if (!this.get(name)) {
+      throw new Error(`Unknown decoder "${name}" for ${glob}`);
+    }
+    this.pathBindings.push({ regex: globToRegex(glob), name });
+    return this;
+  }
+
+  // A plugin module exports a decoder, an array of them, or a function that receives the registry
+  loadPlugin(file) {
+    const plugin = require(path.resolve(file));
+    if (typeof plugin === 'function') {
+      plugin(this);
+    } else {
+      [].concat(plugin).forEach(decoder => this.register(decoder, { first: true }));
+    }
+    return this;
+  }
+
+  // Candidate decoders for a body, most specific first: path bindings, content type, magic bytes
+  candidates(buffer, context, topLevel) {
+    const pathname = (context.path || '').split('?')[0];
+    const type = topLevel ? mediaType(context.headers) : '';
+    const found = [];
+    const add = decoder => decoder && !found.includes(decoder) && found.push(decoder);
+
+    if (topLevel) {
+      this.pathBindings.filter(binding => binding.regex.test(pathname)).forEach(binding => add(this.get(binding.name)));
+      this.decoders
+        .filter(decoder => (decoder.paths || []).some(glob => globToRegex(glob).test(pathname)))
+        .forEach(add);
+      this.decoders
+        .filter(decoder => type && (decoder.contentTypes || []).some(ct => (ct.startsWith('+') ? type.endsWith(ct) : type === ct)))
+        .forEach(add);
+    }
+    this.decoders.filter(decoder => decoder.magic && decoder.magic(buffer)).forEach(add);
+    return found;
+  }
+
+  // Returns { formats: ['base64', 'json'], value } or null when nothing recognises the body
+  decode(buffer, context = {}, depth = 0) {
+    if (!buffer || buffer.length === 0 || depth >= MAX_DEPTH) return null;
+
+    const decoderContext = { ...context, maxOutputLength: this.maxOutputLength };
+    for (const decoder of this.candidates(buffer, context, depth === 0)) {
+      let value;
+      try {
+        value = decoder.decode(buffer, decoderContext);
+      } catch {
+        continue;
+      }
+
+      if (!decoder.wrapper) {
+        return { formats: [decoder.name], value };
+      }
+
+      const inner = this.decode(value, context, depth + 1);
+      if (inner) {
+        return { formats: [decoder.name, ...inner.formats], value: inner.value };
+      }
+      if (!decoder.strict) {
+        return { formats: [decoder.name], value };
+      }
+    }
+    return null;
+  }
+
+  // Encode a value back through the same chain of formats
+  encode(formats, value, context = {}) {
+    return formats.slice().reverse().reduce((data, name) => {
+      const decoder = this.get(name);
+      if (!decoder || typeof decoder.encode !== 'function') {
+        throw new Error(`Decoder "${name}" cannot re-encode edited bodies`);
+      }
+      return decoder.encode(data, context);
+    }, value);
+  }
+}
+
+function createDecoderRegistry(options = {}) {
+  const registry = new DecoderRegistry({ maxOutputLength: options.maxOutputLength });
+  BUILT_IN_DECODERS.forEach(decoder => registry.register(decoder));
+  (options.plugins || []).forEach(file => registry.loadPlugin(file));
+  Object.entries(options.paths || {}).forEach(([glob, name]) => registry.bindPath(glob, name));
+  return registry;
+}
+
+module.exports = { DecoderRegistry, createDecoderRegistry, decodeProtobuf, encodeProtobuf };
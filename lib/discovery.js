@@ -0,0 +1,393 @@
+// discovery.js - Inventory of the 2K endpoints the game calls, for building out the local server
+// Every distinct host + method + path template is counted with a few example exchanges and what the
+// local server made of it, kept in DISCOVERY_DIR across runs and exported as JSON, Markdown and an
+// OpenAPI skeleton
+
+const fs = require('fs');
+const path = require('path');
+const url = require('url');
+const { encodeBody } = require('./recorder');
+const { decodeContent } = require('./body');
+const { pathTemplate } = require('./metrics');
+
+const INVENTORY_VERSION = 1;
+const MAX_BODY_CAPTURE = 16 * 1024; // Bytes of each example body kept
+const MAX_ENDPOINTS = 2000;
+
+// What the local server's latest answer says about an endpoint
+const LOCAL_STATES = {
+  MISSING: 'missing', // 404, 405 or 501: no handler
+  FAILING: 'failing', // Other 5xx: a handler that breaks
+  IMPLEMENTED: 'implemented',
+  UNTRIED: 'untried' // Never reached the local server
+};
+
+function localState(statusCode) {
+  if (!statusCode) return LOCAL_STATES.UNTRIED;
+  if ([404, 405, 501].includes(statusCode)) return LOCAL_STATES.MISSING;
+  if (statusCode >= 500) return LOCAL_STATES.FAILING;
+  return LOCAL_STATES.IMPLEMENTED;
+}
+
+function newBody() {
+  return { chunks: [], size: 0, captured: 0 };
+}
+
+function captureChunk(body, chunk) {
+  if (!chunk || typeof chunk === 'function') return;
+  const buffer = Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk);
+  body.size += buffer.length;
+  if (body.captured < MAX_BODY_CAPTURE) {
+    const kept = buffer.subarray(0, MAX_BODY_CAPTURE - body.captured);
+    body.chunks.push(kept);
+    body.captured += kept.length;
+  }
+}
+
+function headerValue(headers, name) {
+  const key = Object.keys(headers || {}).find(header => header.toLowerCase() === name);
+  return key ? String(headers[key]) : '';
+}
+
+// Rough JSON schema of an example value, enough to start an OpenAPI definition from
+function inferSchema(value, depth = 0) {
+  if (value === null) return { nullable: true };
+  if (Array.isArray(value)) {
+    return { type: 'array', items: value.length && depth < 8 ? inferSchema(value[0], depth + 1) : {} };
+  }
+  if (typeof value === 'object') {
+    if (depth >= 8) return { type: 'object' };
+    const properties = {};
+    for (const [key, item] of Object.entries(value)) {
+      properties[key] = inferSchema(item, depth + 1);
+    }
+    return { type: 'object', properties };
+  }
+  if (typeof value === 'number') return { type: Number.isInteger(value) ? 'integer' : 'number' };
+  if (typeof value === 'boolean') return { type: 'boolean' };
+  return { type: 'string' };
+}
+
+// /user/:id/saves/:id -> /user/{id}/saves/{id2}
+function openApiPath(template) {
+  const seen = {};
+  const parameters = [];
+  const text = template.replace(/:(\w+)/g, (match, name) => {
+    seen[name] = (seen[name] || 0) + 1;
+    const param = seen[name] > 1 ? `${name}${seen[name]}` : name;
+    parameters.push(param);
+    return `{${param}}`;
+  });
+  return { text, parameters };
+}
+
+function markdownCell(value) {
+  return String(value).replace(/\|/g, '\\|');
+}
+
+class EndpointInventory {
+  // options: { file, decoders, redactor, maxExamples }
+  constructor(options = {}) {
+    this.file = options.file || null;
+    this.decoders = options.decoders || null;
+    this.redactor = options.redactor || null;
+    this.maxExamples = options.maxExamples || 3;
+    this.endpoints = new Map();
+    this.inFlight = new Map();
+    this.dirty = false;
+    if (this.file) this.load();
+  }
+
+  load() {
+    if (!fs.existsSync(this.file)) return;
+    const data = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+    for (const endpoint of data.endpoints || []) {
+      this.endpoints.set(this.keyOf(endpoint), endpoint);
+    }
+  }
+
+  keyOf(endpoint) {
+    return `${endpoint.host} ${endpoint.method} ${endpoint.path}`;
+  }
+
+  // Keep the exchange's bodies (up to MAX_BODY_CAPTURE) until finish() files it
+  track(requestId, req, res, host) {
+    const parsed = url.parse(req.url.replace(/^\w+:\/\/[^/]+/, ''), true);
+    const exchange = {
+      host,
+      method: req.method,
+      path: pathTemplate(parsed.pathname),
+      url: parsed.path,
+      query: Object.keys(parsed.query),
+      steps: [],
+      request: { headers: req.headers, body: newBody() },
+      response: { headers: {}, body: newBody() }
+    };
+    this.inFlight.set(requestId, exchange);
+
+    req.on('data', chunk => captureChunk(exchange.request.body, chunk));
+    const writeHead = res.writeHead;
+    const write = res.write;
+    const end = res.end;
+    // Headers passed straight to writeHead never show up in getHeaders()
+    res.writeHead = function (statusCode, ...args) {
+      const headers = args.find(arg => arg && typeof arg === 'object') || {};
+      exchange.response.headers = { ...this.getHeaders() };
+      for (const [name, value] of Object.entries(headers)) {
+        exchange.response.headers[name.toLowerCase()] = value;
+      }
+      return writeHead.call(this, statusCode, ...args);
+    };
+    res.write = function (chunk, ...args) {
+      captureChunk(exchange.response.body, chunk);
+      return write.call(this, chunk, ...args);
+    };
+    res.end = function (chunk, ...args) {
+      captureChunk(exchange.response.body, chunk);
+      return end.call(this, chunk, ...args);
+    };
+  }
+
+  route(requestId, step) {
+    const exchange = this.inFlight.get(requestId);
+    if (exchange) exchange.steps.push(step);
+  }
+
+  // Only complete answers count; a timeout or a dropped request says nothing about the endpoint
+  finish(requestId, outcome, statusCode) {
+    const exchange = this.inFlight.get(requestId);
+    if (!exchange) return;
+    this.inFlight.delete(requestId);
+    if (outcome !== 'ok' || !statusCode) return;
+
+    const key = this.keyOf(exchange);
+    if (!this.endpoints.has(key) && this.endpoints.size >= MAX_ENDPOINTS) return;
+    const now = new Date().toISOString();
+    const endpoint = this.endpoints.get(key) || {
+      host: exchange.host,
+      method: exchange.method,
+      path: exchange.path,
+      hits: 0,
+      firstSeen: now,
+      lastSeen: now,
+      query: [],
+      statusCodes: {},
+      routes: {},
+      local: { hits: 0, statusCodes: {}, lastStatus: null, state: LOCAL_STATES.UNTRIED },
+      examples: []
+    };
+    this.endpoints.set(key, endpoint);
+
+    const route = exchange.steps.slice().reverse().find(step => step !== 'intercept') || 'none';
+    endpoint.hits++;
+    endpoint.lastSeen = now;
+    endpoint.statusCodes[statusCode] = (endpoint.statusCodes[statusCode] || 0) + 1;
+    endpoint.routes[route] = (endpoint.routes[route] || 0) + 1;
+    for (const name of exchange.query) {
+      if (!endpoint.query.includes(name)) endpoint.query.push(name);
+    }
+    if (route === 'local') {
+      endpoint.local.hits++;
+      endpoint.local.statusCodes[statusCode] = (endpoint.local.statusCodes[statusCode] || 0) + 1;
+      endpoint.local.lastStatus = statusCode;
+      endpoint.local.state = localState(statusCode);
+    }
+    this.addExample(endpoint, exchange, statusCode, route, now);
+    this.dirty = true;
+  }
+
+  // One example per status code and route, so the real server's answer sits next to the local one
+  addExample(endpoint, exchange, statusCode, route, at) {
+    const index = endpoint.examples.findIndex(example => example.status === statusCode && example.route === route);
+    if (index === -1 && endpoint.examples.length >= this.maxExamples) return;
+
+    const example = {
+      at,
+      url: this.redactor ? this.redactor.text(exchange.url) : exchange.url,
+      status: statusCode,
+      route,
+      request: this.exampleMessage(exchange.request, exchange, 'request'),
+      response: this.exampleMessage(exchange.response, exchange, 'response')
+    };
+    if (index === -1) {
+      endpoint.examples.push(example);
+    } else {
+      endpoint.examples[index] = example;
+    }
+  }
+
+  exampleMessage(message, exchange, phase) {
+    const buffer = Buffer.concat(message.body.chunks);
+    const truncated = message.body.size > buffer.length;
+    const headers = this.redactor ? this.redactor.value(message.headers) : message.headers;
+    const body = { size: message.body.size, truncated, contentType: headerValue(message.headers, 'content-type') || null };
+
+    const decoded = truncated ? null : this.decode(buffer, { path: exchange.url, headers: message.headers, phase });
+    if (decoded) {
+      body.format = decoded.format;
+      body.value = this.redactor ? this.redactor.value(decoded.value) : decoded.value;
+    } else {
+      Object.assign(body, encodeBody(buffer));
+    }
+    return { headers, body };
+  }
+
+  decode(buffer, context) {
+    if (!this.decoders || !buffer.length) return null;
+    try {
+      const decoded = this.decoders.decode(decodeContent(buffer, headerValue(context.headers, 'content-encoding'), this.decoders.maxOutputLength), context);
+      if (!decoded || Buffer.isBuffer(decoded.value)) return null;
+      return { format: decoded.formats.join(' > '), value: decoded.value };
+    } catch {
+      return null;
+    }
+  }
+
+  // Missing endpoints first, then by traffic
+  list() {
+    const order = [LOCAL_STATES.MISSING, LOCAL_STATES.FAILING, LOCAL_STATES.UNTRIED, LOCAL_STATES.IMPLEMENTED];
+    return Array.from(this.endpoints.values()).sort((a, b) => {
+      return order.indexOf(a.local.state) - order.indexOf(b.local.state) || b.hits - a.hits;
+    });
+  }
+
+  toJSON() {
+    const endpoints = this.list();
+    const byState = {};
+    for (const endpoint of endpoints) {
+      byState[endpoint.local.state] = (byState[endpoint.local.state] || 0) + 1;
+    }
+    return { version: INVENTORY_VERSION, updatedAt: new Date().toISOString(), total: endpoints.length, local: byState, endpoints };
+  }
+
+  toMarkdown() {
+    const data = this.toJSON();
+    const lines = [
+      '# 2K endpoint inventory',
+      '',
+      `Generated ${data.updatedAt}: ${data.total} endpoints. ` +
+        Object.values(LOCAL_STATES).map(state => `${data.local[state] || 0} ${state}`).join(', ') + ' on the local server.',
+      ''
+    ];
+
+    const sections = [
+      [LOCAL_STATES.MISSING, 'Missing on the local server (404/405/501)'],
+      [LOCAL_STATES.FAILING, 'Failing on the local server (5xx)'],
+      [LOCAL_STATES.UNTRIED, 'Not yet tried against the local server'],
+      [LOCAL_STATES.IMPLEMENTED, 'Implemented']
+    ];
+    for (const [state, title] of sections) {
+      const endpoints = data.endpoints.filter(endpoint => endpoint.local.state === state);
+      if (!endpoints.length) continue;
+      lines.push(`## ${title}`, '', '| Method | Host | Path | Hits | Status codes | Routes | Last seen |', '| --- | --- | --- | --- | --- | --- | --- |');
+      for (const endpoint of endpoints) {
+        const statuses = Object.entries(endpoint.statusCodes).map(([status, count]) => `${status}×${count}`).join(' ');
+        const routes = Object.entries(endpoint.routes).map(([route, count]) => `${route}×${count}`).join(' ');
+        lines.push(`| ${endpoint.method} | ${endpoint.host} | \`${markdownCell(endpoint.path)}\` | ${endpoint.hits} | ${statuses} | ${routes} | ${endpoint.lastSeen} |`);
+      }
+      lines.push('');
+    }
+
+    lines.push('## Examples', '');
+    for (const endpoint of data.endpoints) {
+      lines.push(`### ${endpoint.method} ${endpoint.host}${endpoint.path}`, '');
+      if (endpoint.query.length) lines.push(`Query parameters: ${endpoint.query.map(name => `\`${name}\``).join(', ')}`, '');
+      for (const example of endpoint.examples) {
+        lines.push(`**${example.status}** from ${example.route}, \`${markdownCell(example.url)}\``, '');
+        for (const [label, message] of [['Request', example.request], ['Response', example.response]]) {
+          if (!message.body.size) continue;
+          lines.push(`${label} (${message.body.format || message.body.contentType || 'body'}, ${message.body.size} bytes):`, '', '```');
+          const text = 'value' in message.body
+            ? JSON.stringify(message.body.value, null, 2)
+            : message.body.encoding === 'base64' ? `(binary, base64) ${message.body.body}` : message.body.body;
+          lines.push(text.length > 2000 ? `${text.slice(0, 2000)}\n... (${text.length - 2000} more characters)` : text, '```', '');
+        }
+      }
+    }
+    return lines.join('\n');
+  }
+
+  // Paths, parameters and example-derived schemas; descriptions and real types are left to fill in
+  toOpenApi() {
+    const hosts = Array.from(new Set(Array.from(this.endpoints.values()).map(endpoint => endpoint.host))).sort();
+    const spec = {
+      openapi: '3.0.3',
+      info: { title: 'NBA 2K17 online services (discovered)', version: new Date().toISOString().split('T')[0] },
+      servers: hosts.map(host => ({ url: `https://${host}` })),
+      tags: hosts.map(name => ({ name })),
+      paths: {}
+    };
+
+    for (const endpoint of this.list()) {
+      const { text, parameters } = openApiPath(endpoint.path);
+      const operations = spec.paths[text] || (spec.paths[text] = {});
+      const method = endpoint.method.toLowerCase();
+      if (operations[method]) {
+        // Same call on another host
+        if (!operations[method].tags.includes(endpoint.host)) operations[method].tags.push(endpoint.host);
+        operations[method]['x-hits'] += endpoint.hits;
+        continue;
+      }
+
+      const operation = {
+        tags: [endpoint.host],
+        summary: `${endpoint.method} ${endpoint.path}`,
+        'x-hits': endpoint.hits,
+        'x-local-state': endpoint.local.state,
+        parameters: [
+          ...parameters.map(name => ({ name, in: 'path', required: true, schema: { type: 'string' } })),
+          ...endpoint.query.map(name => ({ name, in: 'query', required: false, schema: { type: 'string' } }))
+        ],
+        responses: {}
+      };
+
+      const withBody = endpoint.examples.find(example => example.request.body.size);
+      if (withBody) {
+        operation.requestBody = { content: { [this.mediaType(withBody.request.body)]: this.mediaExample(withBody.request.body) } };
+      }
+      for (const example of endpoint.examples) {
+        if (operation.responses[example.status]) continue;
+        operation.responses[example.status] = { description: `Seen from ${example.route}` };
+        if (example.response.body.size) {
+          operation.responses[example.status].content = { [this.mediaType(example.response.body)]: this.mediaExample(example.response.body) };
+        }
+      }
+      if (!Object.keys(operation.responses).length) operation.responses.default = { description: 'Not observed' };
+      operations[method] = operation;
+    }
+    return spec;
+  }
+
+  mediaType(body) {
+    return (body.contentType || 'application/octet-stream').split(';')[0].trim();
+  }
+
+  mediaExample(body) {
+    if ('value' in body) return { schema: inferSchema(body.value), example: body.value };
+    return { schema: { type: 'string', format: body.encoding === 'base64' ? 'byte' : undefined } };
+  }
+
+  save() {
+    if (!this.file) return;
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+    fs.writeFileSync(this.file, JSON.stringify(this.toJSON(), null, 2));
+    this.dirty = false;
+  }
+
+  // endpoints.json (also the inventory reloaded on start), endpoints.md and openapi.json
+  writeReports(dir) {
+    fs.mkdirSync(dir, { recursive: true });
+    const files = {
+      json: path.join(dir, 'endpoints.json'),
+      markdown: path.join(dir, 'endpoints.md'),
+      openapi: path.join(dir, 'openapi.json')
+    };
+    fs.writeFileSync(files.json, JSON.stringify(this.toJSON(), null, 2));
+    fs.writeFileSync(files.markdown, this.toMarkdown());
+    fs.writeFileSync(files.openapi, JSON.stringify(this.toOpenApi(), null, 2));
+    if (files.json === this.file) this.dirty = false;
+    return files;
+  }
+}
+
+module.exports = { EndpointInventory, LOCAL_STATES, inferSchema };
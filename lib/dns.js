@@ -0,0 +1,207 @@
+// dns.js - Small DNS server for pointing consoles and PCs at the proxy
+// Answers the intercepted 2K hostnames with this machine's LAN IP and forwards or refuses the rest
+
+const dgram = require('dgram');
+const os = require('os');
+
+const TYPE_A = 1;
+const TYPE_AAAA = 28;
+const CLASS_IN = 1;
+
+const RCODE_NOERROR = 0;
+const RCODE_FORMERR = 1;
+const RCODE_SERVFAIL = 2;
+const RCODE_REFUSED = 5;
+
+const FORWARD_TIMEOUT = 3000;
+
+// First non-internal IPv4 address, which is what other devices on the LAN can reach
+function getLanAddress() {
+  for (const addresses of Object.values(os.networkInterfaces())) {
+    for (const address of addresses || []) {
+      if (address.family === 'IPv4' && !address.internal) {
+        return address.address;
+      }
+    }
+  }
+  return '127.0.0.1';
+}
+
+function readName(buffer, offset) {
+  const labels = [];
+  let jumped = false;
+  let end = offset;
+  let guard = 0;
+
+  while (guard++ < 128) {
+    const length = buffer[offset];
+    if (length === undefined) throw new Error('Truncated name');
+
+    if ((length & 0xc0) === 0xc0) {
+      if (!jumped) end = offset + 2;
+      offset = ((length & 0x3f) << 8) | buffer[offset + 1];
+      jumped = true;
+      continue;
+    }
+
+    if (length === 0) {
+      if (!jumped) end = offset + 1;
+      return { name: labels.join('.').toLowerCase(), end };
+    }
+
+    labels.push(buffer.toString('ascii', offset + 1, offset + 1 + length));
+    offset += length + 1;
+  }
+
+  throw new Error('Name compression loop');
+}
+
+// Only the first question is used; that is all real resolvers send
+function parseQuery(buffer) {
+  if (buffer.length < 12) throw new Error('Packet too short');
+
+  const id = buffer.readUInt16BE(0);
+  const flags = buffer.readUInt16BE(2);
+  const qdcount = buffer.readUInt16BE(4);
+  if (qdcount < 1) throw new Error('No question');
+
+  const { name, end } = readName(buffer, 12);
+  if (end + 4 > buffer.length) throw new Error('Truncated question');
+
+  return {
+    id,
+    flags,
+    name,
+    type: buffer.readUInt16BE(end),
+    qclass: buffer.readUInt16BE(end + 2),
+    question: buffer.subarray(12, end + 4)
+  };
+}
+
+function buildResponse(query, rcode, answers = [], ttl = 60) {
+  const header = Buffer.alloc(12);
+  header.writeUInt16BE(query.id, 0);
+  // QR + opcode 0 + AA + RD copied from the query + RA + rcode
+  header.writeUInt16BE(0x8000 | 0x0400 | (query.flags & 0x0100) | 0x0080 | rcode, 2);
+  header.writeUInt16BE(query.question ? 1 : 0, 4);
+  header.writeUInt16BE(answers.length, 6);
+
+  const records = answers.map((ip) => {
+    const record = Buffer.alloc(16);
+    record.writeUInt16BE(0xc00c, 0); // Pointer to the name in the question
+    record.writeUInt16BE(TYPE_A, 2);
+    record.writeUInt16BE(CLASS_IN, 4);
+    record.writeUInt32BE(ttl, 6);
+    record.writeUInt16BE(4, 10);
+    ip.split('.').forEach((octet, i) => record.writeUInt8(Number(octet), 12 + i));
+    return record;
+  });
+
+  return Buffer.concat([header, query.question || Buffer.alloc(0), ...records]);
+}
+
+class DnsServer {
+  constructor(options) {
+    this.domains = options.domains.map(d => d.toLowerCase());
+    this.answerIp = options.answerIp || getLanAddress();
+    this.upstream = options.upstream || null; // null refuses everything that is not intercepted
+    this.ttl = options.ttl || 60;
+    this.allowClient = options.allowClient || null; // Queries from other addresses are dropped unanswered
+    this.refused = new Set(); // Addresses already logged as refused
+    this.logger = options.logger;
+    this.socket = dgram.createSocket('udp4');
+    this.socket.on('message', (msg, rinfo) => this.handleMessage(msg, rinfo));
+    this.socket.on('error', (err) => {
+      this.logger.log('ERROR', `DNS server error: ${err.message}`);
+    });
+  }
+
+  isIntercepted(name) {
+    return this.domains.some(domain => name === domain || name.endsWith('.' + domain));
+  }
+
+  listen(port, host) {
+    return new Promise((resolve, reject) => {
+      this.socket.once('error', reject);
+      this.socket.bind(port, host, () => {
+        this.socket.removeListener('error', reject);
+        resolve();
+      });
+    });
+  }
+
+  close() {
+    this.socket.close();
+  }
+
+  reply(buffer, rinfo) {
+    this.socket.send(buffer, rinfo.port, rinfo.address);
+  }
+
+  handleMessage(msg, rinfo) {
+    // Silently, so the server can't be used to reflect traffic at someone else
+    if (this.allowClient && !this.allowClient(rinfo.address)) {
+      if (!this.refused.has(rinfo.address) && this.refused.size < 100) {
+        this.refused.add(rinfo.address);
+        this.logger.log('WARN', `🚫 DNS: ignoring queries from ${rinfo.address} (not in ACCESS_ALLOW)`);
+      }
+      return;
+    }
+
+    let query;
+    try {
+      query = parseQuery(msg);
+    } catch (err) {
+      this.logger.log('WARN', `DNS: malformed query from ${rinfo.address}: ${err.message}`);
+      if (msg.length >= 4) {
+        this.reply(buildResponse({ id: msg.readUInt16BE(0), flags: msg.readUInt16BE(2) }, RCODE_FORMERR), rinfo);
+      }
+      return;
+    }
+
+    if (this.isIntercepted(query.name) && query.qclass === CLASS_IN) {
+      // A gets the proxy's address; AAAA gets an empty answer so the game falls back to IPv4
+      const answers = query.type === TYPE_A ? [this.answerIp] : [];
+      if (query.type === TYPE_A || query.type === TYPE_AAAA) {
+        this.logger.log('INFO', `🧭 DNS ${rinfo.address}: ${query.name} -> ${answers[0] || '(no AAAA)'}`);
+      }
+      this.reply(buildResponse(query, RCODE_NOERROR, answers, this.ttl), rinfo);
+      return;
+    }
+
+    if (!this.upstream) {
+      this.reply(buildResponse(query, RCODE_REFUSED), rinfo);
+      return;
+    }
+
+    this.forward(msg, query, rinfo);
+  }
+
+  // Relay the raw query to the upstream resolver and its answer back unchanged
+  forward(msg, query, rinfo) {
+    const [upstreamHost, upstreamPort] = this.upstream.split(':');
+    const socket = dgram.createSocket('udp4');
+
+    const timer = setTimeout(() => {
+      socket.close();
+      this.reply(buildResponse(query, RCODE_SERVFAIL), rinfo);
+    }, FORWARD_TIMEOUT);
+
+    socket.on('message', (response) => {
+      clearTimeout(timer);
+      socket.close();
+      this.reply(response, rinfo);
+    });
+
+    socket.on('error', (err) => {
+      clearTimeout(timer);
+      socket.close();
+      this.logger.log('WARN', `DNS: upstream ${this.upstream} failed for ${query.name}: ${err.message}`);
+      this.reply(buildResponse(query, RCODE_SERVFAIL), rinfo);
+    });
+
+    socket.send(msg, parseInt(upstreamPort, 10) || 53, upstreamHost);
+  }
+}
+
+module.exports = { DnsServer, getLanAddress, parseQuery, buildResponse };
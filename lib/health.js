@@ -0,0 +1,198 @@
+// health.js - Upstream health tracking for the real 2K servers
+// Each SERVER_ENDPOINTS host gets a circuit breaker: after enough consecutive failures it opens and
+// traffic skips the host (straight to the local server) until a probe or a trial request succeeds
+
+const http = require('http');
+const https = require('https');
+const { EventEmitter } = require('events');
+
+const STATES = { CLOSED: 'up', OPEN: 'down', HALF_OPEN: 'recovering' };
+
+class CircuitBreaker {
+  constructor(options = {}) {
+    this.failureThreshold = options.failureThreshold || 3;
+    this.cooldown = options.cooldown || 30000;
+    this.state = STATES.CLOSED;
+    this.failures = 0;
+    this.openedAt = null;
+    this.trialInFlight = false;
+    this.trialStartedAt = null;
+    this.lastError = null;
+    this.changedAt = Date.now();
+  }
+
+  // Open circuits let a single trial request through once the cooldown has passed. A trial that
+  // never reports back gets another cooldown before the next one is let through
+  allow() {
+    if (this.state === STATES.CLOSED) return true;
+    if (this.state === STATES.OPEN && Date.now() - this.openedAt >= this.cooldown) {
+      this.transition(STATES.HALF_OPEN);
+    }
+    if (this.state === STATES.HALF_OPEN && (!this.trialInFlight || Date.now() - this.trialStartedAt >= this.cooldown)) {
+      this.trialInFlight = true;
+      this.trialStartedAt = Date.now();
+      return true;
+    }
+    return false;
+  }
+
+  // The trial ended without telling whether the host is up, e.g. the game hung up first
+  abandon() {
+    this.trialInFlight = false;
+  }
+
+  success() {
+    this.failures = 0;
+    this.trialInFlight = false;
+    this.lastError = null;
+    return this.transition(STATES.CLOSED);
+  }
+
+  failure(reason) {
+    this.failures++;
+    this.trialInFlight = false;
+    this.lastError = reason;
+    if (this.state === STATES.HALF_OPEN || (this.state === STATES.CLOSED && this.failures >= this.failureThreshold)) {
+      this.openedAt = Date.now();
+      return this.transition(STATES.OPEN);
+    }
+    return null;
+  }
+
+  // Returns the previous state when it changed, else null
+  transition(state) {
+    if (this.state === state) return null;
+    const previous = this.state;
+    this.state = state;
+    this.changedAt = Date.now();
+    return previous;
+  }
+}
+
+class HealthMonitor extends EventEmitter {
+  // endpoints: SERVER_ENDPOINTS; options: failureThreshold, cooldown, interval, timeout, path, and upstream
+  // (lib/upstream.js) to probe the way real traffic goes
+  constructor(endpoints, options = {}) {
+    super();
+    this.endpoints = endpoints;
+    this.interval = options.interval || 0;
+    this.timeout = options.timeout || 5000;
+    this.path = options.path || '/';
+    this.upstream = options.upstream || null;
+    this.breakers = new Map();
+    this.probes = new Map();
+    this.timer = null;
+
+    for (const hostname of Object.keys(endpoints)) {
+      this.breakers.set(hostname, new CircuitBreaker(options));
+    }
+  }
+
+  // Whether a request for this host should go to the real server
+  allow(hostname) {
+    const breaker = this.breakers.get(hostname);
+    if (!breaker) return true;
+    const previous = breaker.state;
+    const allowed = breaker.allow();
+    if (breaker.state !== previous) this.changed(hostname, previous, 'cooldown over, trying a live request');
+    return allowed;
+  }
+
+  success(hostname) {
+    const breaker = this.breakers.get(hostname);
+    if (!breaker) return;
+    const previous = breaker.success();
+    if (previous) this.changed(hostname, previous, 'responding again');
+  }
+
+  failure(hostname, reason) {
+    const breaker = this.breakers.get(hostname);
+    if (!breaker) return;
+    const previous = breaker.failure(reason);
+    if (previous) this.changed(hostname, previous, reason);
+  }
+
+  abandon(hostname) {
+    const breaker = this.breakers.get(hostname);
+    if (breaker) breaker.abandon();
+  }
+
+  changed(hostname, from, reason) {
+    const breaker = this.breakers.get(hostname);
+    this.emit('change', { hostname, from, to: breaker.state, reason, failures: breaker.failures });
+  }
+
+  isDown(hostname) {
+    const breaker = this.breakers.get(hostname);
+    return Boolean(breaker) && breaker.state !== STATES.CLOSED;
+  }
+
+  // Any HTTP answer below 500 counts as up; 2K hosts 404 on most paths
+  probe(hostname) {
+    const endpoint = this.endpoints[hostname];
+    const httpModule = endpoint.protocol === 'https' ? https : http;
+
+    return new Promise((resolve) => {
+      const startedAt = Date.now();
+      const done = (ok, reason) => {
+        this.probes.set(hostname, { at: new Date(startedAt).toISOString(), ok, latency: Date.now() - startedAt, reason: reason || null });
+        if (ok) {
+          this.success(hostname);
+        } else {
+          this.failure(hostname, `probe: ${reason}`);
+        }
+        resolve(ok);
+      };
+
+      const options = {
+        hostname: endpoint.host,
+        port: endpoint.port,
+        path: this.path,
+        method: 'GET',
+        headers: { host: `${endpoint.host}:${endpoint.port}` },
+        timeout: this.timeout,
+        rejectUnauthorized: false
+      };
+      const secure = endpoint.protocol === 'https';
+      const req = httpModule.request(this.upstream ? this.upstream.requestOptions(options, secure) : options, (res) => {
+        res.resume();
+        done(res.statusCode < 500, `HTTP ${res.statusCode}`);
+      });
+      req.on('timeout', () => req.destroy(new Error(`no answer within ${this.timeout}ms`)));
+      req.on('error', err => done(false, err.message));
+      req.end();
+    });
+  }
+
+  probeAll() {
+    return Promise.all(Object.keys(this.endpoints).map(hostname => this.probe(hostname)));
+  }
+
+  start() {
+    if (!this.interval || this.timer) return this;
+    this.probeAll();
+    this.timer = setInterval(() => this.probeAll(), this.interval);
+    this.timer.unref();
+    return this;
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  status() {
+    return Array.from(this.breakers.entries()).map(([hostname, breaker]) => ({
+      hostname,
+      upstream: `${this.endpoints[hostname].host}:${this.endpoints[hostname].port}`,
+      state: breaker.state,
+      failures: breaker.failures,
+      lastError: breaker.lastError,
+      since: new Date(breaker.changedAt).toISOString(),
+      retryAt: breaker.state === STATES.OPEN ? new Date(breaker.openedAt + breaker.cooldown).toISOString() : null,
+      lastProbe: this.probes.get(hostname) || null
+    }));
+  }
+}
+
+module.exports = { CircuitBreaker, HealthMonitor, STATES };
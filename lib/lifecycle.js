@@ -0,0 +1,245 @@
+// lifecycle.js - Timeouts, cancellation and single-response handling for proxied requests
+// Every incoming request gets a RequestLifecycle: upstream requests made for it are tracked with
+// connect/idle/total timeouts and cancelled when the game hangs up, error answers are only sent if
+// nothing was sent yet, and the outcome is logged once when the exchange ends
+
+const net = require('net');
+
+// How an exchange or tunnel ended
+const OUTCOMES = {
+  OK: 'ok',
+  CONNECT_TIMEOUT: 'connect-timeout',
+  IDLE_TIMEOUT: 'idle-timeout',
+  TOTAL_TIMEOUT: 'total-timeout',
+  UPSTREAM_ERROR: 'upstream-error',
+  UPSTREAM_UNAVAILABLE: 'upstream-unavailable',
+  CLIENT_ABORTED: 'client-aborted',
+  DROPPED: 'dropped',
+  TOO_LARGE: 'too-large',
+  PROXY_ERROR: 'proxy-error'
+};
+
+const TIMEOUT_OUTCOMES = [OUTCOMES.CONNECT_TIMEOUT, OUTCOMES.IDLE_TIMEOUT, OUTCOMES.TOTAL_TIMEOUT];
+
+class LifecycleError extends Error {
+  constructor(outcome, message) {
+    super(message);
+    this.name = 'LifecycleError';
+    this.outcome = outcome;
+  }
+}
+
+// The outcome behind an upstream error: our own timeouts carry one, anything else is an upstream error
+function outcomeOf(err) {
+  return (err && err.outcome) || OUTCOMES.UPSTREAM_ERROR;
+}
+
+class RequestLifecycle {
+  // options: { logger, connectTimeout, idleTimeout, totalTimeout, onFinish(outcome, statusCode) }
+  constructor(requestId, res, options = {}) {
+    this.requestId = requestId;
+    this.res = res;
+    this.logger = options.logger;
+    this.onFinish = options.onFinish || null;
+    this.connectTimeout = options.connectTimeout || 30000;
+    this.idleTimeout = options.idleTimeout || 30000;
+    this.totalTimeout = options.totalTimeout || 60000;
+    this.startedAt = Date.now();
+    this.outcome = null;
+    this.finished = false;
+    this.upstreams = new Set();
+
+    res.on('finish', () => this.finish(this.outcome || OUTCOMES.OK));
+    res.on('close', () => {
+      if (res.writableFinished) return;
+      // The game went away first: stop whatever is still working on its behalf
+      this.outcome = this.outcome || OUTCOMES.CLIENT_ABORTED;
+      this.cancel(this.outcome);
+      this.finish(this.outcome);
+    });
+  }
+
+  get responded() {
+    return this.res.headersSent || this.res.writableEnded || this.res.destroyed;
+  }
+
+  get cancelled() {
+    return this.res.destroyed && !this.res.writableFinished;
+  }
+
+  // Send an answer unless one is already on its way; returns whether it was sent
+  respond(statusCode, headers, body, outcome = OUTCOMES.OK) {
+    if (this.responded) {
+      // A second error after the first one was answered is expected; anything else is a bug worth seeing
+      if (!this.outcome || this.outcome === OUTCOMES.OK) {
+        this.logger.log('WARN', `[${this.requestId}] Response already sent, not sending ${statusCode} (${outcome})`);
+      }
+      return false;
+    }
+    this.outcome = this.outcome || outcome;
+    this.res.writeHead(statusCode, headers);
+    this.res.end(body);
+    return true;
+  }
+
+  // Error answer; once the status line is out the only honest signal left is cutting the connection
+  fail(outcome, statusCode, message) {
+    if (this.res.destroyed) return false; // Already cut off, e.g. by an earlier failure
+    if (this.res.headersSent && !this.res.writableEnded) {
+      this.logger.log('WARN', `[${this.requestId}] ${outcome} after the response started, closing the connection`);
+      this.outcome = this.outcome || outcome;
+      this.res.destroy();
+      return false;
+    }
+    return this.respond(statusCode, { 'Content-Type': 'text/plain' }, message, outcome);
+  }
+
+  // Apply connect, idle and total timeouts to an outgoing http(s) request made for this exchange.
+  // A timeout destroys the request with a LifecycleError whose outcome says which one fired.
+  track(upstreamReq) {
+    this.upstreams.add(upstreamReq);
+    const abort = (outcome, message) => {
+      if (!upstreamReq.destroyed) upstreamReq.destroy(new LifecycleError(outcome, message));
+    };
+
+    const total = setTimeout(() => {
+      abort(OUTCOMES.TOTAL_TIMEOUT, `no complete response within ${this.totalTimeout}ms`);
+    }, this.totalTimeout);
+    const done = () => {
+      clearTimeout(total);
+      this.upstreams.delete(upstreamReq);
+    };
+
+    upstreamReq.on('socket', (socket) => {
+      if (!socket.connecting) return; // Reused keep-alive socket
+      const connect = setTimeout(() => {
+        abort(OUTCOMES.CONNECT_TIMEOUT, `could not connect within ${this.connectTimeout}ms`);
+      }, this.connectTimeout);
+      socket.once('connect', () => clearTimeout(connect));
+      socket.once('close', () => clearTimeout(connect));
+    });
+    upstreamReq.setTimeout(this.idleTimeout, () => {
+      abort(OUTCOMES.IDLE_TIMEOUT, `upstream silent for ${this.idleTimeout}ms`);
+    });
+
+    upstreamReq.on('response', (upstreamRes) => {
+      upstreamRes.on('end', done);
+      // A response cut off mid-body can't be answered with a status any more
+      upstreamRes.on('aborted', () => this.fail(OUTCOMES.UPSTREAM_ERROR, 502, 'Bad Gateway: upstream response cut off'));
+      upstreamRes.on('error', err => this.fail(outcomeOf(err), 502, `Bad Gateway: ${err.message}`));
+    });
+    upstreamReq.on('close', () => {
+      if (!upstreamReq.res || upstreamReq.res.complete) done();
+    });
+    return upstreamReq;
+  }
+
+  cancel(outcome) {
+    for (const upstreamReq of this.upstreams) {
+      upstreamReq.destroy(new LifecycleError(outcome, 'request cancelled'));
+    }
+    this.upstreams.clear();
+  }
+
+  finish(outcome) {
+    if (this.finished) return;
+    this.finished = true;
+    this.outcome = outcome;
+    const statusCode = this.res.headersSent ? this.res.statusCode : null;
+    const elapsed = Date.now() - this.startedAt;
+    const level = outcome === OUTCOMES.OK ? 'INFO' : 'WARN';
+    this.logger.log(level, `[${this.requestId}] 🏁 ${outcome} ${statusCode || '-'} in ${elapsed}ms`);
+    if (this.onFinish) this.onFinish(outcome, statusCode);
+  }
+}
+
+// A plain TCP connection; callback(err, socket) once it is up. Returns the socket being dialled.
+function connectDirect(host, port, callback) {
+  const socket = net.connect(port, host);
+  const onError = err => callback(err);
+  socket.once('error', onError);
+  socket.once('connect', () => {
+    socket.removeListener('error', onError);
+    callback(null, socket);
+  });
+  return socket;
+}
+
+// Raw TCP tunnel (CONNECT or transparent pass-through) with a connect timeout, an idle timeout and
+// teardown of both sides when either one goes away. options.connect dials some other way than directly,
+// e.g. through an upstream proxy (see lib/upstream.js).
+// options: { logger, connectTimeout, idleTimeout, head, connect(host, port, callback), onConnect(), onError(err),
+//            onClose(outcome, bytesUp, bytesDown) }
+function openTunnel(requestId, clientSocket, host, port, options) {
+  const { logger } = options;
+  const startedAt = Date.now();
+  let outcome = null;
+  let connected = false;
+  let serverSocket = null;
+  let bytesUp = 0;
+  let bytesDown = 0;
+
+  const close = (result, err) => {
+    if (outcome) return;
+    outcome = result;
+    clearTimeout(connectTimer);
+    const upstream = serverSocket || dialling;
+    if (result === OUTCOMES.OK) {
+      // One side hung up cleanly: let the other finish writing what it has
+      clientSocket.end();
+      upstream.end();
+    } else if (!connected && result !== OUTCOMES.CLIENT_ABORTED && options.onError) {
+      upstream.destroy();
+      options.onError(err || new LifecycleError(result, result));
+    } else {
+      clientSocket.destroy();
+      upstream.destroy();
+    }
+    const level = result === OUTCOMES.OK ? 'INFO' : 'WARN';
+    logger.log(level, `[${requestId}] 🏁 Tunnel to ${host}:${port} ${result} after ${Date.now() - startedAt}ms (${bytesUp} bytes up, ${bytesDown} down)`);
+    if (options.onClose) options.onClose(result, bytesUp, bytesDown);
+  };
+
+  const connectTimer = setTimeout(() => {
+    close(OUTCOMES.CONNECT_TIMEOUT, new LifecycleError(OUTCOMES.CONNECT_TIMEOUT, `could not connect within ${options.connectTimeout}ms`));
+  }, options.connectTimeout);
+
+  const dialling = (options.connect || connectDirect)(host, port, (err, socket) => {
+    if (err) {
+      close(outcomeOf(err), err);
+      return;
+    }
+    // The game left, or the connect timeout fired, while this was dialling
+    if (outcome) {
+      socket.destroy();
+      return;
+    }
+    serverSocket = socket;
+    connected = true;
+    clearTimeout(connectTimer);
+    if (options.onConnect) options.onConnect();
+    if (options.head && options.head.length) {
+      bytesUp += options.head.length;
+      serverSocket.write(options.head);
+    }
+    serverSocket.on('data', (chunk) => { bytesDown += chunk.length; });
+    clientSocket.on('data', (chunk) => { bytesUp += chunk.length; });
+    serverSocket.pipe(clientSocket);
+    clientSocket.pipe(serverSocket);
+    clientSocket.resume();
+
+    const idle = () => close(OUTCOMES.IDLE_TIMEOUT);
+    serverSocket.setTimeout(options.idleTimeout, idle);
+    clientSocket.setTimeout(options.idleTimeout, idle);
+
+    serverSocket.on('error', err => close(OUTCOMES.UPSTREAM_ERROR, err));
+    serverSocket.on('close', () => close(OUTCOMES.OK));
+  });
+
+  clientSocket.on('error', () => close(OUTCOMES.CLIENT_ABORTED));
+  clientSocket.on('close', () => close(connected ? OUTCOMES.OK : OUTCOMES.CLIENT_ABORTED));
+
+  return dialling;
+}
+
+module.exports = { LifecycleError, OUTCOMES, RequestLifecycle, TIMEOUT_OUTCOMES, openTunnel, outcomeOf };
@@ -0,0 +1,267 @@
+// lobby.js - Lobbies and matchmaking for the local 2K17 server
+// Players on the same LAN or private server create or join a lobby, mark themselves ready and the
+// host starts the match, at which point everyone gets the others' addresses to connect to directly.
+// Lobbies live in memory; players who stop polling are dropped and idle lobbies are closed.
+
+const crypto = require('crypto');
+
+const PRUNE_INTERVAL = 5 * 1000;
+const MIN_PLAYERS = 2;
+const MAX_PLAYERS = 10;
+
+const LOBBY_STATES = { WAITING: 'waiting', IN_GAME: 'in-game', CLOSED: 'closed' };
+
+function newId(bytes) {
+  return crypto.randomBytes(bytes).toString('hex');
+}
+
+// Short code friends type in to join a private lobby
+function newCode() {
+  return crypto.randomInt(0, 1000000).toString().padStart(6, '0');
+}
+
+class LobbyManager {
+  // options: { playerTimeout, idleTimeout, matchTimeout } in seconds
+  constructor(options = {}) {
+    this.playerTimeout = (options.playerTimeout || 30) * 1000;
+    this.idleTimeout = (options.idleTimeout || 600) * 1000;
+    this.matchTimeout = (options.matchTimeout || 3 * 3600) * 1000;
+    this.lobbies = new Map();
+    this.playerLobbies = new Map(); // userId -> lobbyId
+    this.pruneTimer = setInterval(() => this.prune(), PRUNE_INTERVAL);
+    this.pruneTimer.unref();
+  }
+
+  // player: { userId, username, address: { ip, port } }
+  // options: { name, mode, maxPlayers, private }
+  create(player, options = {}) {
+    const maxPlayers = options.maxPlayers === undefined ? MIN_PLAYERS : Number(options.maxPlayers);
+    if (!Number.isInteger(maxPlayers) || maxPlayers < MIN_PLAYERS || maxPlayers > MAX_PLAYERS) {
+      return { error: 'BAD_REQUEST' };
+    }
+
+    this.leaveCurrent(player.userId);
+    const now = Date.now();
+    const lobby = {
+      lobbyId: newId(8),
+      name: String(options.name || `${player.username}'s game`).slice(0, 64),
+      mode: String(options.mode || 'head-to-head'),
+      private: Boolean(options.private),
+      code: options.private ? newCode() : null,
+      maxPlayers,
+      hostId: player.userId,
+      state: LOBBY_STATES.WAITING,
+      players: [],
+      match: null,
+      createdAt: now,
+      updatedAt: now
+    };
+    this.lobbies.set(lobby.lobbyId, lobby);
+    this.addPlayer(lobby, player);
+    return { lobby };
+  }
+
+  // Public lobbies still taking players, oldest first
+  list(mode = null) {
+    return Array.from(this.lobbies.values()).filter(lobby => lobby.state === LOBBY_STATES.WAITING &&
+      !lobby.private && lobby.players.length < lobby.maxPlayers && (!mode || lobby.mode === mode));
+  }
+
+  get(lobbyId) {
+    const lobby = this.lobbies.get(lobbyId);
+    return lobby ? { lobby } : { error: 'LOBBY_NOT_FOUND' };
+  }
+
+  current(userId) {
+    const lobbyId = this.playerLobbies.get(userId);
+    return lobbyId ? this.get(lobbyId) : { error: 'NOT_IN_LOBBY' };
+  }
+
+  join(lobbyId, player, code = null) {
+    const { lobby, error } = this.get(lobbyId);
+    if (error) return { error };
+    if (this.member(lobby, player.userId)) {
+      this.touch(lobby, player.userId, player.address);
+      return { lobby };
+    }
+    if (lobby.state === LOBBY_STATES.IN_GAME) return { error: 'LOBBY_IN_GAME' };
+    if (lobby.players.length >= lobby.maxPlayers) return { error: 'LOBBY_FULL' };
+    if (lobby.private && String(code || '') !== lobby.code) return { error: 'LOBBY_CODE_INVALID' };
+
+    this.leaveCurrent(player.userId);
+    this.addPlayer(lobby, player);
+    return { lobby };
+  }
+
+  // Join the oldest open lobby for the mode, or open one for others to find
+  matchmake(player, mode = 'head-to-head') {
+    const current = this.playerLobbies.get(player.userId);
+    const lobby = this.list(mode).find(candidate => candidate.lobbyId !== current);
+    return lobby ? this.join(lobby.lobbyId, player) : this.create(player, { mode });
+  }
+
+  leave(lobbyId, userId) {
+    const { lobby, error } = this.get(lobbyId);
+    if (error) return { error };
+    if (!this.member(lobby, userId)) return { error: 'NOT_IN_LOBBY' };
+    this.removePlayer(lobby, userId);
+    return { lobby };
+  }
+
+  setReady(lobbyId, userId, ready) {
+    const { lobby, player, error } = this.memberOf(lobbyId, userId);
+    if (error) return { error };
+    if (lobby.state !== LOBBY_STATES.WAITING) return { error: 'LOBBY_IN_GAME' };
+    player.ready = Boolean(ready);
+    this.touch(lobby, userId);
+    return { lobby };
+  }
+
+  // Host only, once enough players are in and all of them are ready
+  start(lobbyId, userId) {
+    const { lobby, error } = this.memberOf(lobbyId, userId);
+    if (error) return { error };
+    if (lobby.hostId !== userId) return { error: 'NOT_LOBBY_HOST' };
+    if (lobby.state !== LOBBY_STATES.WAITING) return { error: 'LOBBY_IN_GAME' };
+    if (lobby.players.length < MIN_PLAYERS) return { error: 'NOT_ENOUGH_PLAYERS' };
+    if (lobby.players.some(player => !player.ready)) return { error: 'PLAYERS_NOT_READY' };
+
+    const host = this.member(lobby, lobby.hostId);
+    lobby.state = LOBBY_STATES.IN_GAME;
+    lobby.match = {
+      matchId: newId(8),
+      startedAt: Date.now(),
+      host: { userId: host.userId, ...host.address },
+      peers: lobby.players.map(player => ({ userId: player.userId, username: player.username, ...player.address }))
+    };
+    this.touch(lobby, userId);
+    return { lobby };
+  }
+
+  // Back to the lobby after a match, everyone unready
+  end(lobbyId, userId) {
+    const { lobby, error } = this.memberOf(lobbyId, userId);
+    if (error) return { error };
+    if (lobby.state !== LOBBY_STATES.IN_GAME) return { lobby };
+    lobby.state = LOBBY_STATES.WAITING;
+    lobby.match = null;
+    for (const player of lobby.players) player.ready = false;
+    this.touch(lobby, userId);
+    return { lobby };
+  }
+
+  heartbeat(lobbyId, userId, address = null) {
+    const { lobby, error } = this.memberOf(lobbyId, userId);
+    if (error) return { error };
+    this.touch(lobby, userId, address);
+    return { lobby };
+  }
+
+  memberOf(lobbyId, userId) {
+    const { lobby, error } = this.get(lobbyId);
+    if (error) return { error };
+    const player = this.member(lobby, userId);
+    return player ? { lobby, player } : { error: 'NOT_IN_LOBBY' };
+  }
+
+  member(lobby, userId) {
+    return lobby.players.find(player => player.userId === userId) || null;
+  }
+
+  addPlayer(lobby, player) {
+    const now = Date.now();
+    lobby.players.push({
+      userId: player.userId,
+      username: player.username,
+      address: player.address || {},
+      ready: false,
+      joinedAt: now,
+      lastSeen: now
+    });
+    lobby.updatedAt = now;
+    this.playerLobbies.set(player.userId, lobby.lobbyId);
+  }
+
+  // The host passing on to the longest-standing player; the last one out closes the lobby
+  removePlayer(lobby, userId) {
+    lobby.players = lobby.players.filter(player => player.userId !== userId);
+    lobby.updatedAt = Date.now();
+    if (this.playerLobbies.get(userId) === lobby.lobbyId) this.playerLobbies.delete(userId);
+
+    if (!lobby.players.length) {
+      this.closeLobby(lobby);
+    } else if (lobby.hostId === userId) {
+      lobby.hostId = lobby.players[0].userId;
+    }
+  }
+
+  leaveCurrent(userId) {
+    const lobbyId = this.playerLobbies.get(userId);
+    const lobby = lobbyId && this.lobbies.get(lobbyId);
+    if (lobby) this.removePlayer(lobby, userId);
+  }
+
+  touch(lobby, userId, address = null) {
+    const player = this.member(lobby, userId);
+    const now = Date.now();
+    if (player) {
+      player.lastSeen = now;
+      if (address) player.address = address;
+    }
+    lobby.updatedAt = now;
+  }
+
+  closeLobby(lobby) {
+    lobby.state = LOBBY_STATES.CLOSED;
+    for (const player of lobby.players) {
+      if (this.playerLobbies.get(player.userId) === lobby.lobbyId) this.playerLobbies.delete(player.userId);
+    }
+    this.lobbies.delete(lobby.lobbyId);
+  }
+
+  // Drop players who stopped polling (not mid-match, when the game talks peer to peer) and close
+  // lobbies nobody has touched in a while
+  prune(now = Date.now()) {
+    for (const lobby of Array.from(this.lobbies.values())) {
+      if (lobby.state === LOBBY_STATES.IN_GAME) {
+        if (now - lobby.updatedAt > this.matchTimeout) this.closeLobby(lobby);
+        continue;
+      }
+      for (const player of lobby.players.slice()) {
+        if (now - player.lastSeen > this.playerTimeout) this.removePlayer(lobby, player.userId);
+      }
+      if (this.lobbies.has(lobby.lobbyId) && now - lobby.updatedAt > this.idleTimeout) this.closeLobby(lobby);
+    }
+  }
+
+  // What a player sees: the join code only for members, addresses only once the match starts
+  view(lobby, userId = null) {
+    const isMember = Boolean(userId && this.member(lobby, userId));
+    return {
+      lobbyId: lobby.lobbyId,
+      name: lobby.name,
+      mode: lobby.mode,
+      private: lobby.private,
+      code: isMember ? lobby.code : undefined,
+      state: lobby.state,
+      maxPlayers: lobby.maxPlayers,
+      hostId: lobby.hostId,
+      players: lobby.players.map(player => ({
+        userId: player.userId,
+        username: player.username,
+        ready: player.ready,
+        host: player.userId === lobby.hostId
+      })),
+      match: isMember ? lobby.match : null,
+      expiresIn: lobby.state === LOBBY_STATES.WAITING
+        ? Math.max(0, Math.round((lobby.updatedAt + this.idleTimeout - Date.now()) / 1000))
+        : null
+    };
+  }
+
+  close() {
+    clearInterval(this.pruneTimer);
+  }
+}
+
+module.exports = { LOBBY_STATES, LobbyManager };
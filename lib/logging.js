@@ -0,0 +1,212 @@
+// logging.js - Log file writing and redaction for ProxyLogger
+// LogWriter buffers lines and appends them asynchronously to one file per day, rotating by size,
+// gzipping rotated files and deleting them after the retention period. Redactor masks sensitive
+// keys wherever they appear: nested JSON, form bodies, headers and query strings.
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { pipeline } = require('stream');
+
+// Lower is more important; a configured level shows itself and everything above it
+const LOG_LEVELS = { error: 0, warn: 1, info: 2, debug: 3 };
+
+// Traffic dumps are logged at info level
+const LEVEL_ALIASES = { request: 'info', response: 'info', rule: 'info' };
+
+function levelRank(level) {
+  const name = String(level).toLowerCase();
+  const rank = LOG_LEVELS[LEVEL_ALIASES[name] || name];
+  return rank === undefined ? LOG_LEVELS.info : rank;
+}
+
+const REDACTED = '[REDACTED]';
+const FLUSH_SIZE = 64 * 1024;
+
+function today() {
+  return new Date().toISOString().split('T')[0];
+}
+
+class LogWriter {
+  // options: { dir, prefix, maxSize, retentionDays, compress, flushInterval, onError(err) }
+  constructor(options) {
+    this.dir = options.dir;
+    this.prefix = options.prefix || 'proxy';
+    this.maxSize = options.maxSize || 10 * 1024 * 1024;
+    this.retentionDays = options.retentionDays || 0;
+    this.compress = options.compress !== false;
+    this.onError = options.onError || (err => console.error(`Log write failed: ${err.message}`));
+    this.pending = [];
+    this.pendingBytes = 0;
+    this.writing = null;
+    this.archiving = new Map();
+    this.day = null;
+    this.file = null;
+    this.size = 0;
+
+    this.timer = setInterval(() => this.flush(), options.flushInterval || 250);
+    this.timer.unref();
+  }
+
+  fileFor(day) {
+    return path.join(this.dir, `${this.prefix}-${day}.log`);
+  }
+
+  write(line) {
+    this.pending.push(line);
+    this.pendingBytes += Buffer.byteLength(line);
+    if (this.pendingBytes >= FLUSH_SIZE) this.flush();
+  }
+
+  // One append in flight at a time keeps lines in order
+  flush() {
+    if (this.writing) return this.writing;
+    if (!this.pending.length) return Promise.resolve();
+
+    const data = this.pending.join('');
+    this.pending = [];
+    this.pendingBytes = 0;
+    this.writing = this.append(data)
+      .catch(this.onError)
+      .then(() => {
+        this.writing = null;
+        return this.pending.length ? this.flush() : undefined;
+      });
+    return this.writing;
+  }
+
+  async append(data) {
+    const bytes = Buffer.byteLength(data);
+    const day = today();
+
+    if (day !== this.day) {
+      const previous = this.file;
+      this.day = day;
+      this.file = this.fileFor(day);
+      this.size = await fs.promises.stat(this.file).then(stat => stat.size, () => 0);
+      if (previous) this.archive(previous);
+      this.tidy();
+    }
+    if (this.size > 0 && this.size + bytes > this.maxSize) {
+      await this.rotate();
+    }
+
+    await fs.promises.appendFile(this.file, data);
+    this.size += bytes;
+  }
+
+  // proxy-<day>.log becomes proxy-<day>.<n>.log (then .gz) and a fresh file is started
+  async rotate() {
+    const base = this.file.replace(/\.log$/, '');
+    let n = 1;
+    while (fs.existsSync(`${base}.${n}.log`) || fs.existsSync(`${base}.${n}.log.gz`)) n++;
+
+    const rotated = `${base}.${n}.log`;
+    await fs.promises.rename(this.file, rotated);
+    this.size = 0;
+    this.archive(rotated);
+    this.tidy();
+  }
+
+  archive(file) {
+    if (!this.compress || this.archiving.has(file)) return;
+    const done = new Promise((resolve) => {
+      pipeline(fs.createReadStream(file), zlib.createGzip(), fs.createWriteStream(`${file}.gz`), (err) => {
+        if (err) {
+          this.onError(err);
+          fs.rm(`${file}.gz`, { force: true }, () => resolve());
+        } else {
+          fs.rm(file, { force: true }, () => resolve());
+        }
+      });
+    }).then(() => this.archiving.delete(file));
+    this.archiving.set(file, done);
+  }
+
+  // Delete logs past the retention period and compress any left uncompressed by an earlier run
+  tidy() {
+    const cutoff = Date.now() - this.retentionDays * 24 * 60 * 60 * 1000;
+    fs.promises.readdir(this.dir).then((names) => {
+      for (const name of names) {
+        if (!name.startsWith(`${this.prefix}-`) || !/\.log(\.gz)?$/.test(name)) continue;
+        const file = path.join(this.dir, name);
+        if (file === this.file || this.archiving.has(file)) continue;
+
+        fs.promises.stat(file).then((stat) => {
+          if (this.retentionDays && stat.mtimeMs < cutoff) {
+            return fs.promises.rm(file, { force: true });
+          }
+          if (name.endsWith('.log')) this.archive(file);
+          return undefined;
+        }).catch(this.onError);
+      }
+    }).catch(this.onError);
+  }
+
+  // Last resort when the process is about to die and can't wait for async writes
+  flushSync() {
+    if (!this.pending.length) return;
+    try {
+      fs.appendFileSync(this.file || this.fileFor(today()), this.pending.join(''));
+    } catch (err) {
+      this.onError(err);
+    }
+    this.pending = [];
+    this.pendingBytes = 0;
+  }
+
+  close() {
+    clearInterval(this.timer);
+    return this.flush().then(() => Promise.all(this.archiving.values()));
+  }
+}
+
+class Redactor {
+  // keys: names matched case-insensitively, or "/regex/flags" strings
+  constructor(keys = []) {
+    this.names = new Set();
+    this.patterns = [];
+    for (const key of keys) {
+      const regex = /^\/(.+)\/([a-z]*)$/.exec(key);
+      if (regex) {
+        this.patterns.push(new RegExp(regex[1], regex[2] || 'i'));
+      } else {
+        this.names.add(key.toLowerCase());
+      }
+    }
+  }
+
+  matches(key) {
+    const name = String(key).toLowerCase();
+    return this.names.has(name) || this.patterns.some(pattern => pattern.test(name));
+  }
+
+  // A copy of the value with sensitive keys masked at any depth; the original is left alone
+  value(value, depth = 0) {
+    if (typeof value === 'string') return this.text(value);
+    if (!value || typeof value !== 'object' || Buffer.isBuffer(value) || depth > 32) return value;
+    if (Array.isArray(value)) return value.map(item => this.value(item, depth + 1));
+
+    const copy = {};
+    for (const [key, item] of Object.entries(value)) {
+      copy[key] = this.matches(key) ? REDACTED : this.value(item, depth + 1);
+    }
+    return copy;
+  }
+
+  // key=value pairs in URLs, query strings and form-encoded text
+  text(text) {
+    if (!text.includes('=')) return text;
+    return text.replace(/(^|[?&;\s])([^=&?#;\s]+)=([^&#;\s]*)/g, (match, lead, key) => {
+      let name = key;
+      try {
+        name = decodeURIComponent(key);
+      } catch {
+        // Keep the raw key
+      }
+      return this.matches(name) ? `${lead}${key}=${REDACTED}` : match;
+    });
+  }
+}
+
+module.exports = { LOG_LEVELS, LogWriter, Redactor, levelRank };
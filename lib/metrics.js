@@ -0,0 +1,273 @@
+// metrics.js - Request statistics for the proxy
+// Counts requests, status codes, routing, bytes and latency per host and path template, served as
+// Prometheus text (/metrics) and a JSON summary (/metrics.json) on the proxy port
+
+// Latency histogram bucket bounds, in seconds
+const BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60];
+const MAX_SERIES = 1000; // Distinct host/method/path combinations before new ones are lumped together
+
+// Where a response came from, from the steps recorded by noteRoute; later steps win
+const ROUTE_PRIORITY = ['fallback', 'failover', 'dropped', 'unavailable', 'replay', 'local', 'rule', 'forward', 'passthrough'];
+const ROUTE_NAMES = { forward: 'upstream' };
+
+// /user/12345/saves/3f2a...e9 -> /user/:id/saves/:hex, so endpoints group regardless of IDs
+function pathTemplate(requestPath) {
+  return (requestPath || '/').split('?')[0].split('/').map((segment) => {
+    if (/^\d+$/.test(segment)) return ':id';
+    if (/^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(segment)) return ':uuid';
+    if (/^[0-9a-f]{16,}$/i.test(segment)) return ':hex';
+    if (segment.length >= 24 && /^[\w-]+$/.test(segment) && /\d/.test(segment)) return ':token';
+    return segment;
+  }).join('/') || '/';
+}
+
+function routeOf(steps) {
+  const step = ROUTE_PRIORITY.find(name => steps.includes(name));
+  return step ? ROUTE_NAMES[step] || step : 'none';
+}
+
+class Histogram {
+  constructor() {
+    this.counts = new Array(BUCKETS.length + 1).fill(0);
+    this.sum = 0;
+    this.count = 0;
+    this.max = 0;
+  }
+
+  observe(seconds) {
+    const index = BUCKETS.findIndex(bound => seconds <= bound);
+    this.counts[index === -1 ? BUCKETS.length : index]++;
+    this.sum += seconds;
+    this.count++;
+    this.max = Math.max(this.max, seconds);
+  }
+
+  // Upper bound of the bucket holding the quantile; good enough to spot slow endpoints
+  quantile(q) {
+    if (!this.count) return null;
+    const rank = q * this.count;
+    let seen = 0;
+    for (let i = 0; i < this.counts.length; i++) {
+      seen += this.counts[i];
+      if (seen >= rank) return i < BUCKETS.length ? BUCKETS[i] : this.max;
+    }
+    return this.max;
+  }
+}
+
+function increment(counts, key, amount = 1) {
+  counts[key] = (counts[key] || 0) + amount;
+}
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function labels(pairs) {
+  const text = Object.entries(pairs).map(([name, value]) => `${name}="${escapeLabel(value)}"`).join(',');
+  return text ? `{${text}}` : '';
+}
+
+function round(seconds) {
+  return seconds === null ? null : Math.round(seconds * 1000);
+}
+
+class ProxyMetrics {
+  constructor() {
+    this.startedAt = Date.now();
+    this.inFlight = new Map();
+    this.series = new Map();
+    this.outcomes = {};
+    this.tunnels = { count: 0, outcomes: {}, bytesUp: 0, bytesDown: 0 };
+    this.denials = {};
+  }
+
+  // Begin counting a request's bytes; finish() files it once the lifecycle knows the outcome
+  start(requestId, req, res, host) {
+    const entry = { host, method: req.method, path: pathTemplate(req.url.replace(/^\w+:\/\/[^/]+/, '')), startedAt: Date.now(), steps: [], bytesIn: 0, bytesOut: 0 };
+    this.inFlight.set(requestId, entry);
+
+    req.on('data', (chunk) => { entry.bytesIn += chunk.length; });
+    const write = res.write;
+    const end = res.end;
+    const count = (chunk) => {
+      if (chunk && typeof chunk !== 'function') entry.bytesOut += Buffer.byteLength(chunk);
+    };
+    res.write = function (chunk, ...args) {
+      count(chunk);
+      return write.call(this, chunk, ...args);
+    };
+    res.end = function (chunk, ...args) {
+      count(chunk);
+      return end.call(this, chunk, ...args);
+    };
+  }
+
+  route(requestId, step) {
+    const entry = this.inFlight.get(requestId);
+    if (entry) entry.steps.push(step);
+  }
+
+  finish(requestId, outcome, statusCode) {
+    const entry = this.inFlight.get(requestId);
+    if (!entry) return;
+    this.inFlight.delete(requestId);
+
+    const series = this.seriesFor(entry);
+    const route = routeOf(entry.steps);
+    const status = statusCode || 'none';
+    const failed = !statusCode || statusCode >= 500;
+
+    series.count++;
+    if (failed) series.errors++;
+    increment(series.statusCodes, status);
+    increment(series.byStatusRoute, `${status} ${route}`);
+    if (!series.routes[route]) series.routes[route] = { count: 0, errors: 0 };
+    series.routes[route].count++;
+    if (failed) series.routes[route].errors++;
+    series.bytesIn += entry.bytesIn;
+    series.bytesOut += entry.bytesOut;
+    series.latency.observe((Date.now() - entry.startedAt) / 1000);
+    increment(this.outcomes, outcome);
+  }
+
+  tunnel(outcome, bytesUp, bytesDown) {
+    this.tunnels.count++;
+    increment(this.tunnels.outcomes, outcome);
+    this.tunnels.bytesUp += bytesUp;
+    this.tunnels.bytesDown += bytesDown;
+  }
+
+  // Requests and connections turned away by access control (see lib/access.js)
+  denied(reason) {
+    increment(this.denials, reason);
+  }
+
+  seriesFor(entry) {
+    let key = `${entry.host} ${entry.method} ${entry.path}`;
+    if (!this.series.has(key) && this.series.size >= MAX_SERIES) {
+      key = `${entry.host} ${entry.method} other`;
+    }
+    if (!this.series.has(key)) {
+      const [host, method, path] = key.split(' ');
+      this.series.set(key, {
+        host, method, path, count: 0, errors: 0, statusCodes: {}, byStatusRoute: {}, routes: {},
+        bytesIn: 0, bytesOut: 0, latency: new Histogram()
+      });
+    }
+    return this.series.get(key);
+  }
+
+  // Busiest endpoints first
+  summary(health = null) {
+    const all = Array.from(this.series.values());
+    const totals = { requests: 0, errors: 0, inFlight: this.inFlight.size, bytesIn: 0, bytesOut: 0, statusClasses: {}, routes: {}, outcomes: this.outcomes };
+    for (const series of all) {
+      totals.requests += series.count;
+      totals.errors += series.errors;
+      totals.bytesIn += series.bytesIn;
+      totals.bytesOut += series.bytesOut;
+      for (const [status, count] of Object.entries(series.statusCodes)) {
+        increment(totals.statusClasses, status === 'none' ? 'none' : `${String(status)[0]}xx`, count);
+      }
+      for (const [route, counts] of Object.entries(series.routes)) {
+        increment(totals.routes, route, counts.count);
+      }
+    }
+
+    return {
+      since: new Date(this.startedAt).toISOString(),
+      uptimeSeconds: Math.round((Date.now() - this.startedAt) / 1000),
+      totals,
+      tunnels: this.tunnels,
+      denied: this.denials,
+      upstreams: health ? health.status().map(host => ({ hostname: host.hostname, state: host.state })) : [],
+      endpoints: all.sort((a, b) => b.count - a.count).map(series => ({
+        host: series.host,
+        method: series.method,
+        path: series.path,
+        count: series.count,
+        errors: series.errors,
+        statusCodes: series.statusCodes,
+        routes: series.routes,
+        bytesIn: series.bytesIn,
+        bytesOut: series.bytesOut,
+        latencyMs: {
+          avg: Math.round((series.latency.sum / series.latency.count) * 1000),
+          p50: round(series.latency.quantile(0.5)),
+          p90: round(series.latency.quantile(0.9)),
+          p99: round(series.latency.quantile(0.99)),
+          max: round(series.latency.max)
+        }
+      }))
+    };
+  }
+
+  // Prometheus text exposition format
+  prometheus(health = null) {
+    const lines = [];
+    const metric = (name, type, help) => lines.push(`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`);
+
+    metric('proxy_requests_total', 'counter', 'Requests handled, by endpoint, status and where the response came from');
+    for (const series of this.series.values()) {
+      for (const [key, count] of Object.entries(series.byStatusRoute)) {
+        const [status, route] = key.split(' ');
+        lines.push(`proxy_requests_total${labels({ host: series.host, method: series.method, path: series.path, status, route })} ${count}`);
+      }
+    }
+
+    metric('proxy_request_duration_seconds', 'histogram', 'Time from receiving a request to the end of its response');
+    for (const series of this.series.values()) {
+      const base = { host: series.host, method: series.method, path: series.path };
+      let cumulative = 0;
+      BUCKETS.forEach((bound, i) => {
+        cumulative += series.latency.counts[i];
+        lines.push(`proxy_request_duration_seconds_bucket${labels({ ...base, le: bound })} ${cumulative}`);
+      });
+      lines.push(`proxy_request_duration_seconds_bucket${labels({ ...base, le: '+Inf' })} ${series.latency.count}`);
+      lines.push(`proxy_request_duration_seconds_sum${labels(base)} ${series.latency.sum}`);
+      lines.push(`proxy_request_duration_seconds_count${labels(base)} ${series.latency.count}`);
+    }
+
+    metric('proxy_request_bytes_total', 'counter', 'Body bytes received from the game (in) and sent back to it (out)');
+    for (const series of this.series.values()) {
+      const base = { host: series.host, method: series.method, path: series.path };
+      lines.push(`proxy_request_bytes_total${labels({ ...base, direction: 'in' })} ${series.bytesIn}`);
+      lines.push(`proxy_request_bytes_total${labels({ ...base, direction: 'out' })} ${series.bytesOut}`);
+    }
+
+    metric('proxy_request_outcomes_total', 'counter', 'How requests ended (ok, timeouts, errors, aborts)');
+    for (const [outcome, count] of Object.entries(this.outcomes)) {
+      lines.push(`proxy_request_outcomes_total${labels({ outcome })} ${count}`);
+    }
+
+    metric('proxy_requests_in_flight', 'gauge', 'Requests currently being handled');
+    lines.push(`proxy_requests_in_flight ${this.inFlight.size}`);
+
+    metric('proxy_tunnels_total', 'counter', 'CONNECT and transparent tunnels closed, by outcome');
+    for (const [outcome, count] of Object.entries(this.tunnels.outcomes)) {
+      lines.push(`proxy_tunnels_total${labels({ outcome })} ${count}`);
+    }
+    metric('proxy_tunnel_bytes_total', 'counter', 'Bytes carried by tunnels');
+    lines.push(`proxy_tunnel_bytes_total${labels({ direction: 'up' })} ${this.tunnels.bytesUp}`);
+    lines.push(`proxy_tunnel_bytes_total${labels({ direction: 'down' })} ${this.tunnels.bytesDown}`);
+
+    metric('proxy_denied_total', 'counter', 'Requests and connections refused by access control, by reason');
+    for (const [reason, count] of Object.entries(this.denials)) {
+      lines.push(`proxy_denied_total${labels({ reason })} ${count}`);
+    }
+
+    if (health) {
+      metric('proxy_upstream_up', 'gauge', 'Whether each real 2K server is considered up (1) or not (0)');
+      for (const host of health.status()) {
+        lines.push(`proxy_upstream_up${labels({ host: host.hostname })} ${host.state === 'up' ? 1 : 0}`);
+      }
+    }
+
+    metric('proxy_start_time_seconds', 'gauge', 'When the proxy started, as a Unix timestamp');
+    lines.push(`proxy_start_time_seconds ${Math.floor(this.startedAt / 1000)}`);
+    return lines.join('\n') + '\n';
+  }
+}
+
+module.exports = { ProxyMetrics, pathTemplate };
@@ -0,0 +1,334 @@
+// recorder.js - Structured traffic capture for the NBA 2K17 proxy
+// Writes every exchange as one JSONL record and appends it to a HAR 1.2 export alongside
+
+const fs = require('fs');
+const path = require('path');
+const url = require('url');
+
+const CAPTURE_VERSION = 1;
+
+// HAR entries are appended in batches: every 2s, or sooner once this many bytes are waiting
+const HAR_FLUSH_INTERVAL = 2000;
+const HAR_FLUSH_SIZE = 256 * 1024;
+const HAR_TRAILER = '\n]}}\n';
+
+// Bodies that are not clean UTF-8 text are stored as base64
+function isBinary(buffer) {
+  if (buffer.includes(0)) return true;
+  return !Buffer.from(buffer.toString('utf8'), 'utf8').equals(buffer);
+}
+
+function encodeBody(buffer) {
+  if (!buffer || buffer.length === 0) {
+    return { body: '', encoding: 'utf8' };
+  }
+  if (isBinary(buffer)) {
+    return { body: buffer.toString('base64'), encoding: 'base64' };
+  }
+  return { body: buffer.toString('utf8'), encoding: 'utf8' };
+}
+
+function decodeBody(body, encoding) {
+  if (!body) return Buffer.alloc(0);
+  return Buffer.from(body, encoding === 'base64' ? 'base64' : 'utf8');
+}
+
+function toHarHeaders(headers) {
+  const list = [];
+  for (const [name, value] of Object.entries(headers || {})) {
+    for (const v of Array.isArray(value) ? value : [value]) {
+      list.push({ name, value: String(v) });
+    }
+  }
+  return list;
+}
+
+function fromHarHeaders(list) {
+  const headers = {};
+  for (const { name, value } of list || []) {
+    const key = name.toLowerCase();
+    if (headers[key] === undefined) {
+      headers[key] = value;
+    } else {
+      headers[key] = [].concat(headers[key], value);
+    }
+  }
+  return headers;
+}
+
+// Convert a JSONL record into a HAR 1.2 entry
+function toHarEntry(record) {
+  const { request, response, timings } = record;
+  const query = url.parse(request.url, true).query;
+  const requestMime = (request.headers['content-type'] || '').toString();
+  const responseMime = (response.headers['content-type'] || '').toString();
+
+  const entry = {
+    startedDateTime: record.startedDateTime,
+    time: timings.send + timings.wait + timings.receive,
+    request: {
+      method: request.method,
+      url: request.url,
+      httpVersion: `HTTP/${request.httpVersion || '1.1'}`,
+      cookies: [],
+      headers: toHarHeaders(request.headers),
+      queryString: Object.entries(query).map(([name, value]) => ({ name, value: String(value) })),
+      headersSize: -1,
+      bodySize: request.bodySize
+    },
+    response: {
+      status: response.status,
+      statusText: response.statusText || '',
+      httpVersion: `HTTP/${response.httpVersion || '1.1'}`,
+      cookies: [],
+      headers: toHarHeaders(response.headers),
+      content: {
+        size: response.bodySize,
+        mimeType: responseMime,
+        text: response.body
+      },
+      redirectURL: response.headers.location || '',
+      headersSize: -1,
+      bodySize: response.bodySize
+    },
+    cache: {},
+    timings: {
+      blocked: -1,
+      dns: -1,
+      connect: -1,
+      send: timings.send,
+      wait: timings.wait,
+      receive: timings.receive,
+      ssl: -1
+    },
+    _requestId: record.requestId,
+    _client: record.client || null,
+    _target: record.target
+  };
+
+  if (response.encoding === 'base64') {
+    entry.response.content.encoding = 'base64';
+  }
+
+  if (request.bodySize > 0) {
+    entry.request.postData = { mimeType: requestMime, text: request.body };
+    if (request.encoding === 'base64') {
+      entry.request.postData._encoding = 'base64';
+    }
+  }
+
+  return entry;
+}
+
+// Convert a HAR 1.2 entry back into the JSONL record shape
+function fromHarEntry(entry) {
+  const postData = entry.request.postData || {};
+  const content = entry.response.content || {};
+  const requestEncoding = postData._encoding === 'base64' ? 'base64' : 'utf8';
+  const responseEncoding = content.encoding === 'base64' ? 'base64' : 'utf8';
+
+  return {
+    version: CAPTURE_VERSION,
+    requestId: entry._requestId || null,
+    client: entry._client || null,
+    target: entry._target || null,
+    startedDateTime: entry.startedDateTime,
+    timings: {
+      send: Math.max(entry.timings.send || 0, 0),
+      wait: Math.max(entry.timings.wait || 0, 0),
+      receive: Math.max(entry.timings.receive || 0, 0)
+    },
+    request: {
+      method: entry.request.method,
+      url: entry.request.url,
+      httpVersion: entry.request.httpVersion.replace('HTTP/', ''),
+      headers: fromHarHeaders(entry.request.headers),
+      body: postData.text || '',
+      encoding: requestEncoding,
+      bodySize: decodeBody(postData.text, requestEncoding).length
+    },
+    response: {
+      status: entry.response.status,
+      statusText: entry.response.statusText,
+      httpVersion: entry.response.httpVersion.replace('HTTP/', ''),
+      headers: fromHarHeaders(entry.response.headers),
+      body: content.text || '',
+      encoding: responseEncoding,
+      bodySize: decodeBody(content.text, responseEncoding).length
+    }
+  };
+}
+
+// Load a capture file (.har or .jsonl) as a list of JSONL-shaped records
+function loadCapture(filePath) {
+  const raw = fs.readFileSync(filePath, 'utf8');
+
+  if (filePath.endsWith('.har')) {
+    const har = JSON.parse(raw);
+    return har.log.entries.map(fromHarEntry);
+  }
+
+  return raw.split('\n')
+    .filter(line => line.trim())
+    .map((line, i) => {
+      try {
+        return JSON.parse(line);
+      } catch (err) {
+        throw new Error(`${filePath}:${i + 1}: ${err.message}`);
+      }
+    });
+}
+
+class TrafficRecorder {
+  constructor(captureDir, sessionName = null) {
+    this.captureDir = captureDir;
+    this.sessionName = sessionName || `capture-${new Date().toISOString().replace(/[:.]/g, '-')}`;
+    this.jsonlPath = path.join(captureDir, `${this.sessionName}.jsonl`);
+    this.harPath = path.join(captureDir, `${this.sessionName}.har`);
+    this.pending = [];
+    this.pendingBytes = 0;
+    this.writing = null;
+    this.harTimer = null;
+    this.harEntries = 0;
+
+    if (!fs.existsSync(captureDir)) {
+      fs.mkdirSync(captureDir, { recursive: true });
+    }
+
+    this.stream = fs.createWriteStream(this.jsonlPath, { flags: 'a' });
+
+    // The HAR is valid JSON after every flush: new entries overwrite the trailer, which is written again after them
+    const creator = { name: 'nba2k17-proxy', version: String(CAPTURE_VERSION) };
+    const header = `{"log":{"version":"1.2","creator":${JSON.stringify(creator)},"pages":[],"entries":[`;
+    this.harFd = fs.openSync(this.harPath, 'w');
+    fs.writeSync(this.harFd, header + HAR_TRAILER);
+    this.harOffset = Buffer.byteLength(header);
+  }
+
+  // Start timing an exchange; the returned object is filled in as it progresses
+  begin(requestId, req, originalUrl, target, requestBody, client = null) {
+    return {
+      requestId,
+      client,
+      target,
+      url: originalUrl,
+      method: req.method,
+      httpVersion: req.httpVersion,
+      requestHeaders: req.headers,
+      requestBody,
+      startedAt: Date.now(),
+      sentAt: null,
+      firstByteAt: null
+    };
+  }
+
+  // Record a completed exchange from the game's request and the server's original response
+  record(exchange, res, responseBody) {
+    const endedAt = Date.now();
+    const sentAt = exchange.sentAt || exchange.startedAt;
+    const firstByteAt = exchange.firstByteAt || endedAt;
+    const requestBody = encodeBody(exchange.requestBody);
+    const responseEncoded = encodeBody(responseBody);
+
+    const record = {
+      version: CAPTURE_VERSION,
+      requestId: exchange.requestId,
+      client: exchange.client,
+      target: exchange.target,
+      startedDateTime: new Date(exchange.startedAt).toISOString(),
+      timings: {
+        send: sentAt - exchange.startedAt,
+        wait: firstByteAt - sentAt,
+        receive: endedAt - firstByteAt
+      },
+      request: {
+        method: exchange.method,
+        url: exchange.url,
+        httpVersion: exchange.httpVersion,
+        headers: exchange.requestHeaders,
+        body: requestBody.body,
+        encoding: requestBody.encoding,
+        bodySize: exchange.requestBody ? exchange.requestBody.length : 0
+      },
+      response: {
+        status: res.statusCode,
+        statusText: res.statusMessage || '',
+        httpVersion: res.httpVersion,
+        headers: res.headers,
+        body: responseEncoded.body,
+        encoding: responseEncoded.encoding,
+        bodySize: responseBody ? responseBody.length : 0
+      }
+    };
+
+    this.stream.write(JSON.stringify(record) + '\n');
+    const entry = JSON.stringify(toHarEntry(record));
+    this.pending.push(entry);
+    this.pendingBytes += entry.length;
+    if (this.pendingBytes >= HAR_FLUSH_SIZE) {
+      this.flushHar();
+    } else {
+      this.scheduleHarWrite();
+    }
+    return record;
+  }
+
+  // Append to the HAR file shortly after traffic settles instead of on every exchange
+  scheduleHarWrite() {
+    if (this.harTimer) return;
+    this.harTimer = setTimeout(() => {
+      this.harTimer = null;
+      this.flushHar();
+    }, HAR_FLUSH_INTERVAL);
+    this.harTimer.unref();
+  }
+
+  // One write in flight at a time keeps entries in order
+  flushHar() {
+    if (this.writing) return this.writing;
+    if (!this.pending.length) return Promise.resolve();
+
+    const separator = this.harEntries ? ',\n' : '\n';
+    const data = Buffer.from(separator + this.pending.join(',\n'));
+    const count = this.pending.length;
+    this.pending = [];
+    this.pendingBytes = 0;
+
+    this.writing = new Promise((resolve) => {
+      const chunk = Buffer.concat([data, Buffer.from(HAR_TRAILER)]);
+      fs.write(this.harFd, chunk, 0, chunk.length, this.harOffset, (err) => {
+        if (err) {
+          console.error(`HAR write failed: ${err.message}`);
+        } else {
+          this.harOffset += data.length;
+          this.harEntries += count;
+        }
+        resolve();
+      });
+    }).then(() => {
+      this.writing = null;
+      return this.pending.length ? this.flushHar() : undefined;
+    });
+    return this.writing;
+  }
+
+  // Resolves once everything recorded so far is on disk
+  close() {
+    if (this.harTimer) {
+      clearTimeout(this.harTimer);
+      this.harTimer = null;
+    }
+    return this.flushHar().then(() => new Promise((resolve) => {
+      fs.close(this.harFd, () => this.stream.end(resolve));
+    }));
+  }
+}
+
+module.exports = {
+  TrafficRecorder,
+  loadCapture,
+  toHarEntry,
+  fromHarEntry,
+  encodeBody,
+  decodeBody
+};
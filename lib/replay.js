@@ -0,0 +1,171 @@
+// replay.js - Serve recorded responses from HAR/JSONL captures
+// Lets the game run fully offline against a known-good session
+
+const crypto = require('crypto');
+const fs = require('fs');
+const url = require('url');
+const { loadCapture, decodeBody } = require('./recorder');
+
+// Matching strictness, from most to least specific:
+//   strict - method + host + path + query + body fingerprint
+//   normal - method + host + path + query
+//   loose  - method + path (host and query ignored)
+const MATCH_LEVELS = ['strict', 'normal', 'loose'];
+
+// Headers describing the recorded transfer rather than the content
+const HOP_HEADERS = ['transfer-encoding', 'content-length', 'connection', 'keep-alive', 'date'];
+
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return '[' + value.map(stableStringify).join(',') + ']';
+  }
+  if (value && typeof value === 'object') {
+    return '{' + Object.keys(value).sort().map(k => JSON.stringify(k) + ':' + stableStringify(value[k])).join(',') + '}';
+  }
+  return JSON.stringify(value);
+}
+
+class ReplayStore {
+  constructor(options = {}) {
+    this.matchLevel = options.matchLevel || 'normal';
+    this.ignoreQueryParams = options.ignoreQueryParams || [];
+    this.ignoreBodyKeys = options.ignoreBodyKeys || [];
+    this.index = new Map();
+    this.cursors = new Map();
+    this.unmatched = new Map();
+    this.matchedCount = 0;
+    this.recordCount = 0;
+
+    if (!MATCH_LEVELS.includes(this.matchLevel)) {
+      throw new Error(`Unknown replay match level "${this.matchLevel}" (expected ${MATCH_LEVELS.join(', ')})`);
+    }
+  }
+
+  load(filePaths) {
+    for (const filePath of [].concat(filePaths)) {
+      for (const record of loadCapture(filePath)) {
+        const parsed = url.parse(record.request.url, true);
+        const key = this.buildKey(record.request.method, parsed.hostname, parsed.pathname, parsed.query,
+          decodeBody(record.request.body, record.request.encoding));
+
+        if (!this.index.has(key)) {
+          this.index.set(key, []);
+        }
+        this.index.get(key).push(record);
+        this.recordCount++;
+      }
+    }
+    return this;
+  }
+
+  // Hash of the request body; JSON is normalized so key order and ignored keys do not matter
+  fingerprint(body) {
+    if (!body || body.length === 0) return 'empty';
+
+    let normalized = body;
+    try {
+      const parsed = JSON.parse(body.toString('utf8'));
+      if (parsed && typeof parsed === 'object') {
+        for (const key of this.ignoreBodyKeys) {
+          delete parsed[key];
+        }
+      }
+      normalized = stableStringify(parsed);
+    } catch {
+      // Not JSON, hash the raw bytes
+    }
+
+    return crypto.createHash('sha256').update(normalized).digest('hex').substring(0, 16);
+  }
+
+  buildKey(method, hostname, pathname, query, body) {
+    const parts = [method.toUpperCase()];
+
+    if (this.matchLevel !== 'loose') {
+      parts.push((hostname || '').toLowerCase());
+    }
+
+    parts.push(pathname || '/');
+
+    if (this.matchLevel !== 'loose') {
+      const params = Object.keys(query || {})
+        .filter(name => !this.ignoreQueryParams.includes(name))
+        .sort()
+        .map(name => `${name}=${[].concat(query[name]).join(',')}`);
+      parts.push(params.join('&'));
+    }
+
+    if (this.matchLevel === 'strict') {
+      parts.push(this.fingerprint(body));
+    }
+
+    return parts.join(' ');
+  }
+
+  // Find the recorded response for a request; repeated calls walk through the
+  // recorded responses in order and then keep returning the last one
+  match(method, hostname, requestPath, body) {
+    const parsed = url.parse(requestPath, true);
+    const key = this.buildKey(method, hostname, parsed.pathname, parsed.query, body);
+    const records = this.index.get(key);
+
+    if (!records) {
+      this.noteUnmatched(key, method, hostname, parsed.path, body);
+      return null;
+    }
+
+    const cursor = this.cursors.get(key) || 0;
+    this.cursors.set(key, cursor + 1);
+    this.matchedCount++;
+
+    const record = records[Math.min(cursor, records.length - 1)];
+    const headers = { ...record.response.headers };
+    for (const name of HOP_HEADERS) {
+      delete headers[name];
+    }
+
+    const responseBody = decodeBody(record.response.body, record.response.encoding);
+    headers['content-length'] = responseBody.length;
+
+    return {
+      requestId: record.requestId,
+      statusCode: record.response.status,
+      headers,
+      body: responseBody
+    };
+  }
+
+  noteUnmatched(key, method, hostname, requestPath, body) {
+    const existing = this.unmatched.get(key);
+    if (existing) {
+      existing.count++;
+      existing.lastSeen = new Date().toISOString();
+      return;
+    }
+
+    this.unmatched.set(key, {
+      method,
+      host: hostname,
+      path: requestPath,
+      bodyFingerprint: this.fingerprint(body),
+      count: 1,
+      firstSeen: new Date().toISOString(),
+      lastSeen: new Date().toISOString()
+    });
+  }
+
+  getReport() {
+    return {
+      matchLevel: this.matchLevel,
+      recordsLoaded: this.recordCount,
+      matched: this.matchedCount,
+      unmatched: [...this.unmatched.values()].sort((a, b) => b.count - a.count)
+    };
+  }
+
+  writeReport(filePath) {
+    fs.writeFileSync(filePath, JSON.stringify(this.getReport(), null, 2));
+  }
+}
+
+module.exports = { ReplayStore, MATCH_LEVELS };
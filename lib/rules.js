@@ -0,0 +1,478 @@
+// rules.js - Declarative request/response rules for the NBA 2K17 proxy
+// Rules are loaded from a JSON (or YAML) file and reloaded whenever it changes
+
+const fs = require('fs');
+const path = require('path');
+const { readDataFile } = require('./config');
+const { setBodyLength, toBuffer } = require('./body');
+
+const PHASES = ['request', 'response'];
+
+// Actions that answer the game directly and end the rule chain
+const TERMINAL_ACTIONS = ['serveFile', 'local'];
+
+const ACTION_PHASES = {
+  setHeader: PHASES,
+  removeHeader: PHASES,
+  jsonPatch: PHASES,
+  status: ['response'],
+  delay: PHASES,
+  serveFile: PHASES,
+  local: ['request'],
+  log: PHASES
+};
+
+const MIME_TYPES = {
+  '.json': 'application/json',
+  '.xml': 'application/xml',
+  '.txt': 'text/plain',
+  '.html': 'text/html',
+  '.bin': 'application/octet-stream'
+};
+
+// `$.a.b[0].c` -> ['a', 'b', 0, 'c']
+function parseJsonPath(expression) {
+  if (!/^\$/.test(expression)) {
+    throw new Error(`JSON path "${expression}" must start with $`);
+  }
+
+  const segments = [];
+  const re = /\.([^.[\]]+)|\[(\d+)\]|\[['"]([^'"]+)['"]\]/g;
+  let match;
+  let consumed = 1;
+
+  while ((match = re.exec(expression)) !== null) {
+    if (match.index !== consumed) break;
+    consumed = re.lastIndex;
+    if (match[1] !== undefined) segments.push(match[1]);
+    else if (match[2] !== undefined) segments.push(Number(match[2]));
+    else segments.push(match[3]);
+  }
+
+  if (consumed !== expression.length) {
+    throw new Error(`Could not parse JSON path "${expression}"`);
+  }
+  return segments;
+}
+
+function getJsonPath(data, expression) {
+  let current = data;
+  for (const segment of parseJsonPath(expression)) {
+    if (current === null || typeof current !== 'object' || !(segment in current)) {
+      return undefined;
+    }
+    current = current[segment];
+  }
+  return current;
+}
+
+// RFC 6902 JSON Patch (add, remove, replace, move, copy, test)
+function decodePointer(pointer) {
+  if (pointer === '') return [];
+  if (!pointer.startsWith('/')) {
+    throw new Error(`JSON pointer "${pointer}" must start with /`);
+  }
+  return pointer.substring(1).split('/').map(part => part.replace(/~1/g, '/').replace(/~0/g, '~'));
+}
+
+function resolveParent(doc, pointer) {
+  const parts = decodePointer(pointer);
+  const key = parts.pop();
+  let parent = doc;
+
+  for (const part of parts) {
+    if (parent === null || typeof parent !== 'object' || !(part in parent)) {
+      throw new Error(`JSON patch path "${pointer}" does not exist`);
+    }
+    parent = parent[part];
+  }
+  return { parent, key };
+}
+
+function readPointer(doc, pointer) {
+  if (pointer === '') return doc;
+  const { parent, key } = resolveParent(doc, pointer);
+  if (!(key in parent)) {
+    throw new Error(`JSON patch path "${pointer}" does not exist`);
+  }
+  return parent[key];
+}
+
+function applyJsonPatch(doc, operations) {
+  let root = doc;
+
+  const write = (pointer, value, insert) => {
+    if (pointer === '') {
+      root = value;
+      return;
+    }
+    const { parent, key } = resolveParent(root, pointer);
+    if (Array.isArray(parent)) {
+      const index = key === '-' ? parent.length : Number(key);
+      parent.splice(index, insert ? 0 : 1, value);
+    } else {
+      parent[key] = value;
+    }
+  };
+
+  const remove = (pointer) => {
+    const { parent, key } = resolveParent(root, pointer);
+    if (Array.isArray(parent)) {
+      parent.splice(Number(key), 1);
+    } else {
+      delete parent[key];
+    }
+  };
+
+  for (const op of operations) {
+    switch (op.op) {
+      case 'add':
+        write(op.path, op.value, true);
+        break;
+      case 'remove':
+        readPointer(root, op.path);
+        remove(op.path);
+        break;
+      case 'replace':
+        readPointer(root, op.path);
+        write(op.path, op.value, false);
+        break;
+      case 'move': {
+        const value = readPointer(root, op.from);
+        remove(op.from);
+        write(op.path, value, true);
+        break;
+      }
+      case 'copy':
+        write(op.path, JSON.parse(JSON.stringify(readPointer(root, op.from))), true);
+        break;
+      case 'test':
+        if (JSON.stringify(readPointer(root, op.path)) !== JSON.stringify(op.value)) {
+          throw new Error(`JSON patch test failed at "${op.path}"`);
+        }
+        break;
+      default:
+        throw new Error(`Unknown JSON patch op "${op.op}"`);
+    }
+  }
+
+  return root;
+}
+
+// `*` matches within one path segment, `**` across segments
+function globToRegex(pattern) {
+  const escaped = pattern.replace(/[.+^${}()|[\]\\]/g, '\\$&')
+    .replace(/\*\*/g, '\u0000')
+    .replace(/\*/g, '[^/]*')
+    .replace(/\u0000/g, '.*')
+    .replace(/\?/g, '.');
+  return new RegExp(`^${escaped}$`, 'i');
+}
+
+function matchValue(condition, actual) {
+  if (condition === true) return actual !== undefined;
+  if (condition === false) return actual === undefined;
+  if (condition && typeof condition === 'object' && !Array.isArray(condition)) {
+    if ('exists' in condition && (actual !== undefined) !== condition.exists) return false;
+    if ('equals' in condition && JSON.stringify(actual) !== JSON.stringify(condition.equals)) return false;
+    if ('matches' in condition && !new RegExp(condition.matches).test(String(actual))) return false;
+    if ('gt' in condition && !(Number(actual) > condition.gt)) return false;
+    if ('lt' in condition && !(Number(actual) < condition.lt)) return false;
+    return true;
+  }
+  return String(actual) === String(condition);
+}
+
+// `{{requestId}}`, `{{client}}`, `{{timestamp}}`, `{{host}}`, `{{path}}` and `{{$.json.path}}` in action values
+function renderTemplate(value, ctx) {
+  if (typeof value !== 'string') return value;
+
+  return value.replace(/\{\{\s*([^}]+?)\s*\}\}/g, (match, expression) => {
+    if (expression.startsWith('$')) {
+      const json = ctx.json();
+      const result = json === undefined ? undefined : getJsonPath(json, expression);
+      return result === undefined ? '' : (typeof result === 'object' ? JSON.stringify(result) : String(result));
+    }
+    switch (expression) {
+      case 'requestId': return ctx.requestId;
+      case 'client': return ctx.client;
+      case 'timestamp': return new Date().toISOString();
+      case 'host': return ctx.host;
+      case 'path': return ctx.path;
+      case 'method': return ctx.method;
+      default: return match;
+    }
+  });
+}
+
+class Rule {
+  constructor(definition, index, baseDir) {
+    this.name = definition.name || `rule-${index + 1}`;
+    this.phase = definition.phase || 'request';
+    this.enabled = definition.enabled !== false;
+    this.baseDir = baseDir;
+
+    if (!PHASES.includes(this.phase)) {
+      throw new Error(`Rule "${this.name}": phase must be one of ${PHASES.join(', ')}`);
+    }
+
+    const match = definition.match || {};
+    this.hosts = match.host ? [].concat(match.host).map(globToRegex) : null;
+    this.clients = match.client ? [].concat(match.client).map(globToRegex) : null;
+    this.methods = match.method ? [].concat(match.method).map(m => m.toUpperCase()) : null;
+    this.path = match.path ? globToRegex(match.path) : null;
+    this.pathRegex = match.pathRegex ? new RegExp(match.pathRegex) : null;
+    this.headers = match.headers || null;
+    this.json = match.json ? [].concat(match.json) : null;
+    this.statuses = match.status ? [].concat(match.status) : null;
+
+    if (this.json) {
+      this.json.forEach(condition => parseJsonPath(condition.path));
+    }
+    if (this.statuses && this.phase !== 'response') {
+      throw new Error(`Rule "${this.name}": status can only be matched in the response phase`);
+    }
+
+    this.actions = definition.actions || [];
+    if (!Array.isArray(this.actions) || this.actions.length === 0) {
+      throw new Error(`Rule "${this.name}": needs at least one action`);
+    }
+    // Rules that read or rewrite the body stop it from being streamed straight through
+    this.needsBody = Boolean(this.json) || this.actions.some(action =>
+      action.type === 'jsonPatch' || /\{\{\s*\$/.test(JSON.stringify(action)));
+
+    for (const action of this.actions) {
+      const phases = ACTION_PHASES[action.type];
+      if (!phases) {
+        throw new Error(`Rule "${this.name}": unknown action "${action.type}"`);
+      }
+      if (!phases.includes(this.phase)) {
+        throw new Error(`Rule "${this.name}": action "${action.type}" is not allowed in the ${this.phase} phase`);
+      }
+    }
+  }
+
+  matches(ctx) {
+    if (!this.enabled) return false;
+    if (this.hosts && !this.hosts.some(re => re.test(ctx.host))) return false;
+    if (this.clients && !this.clients.some(re => re.test(ctx.client))) return false;
+    if (this.methods && !this.methods.includes(ctx.method)) return false;
+    if (this.path && !this.path.test(ctx.pathname)) return false;
+    if (this.pathRegex && !this.pathRegex.test(ctx.path)) return false;
+    if (this.statuses && !this.statuses.includes(ctx.statusCode)) return false;
+
+    if (this.headers) {
+      for (const [name, condition] of Object.entries(this.headers)) {
+        if (!matchValue(condition, ctx.headers[name.toLowerCase()])) return false;
+      }
+    }
+
+    if (this.json) {
+      // Without the body (see RuleEngine.needsBody) a JSON condition might still match
+      if (ctx.body === undefined) return true;
+      const json = ctx.json();
+      if (json === undefined) return false;
+      for (const condition of this.json) {
+        const { path: jsonPath, ...check } = condition;
+        if (!matchValue(Object.keys(check).length ? check : true, getJsonPath(json, jsonPath))) return false;
+      }
+    }
+
+    return true;
+  }
+}
+
+class RuleEngine {
+  // options.decoders: a DecoderRegistry (lib/decoders.js) so JSON conditions and patches work on
+  // any decodable format; without one only JSON bodies are understood
+  constructor(logger, options = {}) {
+    this.logger = logger;
+    this.decoders = options.decoders || null;
+    this.rules = [];
+    this.filePath = null;
+  }
+
+  load(filePath) {
+    this.filePath = filePath;
+
+    if (!fs.existsSync(filePath)) {
+      this.rules = [];
+      return this;
+    }
+
+    const data = readDataFile(filePath);
+    const definitions = Array.isArray(data) ? data : (data && data.rules) || [];
+    const baseDir = path.dirname(path.resolve(filePath));
+    this.rules = definitions.map((definition, i) => new Rule(definition, i, baseDir));
+    return this;
+  }
+
+  // Reload on change; a broken file keeps the previous rules active
+  watch() {
+    if (!this.filePath || this.watcher) return;
+
+    this.watcher = fs.watchFile(this.filePath, { interval: 1000 }, (curr, prev) => {
+      if (curr.mtimeMs === prev.mtimeMs) return;
+      const previous = this.rules;
+      try {
+        this.load(this.filePath);
+        this.logger.log('INFO', `🔁 Reloaded ${this.rules.length} rules from ${this.filePath}`);
+      } catch (err) {
+        this.rules = previous;
+        this.logger.log('ERROR', `Rules file ${this.filePath} not reloaded: ${err.message}`);
+      }
+    });
+    this.watcher.unref();
+  }
+
+  unwatch() {
+    if (this.watcher) {
+      fs.unwatchFile(this.filePath);
+      this.watcher = null;
+    }
+  }
+
+  buildContext(requestId, phase, message) {
+    const pathname = (message.path || '/').split('?')[0];
+    const decoders = this.decoders;
+    let parsed;
+
+    return {
+      requestId,
+      phase,
+      host: message.host || '',
+      client: message.client || '',
+      method: (message.method || '').toUpperCase(),
+      path: message.path,
+      pathname,
+      statusCode: message.statusCode,
+      headers: message.headers || {},
+      body: message.body,
+      formats: null, // Decoder chain that produced json(), used to encode patches back
+      json() {
+        if (parsed === undefined) {
+          parsed = null;
+          if (decoders) {
+            const decoded = decoders.decode(toBuffer(this.body), { path: this.path, headers: this.headers, phase });
+            if (decoded && decoded.value !== null && typeof decoded.value === 'object' && !Buffer.isBuffer(decoded.value)) {
+              parsed = decoded.value;
+              this.formats = decoded.formats;
+            }
+          } else {
+            try {
+              parsed = JSON.parse(toBuffer(this.body).toString('utf8'));
+              this.formats = ['json'];
+            } catch {
+              parsed = null;
+            }
+          }
+        }
+        return parsed === null ? undefined : parsed;
+      }
+    };
+  }
+
+  // Whether any rule that could match this message needs its body; if not, the body can be streamed
+  // and the rules applied to the headers alone
+  needsBody(phase, message) {
+    const ctx = this.buildContext(null, phase, { ...message, body: undefined });
+    return this.rules.some(rule => rule.phase === phase && rule.needsBody && rule.matches(ctx));
+  }
+
+  // Run the rules of one phase over a request or response.
+  // message: { host, client, method, path, headers, body, statusCode }
+  // Resolves to the (possibly modified) message plus `respond` or `routeLocal` when a rule answers directly
+  async apply(requestId, phase, message) {
+    const result = { ...message, headers: { ...message.headers }, appliedRules: [] };
+    let bodyChanged = false;
+
+    for (const rule of this.rules) {
+      if (rule.phase !== phase) continue;
+
+      const ctx = this.buildContext(requestId, phase, result);
+      if (!rule.matches(ctx)) continue;
+
+      const applied = [];
+      for (const action of rule.actions) {
+        const outcome = await this.runAction(action, rule, ctx, result);
+        applied.push(action.type);
+        if (outcome === 'body') bodyChanged = true;
+        if (TERMINAL_ACTIONS.includes(action.type)) break;
+      }
+
+      result.appliedRules.push(rule.name);
+      this.logger.log('RULE', `[${requestId}] Applied rule "${rule.name}" (${phase}): ${applied.join(', ')}`);
+
+      if (result.respond || result.routeLocal) break;
+    }
+
+    if (bodyChanged) {
+      result.body = toBuffer(result.body);
+      setBodyLength(result.headers, result.body);
+    }
+    return result;
+  }
+
+  async runAction(action, rule, ctx, result) {
+    switch (action.type) {
+      case 'setHeader':
+        result.headers[action.name.toLowerCase()] = renderTemplate(String(action.value), ctx);
+        return 'headers';
+
+      case 'removeHeader':
+        for (const name of [].concat(action.name)) {
+          delete result.headers[name.toLowerCase()];
+        }
+        return 'headers';
+
+      case 'jsonPatch': {
+        const json = ctx.json();
+        if (json === undefined) {
+          this.logger.log('WARN', `[${ctx.requestId}] Rule "${rule.name}": body could not be decoded, patch skipped`);
+          return null;
+        }
+        try {
+          const patched = applyJsonPatch(json, action.patch || []);
+          result.body = this.decoders
+            ? this.decoders.encode(ctx.formats, patched, { path: ctx.path, headers: ctx.headers, phase: ctx.phase })
+            : JSON.stringify(patched);
+        } catch (err) {
+          this.logger.log('WARN', `[${ctx.requestId}] Rule "${rule.name}": ${err.message}`);
+          return null;
+        }
+        return 'body';
+      }
+
+      case 'status':
+        result.statusCode = action.code;
+        return 'status';
+
+      case 'delay':
+        await new Promise(resolve => setTimeout(resolve, action.ms || 0));
+        return null;
+
+      case 'serveFile': {
+        const filePath = path.resolve(rule.baseDir, action.file);
+        const body = fs.readFileSync(filePath);
+        const headers = {
+          'content-type': action.contentType || MIME_TYPES[path.extname(filePath).toLowerCase()] || 'application/octet-stream',
+          'content-length': String(body.length),
+          ...(action.headers || {})
+        };
+        result.respond = { statusCode: action.status || 200, headers, body };
+        return 'respond';
+      }
+
+      case 'local':
+        result.routeLocal = true;
+        return 'route';
+
+      case 'log':
+        this.logger.log('INFO', `[${ctx.requestId}] ${renderTemplate(action.message || '', ctx)}`);
+        return null;
+    }
+    return null;
+  }
+}
+
+module.exports = { RuleEngine, Rule, applyJsonPatch, getJsonPath, parseJsonPath, globToRegex };
@@ -0,0 +1,101 @@
+// sessions.js - Session tokens for the local 2K17 server
+// Tokens are handed out at login and checked on every account request; they live in memory,
+// so restarting the server logs everyone out and the game simply logs in again
+
+const crypto = require('crypto');
+
+const PRUNE_INTERVAL = 60 * 1000;
+const EXPIRED_GRACE = 60 * 60 * 1000; // Remember expired tokens for an hour to report SESSION_EXPIRED
+
+// The game sends the token as X-Session-Token; Bearer and cookie forms are accepted too
+function getSessionToken(headers) {
+  if (headers['x-session-token']) {
+    return String(headers['x-session-token']).trim();
+  }
+
+  const bearer = /^Bearer\s+(\S+)/i.exec(headers.authorization || '');
+  if (bearer) return bearer[1];
+
+  const cookie = /(?:^|;\s*)sessionToken=([^;]+)/.exec(headers.cookie || '');
+  if (!cookie) return null;
+  // A malformed escape is no token rather than an exception on every caller's request path
+  try {
+    return decodeURIComponent(cookie[1]);
+  } catch {
+    return null;
+  }
+}
+
+// Salted scrypt hash of a login password, stored on the account
+function hashPassword(password, salt = crypto.randomBytes(16).toString('hex')) {
+  const hash = crypto.scryptSync(String(password), salt, 32).toString('hex');
+  return { salt, hash };
+}
+
+function verifyPassword(password, credentials) {
+  const { hash } = hashPassword(password, credentials.salt);
+  return crypto.timingSafeEqual(Buffer.from(hash, 'hex'), Buffer.from(credentials.hash, 'hex'));
+}
+
+class SessionManager {
+  constructor(options = {}) {
+    this.ttl = (options.ttl || 3600) * 1000;
+    this.sessions = new Map();
+    this.pruneTimer = setInterval(() => this.prune(), PRUNE_INTERVAL);
+    this.pruneTimer.unref();
+  }
+
+  create(userId) {
+    const now = Date.now();
+    const session = {
+      token: crypto.randomBytes(24).toString('hex'),
+      userId,
+      createdAt: now,
+      expiresAt: now + this.ttl
+    };
+    this.sessions.set(session.token, session);
+    return session;
+  }
+
+  // Returns { session } or { error } with SESSION_INVALID / SESSION_EXPIRED
+  check(token) {
+    const session = token ? this.sessions.get(token) : null;
+    if (!session) {
+      return { error: 'SESSION_INVALID' };
+    }
+    if (session.expiresAt <= Date.now()) {
+      return { error: 'SESSION_EXPIRED' };
+    }
+    return { session };
+  }
+
+  // Issue a fresh token for a still-valid session and retire the old one
+  refresh(token) {
+    const result = this.check(token);
+    if (result.error) return result;
+
+    this.sessions.delete(token);
+    return { session: this.create(result.session.userId) };
+  }
+
+  revoke(token) {
+    return this.sessions.delete(token);
+  }
+
+  expiresIn(session) {
+    return Math.max(0, Math.round((session.expiresAt - Date.now()) / 1000));
+  }
+
+  prune() {
+    const cutoff = Date.now() - EXPIRED_GRACE;
+    for (const [token, session] of this.sessions) {
+      if (session.expiresAt <= cutoff) this.sessions.delete(token);
+    }
+  }
+
+  close() {
+    clearInterval(this.pruneTimer);
+  }
+}
+
+module.exports = { SessionManager, getSessionToken, hashPassword, verifyPassword };
@@ -0,0 +1,327 @@
+// store.js - Persistent player data for the local 2K17 server
+// Accounts live in one JSON file; cloud saves are stored as files next to it
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const STORE_VERSION = 1;
+const SAVE_DELAY = 500; // Coalesce bursts of writes into one disk write
+
+const DEFAULT_ATTRIBUTES = {
+  shooting: 50,
+  finishing: 50,
+  playmaking: 50,
+  defense: 50,
+  rebounding: 50,
+  athleticism: 50
+};
+
+// What PUT /myplayer may change, besides the attributes in DEFAULT_ATTRIBUTES
+const MY_PLAYER_FIELDS = ['name', 'position', 'overall'];
+
+// What accountIdFor() produces; account IDs are also directory names under saves/
+const ACCOUNT_ID_PATTERN = /^[0-9a-f]{16}$/;
+
+// Slot names become file names, so keep them simple
+const SLOT_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+
+// Keys from requests become object keys, so none that every object already has ("__proto__", "constructor")
+function isSafeKey(key) {
+  return !(key in Object.prototype);
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function requireObject(value, what) {
+  if (!isPlainObject(value)) {
+    throw new Error(`${what} must be a JSON object`);
+  }
+  return value;
+}
+
+// Own properties only: slots come from URLs
+function hasSave(account, slot) {
+  return Object.prototype.hasOwnProperty.call(account.saves, slot);
+}
+
+function validateSlot(slot) {
+  if (!SLOT_PATTERN.test(slot) || !isSafeKey(slot)) {
+    throw new Error(`Invalid save slot "${slot}"`);
+  }
+  return slot;
+}
+
+class PlayerStore {
+  constructor(dataDir, options = {}) {
+    this.dataDir = dataDir;
+    this.dbPath = path.join(dataDir, 'players.json');
+    this.savesDir = path.join(dataDir, 'saves');
+    this.startingVc = options.startingVc || 0;
+    this.saveTimer = null;
+    this.data = { version: STORE_VERSION, accounts: {} };
+  }
+
+  load() {
+    fs.mkdirSync(this.savesDir, { recursive: true });
+
+    if (fs.existsSync(this.dbPath)) {
+      const data = JSON.parse(fs.readFileSync(this.dbPath, 'utf8'));
+      if (data.version !== STORE_VERSION) {
+        throw new Error(`${this.dbPath} has store version ${data.version}, expected ${STORE_VERSION}`);
+      }
+      this.data = data;
+    }
+    return this;
+  }
+
+  // Write to a temp file and rename so a crash never leaves a half-written database
+  flush() {
+    if (this.saveTimer) {
+      clearTimeout(this.saveTimer);
+      this.saveTimer = null;
+    }
+    const tmpPath = `${this.dbPath}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify(this.data, null, 2));
+    fs.renameSync(tmpPath, this.dbPath);
+  }
+
+  scheduleSave() {
+    if (this.saveTimer) return;
+    this.saveTimer = setTimeout(() => {
+      this.saveTimer = null;
+      this.flush();
+    }, SAVE_DELAY);
+  }
+
+  static accountIdFor(username) {
+    return crypto.createHash('sha1').update(String(username).toLowerCase()).digest('hex').substring(0, 16);
+  }
+
+  static isValidSlot(slot) {
+    return SLOT_PATTERN.test(slot) && isSafeKey(slot);
+  }
+
+  listAccounts() {
+    return Object.values(this.data.accounts);
+  }
+
+  // Own properties only: account IDs come from URLs and import files
+  getAccount(accountId) {
+    return Object.prototype.hasOwnProperty.call(this.data.accounts, accountId) ? this.data.accounts[accountId] : null;
+  }
+
+  static isValidAccountId(accountId) {
+    return typeof accountId === 'string' && ACCOUNT_ID_PATTERN.test(accountId) && isSafeKey(accountId);
+  }
+
+  // Accounts are created the first time a username logs in
+  getOrCreateAccount(username) {
+    const accountId = PlayerStore.accountIdFor(username);
+    let account = this.data.accounts[accountId];
+
+    if (!account) {
+      const now = new Date().toISOString();
+      account = {
+        userId: accountId,
+        username,
+        createdAt: now,
+        lastLogin: now,
+        profile: {
+          displayName: username,
+          level: 1,
+          xp: 0,
+          avatar: null
+        },
+        vc: this.startingVc,
+        mc: 0,
+        myPlayer: {
+          name: username,
+          position: 'PG',
+          overall: 60,
+          attributes: { ...DEFAULT_ATTRIBUTES }
+        },
+        settings: {},
+        saves: {}
+      };
+      this.data.accounts[accountId] = account;
+    }
+
+    account.lastLogin = new Date().toISOString();
+    this.scheduleSave();
+    return account;
+  }
+
+  // Login password hash; accounts without one accept any password
+  setCredentials(accountId, credentials) {
+    this.requireAccount(accountId).credentials = credentials;
+    this.scheduleSave();
+  }
+
+  updateProfile(accountId, changes) {
+    const account = this.requireAccount(accountId);
+    for (const key of ['displayName', 'level', 'xp', 'avatar']) {
+      if (changes[key] !== undefined) account.profile[key] = changes[key];
+    }
+    this.scheduleSave();
+    return account.profile;
+  }
+
+  // Positive amounts add VC, negative amounts spend it; never goes below zero
+  adjustVc(accountId, amount) {
+    const account = this.requireAccount(accountId);
+    const value = Number(amount);
+
+    if (!Number.isFinite(value) || !Number.isInteger(value)) {
+      throw new Error('VC amount must be an integer');
+    }
+    if (account.vc + value < 0) {
+      return null;
+    }
+
+    account.vc += value;
+    this.scheduleSave();
+    return account.vc;
+  }
+
+  // Only MY_PLAYER_FIELDS and known attributes are taken; anything else in the body is ignored
+  updateMyPlayer(accountId, changes) {
+    const account = this.requireAccount(accountId);
+    requireObject(changes, 'MyPlayer changes');
+
+    for (const key of MY_PLAYER_FIELDS) {
+      if (changes[key] !== undefined) account.myPlayer[key] = changes[key];
+    }
+    if (changes.attributes !== undefined) {
+      const attributes = requireObject(changes.attributes, 'MyPlayer attributes');
+      for (const key of Object.keys(DEFAULT_ATTRIBUTES)) {
+        if (attributes[key] !== undefined) account.myPlayer.attributes[key] = attributes[key];
+      }
+    }
+    this.scheduleSave();
+    return account.myPlayer;
+  }
+
+  // Settings are the game's own, so any names are kept except ones that would touch the prototype
+  updateSettings(accountId, settings) {
+    const account = this.requireAccount(accountId);
+    for (const [key, value] of Object.entries(requireObject(settings, 'Settings'))) {
+      if (isSafeKey(key)) account.settings[key] = value;
+    }
+    this.scheduleSave();
+    return account.settings;
+  }
+
+  savePath(accountId, slot) {
+    if (!PlayerStore.isValidAccountId(accountId)) {
+      throw new Error(`Invalid account ID "${accountId}"`);
+    }
+    return path.join(this.savesDir, accountId, `${validateSlot(slot)}.bin`);
+  }
+
+  listSaves(accountId) {
+    return this.requireAccount(accountId).saves;
+  }
+
+  readSave(accountId, slot) {
+    const account = this.requireAccount(accountId);
+    if (!hasSave(account, slot)) return null;
+    return fs.readFileSync(this.savePath(accountId, slot));
+  }
+
+  writeSave(accountId, slot, data) {
+    const account = this.requireAccount(accountId);
+    const filePath = this.savePath(accountId, slot);
+
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, data);
+
+    account.saves[slot] = {
+      size: data.length,
+      sha1: crypto.createHash('sha1').update(data).digest('hex'),
+      updatedAt: new Date().toISOString()
+    };
+    this.scheduleSave();
+    return account.saves[slot];
+  }
+
+  deleteSave(accountId, slot) {
+    const account = this.requireAccount(accountId);
+    if (!hasSave(account, slot)) return false;
+
+    fs.rmSync(this.savePath(accountId, slot), { force: true });
+    delete account.saves[slot];
+    this.scheduleSave();
+    return true;
+  }
+
+  requireAccount(accountId) {
+    const account = this.getAccount(accountId);
+    if (!account) {
+      throw new Error(`Unknown account ${accountId}`);
+    }
+    return account;
+  }
+
+  // Portable dump of one or all accounts, with cloud saves inlined as base64
+  exportData(accountId = null) {
+    const accounts = accountId ? [this.requireAccount(accountId)] : this.listAccounts();
+
+    return {
+      version: STORE_VERSION,
+      exportedAt: new Date().toISOString(),
+      accounts: accounts.map(account => ({
+        ...account,
+        saves: Object.fromEntries(Object.entries(account.saves).map(([slot, meta]) => [slot, {
+          ...meta,
+          data: fs.readFileSync(this.savePath(account.userId, slot)).toString('base64')
+        }]))
+      }))
+    };
+  }
+
+  // Load an export; existing accounts are skipped unless overwrite is set
+  importData(dump, { overwrite = false } = {}) {
+    if (!dump || dump.version !== STORE_VERSION || !Array.isArray(dump.accounts)) {
+      throw new Error('Not a player data export (or from an incompatible version)');
+    }
+
+    // Checked up front so a bad entry can't leave the import half done
+    dump.accounts.forEach((entry, i) => {
+      if (!isPlainObject(entry) || !PlayerStore.isValidAccountId(entry.userId)) {
+        throw new Error(`Account ${i + 1} in the export has an invalid userId`);
+      }
+      if (entry.saves !== undefined && !isPlainObject(entry.saves)) {
+        throw new Error(`Account ${entry.userId} in the export has invalid saves`);
+      }
+      const badSlot = Object.keys(entry.saves || {}).find(slot => !PlayerStore.isValidSlot(slot));
+      if (badSlot !== undefined) {
+        throw new Error(`Account ${entry.userId} in the export has an invalid save slot "${badSlot}"`);
+      }
+    });
+
+    const result = { imported: [], skipped: [] };
+
+    for (const entry of dump.accounts) {
+      if (this.getAccount(entry.userId) && !overwrite) {
+        result.skipped.push(entry.userId);
+        continue;
+      }
+
+      const { saves, ...account } = entry;
+      this.data.accounts[entry.userId] = { ...account, saves: {} };
+      for (const [slot, save] of Object.entries(saves || {})) {
+        this.writeSave(entry.userId, slot, Buffer.from(save.data, 'base64'));
+        this.data.accounts[entry.userId].saves[slot].updatedAt = save.updatedAt;
+      }
+      result.imported.push(entry.userId);
+    }
+
+    this.flush();
+    return result;
+  }
+}
+
+module.exports = { PlayerStore, isPlainObject };
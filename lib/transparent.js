@@ -0,0 +1,215 @@
+// transparent.js - Transparent HTTPS listener for DNS-redirected clients
+// Reads the SNI hostname from the TLS ClientHello, then either decrypts the connection
+// (intercepted 2K hosts) or tunnels it untouched to the real host
+
+const net = require('net');
+const tls = require('tls');
+const { Duplex } = require('stream');
+const { openTunnel } = require('./lifecycle');
+
+const MAX_HELLO_SIZE = 16 * 1024;
+const HELLO_TIMEOUT = 10000;
+
+// Extract the server_name extension from a buffered TLS ClientHello.
+// Returns undefined while more data is needed and null when there is no SNI. Every length comes from
+// the client, so nothing is read past the end of the record.
+function parseSni(buffer) {
+  if (buffer.length < 5) return undefined;
+  if (buffer[0] !== 0x16) return null; // Not a TLS handshake record
+
+  const recordLength = buffer.readUInt16BE(3);
+  if (buffer.length < 5 + recordLength) return undefined;
+  const recordEnd = 5 + recordLength;
+  const fits = (from, n) => from + n <= recordEnd;
+
+  let offset = 5;
+  if (!fits(offset, 1) || buffer[offset] !== 0x01) return null; // Not a ClientHello
+  offset += 4; // Handshake type + length
+  offset += 2 + 32; // Client version + random
+
+  if (!fits(offset, 1)) return null;
+  const sessionIdLength = buffer[offset];
+  offset += 1 + sessionIdLength;
+
+  if (!fits(offset, 2)) return null;
+  const cipherSuitesLength = buffer.readUInt16BE(offset);
+  offset += 2 + cipherSuitesLength;
+
+  if (!fits(offset, 1)) return null;
+  const compressionLength = buffer[offset];
+  offset += 1 + compressionLength;
+
+  if (!fits(offset, 2)) return null;
+  const extensionsEnd = Math.min(offset + 2 + buffer.readUInt16BE(offset), recordEnd);
+  offset += 2;
+
+  while (offset + 4 <= extensionsEnd) {
+    const type = buffer.readUInt16BE(offset);
+    const length = buffer.readUInt16BE(offset + 2);
+    offset += 4;
+
+    if (type === 0x0000) {
+      // server_name_list: list length, then entries of (type, length, name)
+      const listEnd = Math.min(offset + length, extensionsEnd);
+      let entry = offset + 2;
+      while (entry + 3 <= listEnd) {
+        const nameType = buffer[entry];
+        const nameLength = buffer.readUInt16BE(entry + 1);
+        if (entry + 3 + nameLength > listEnd) return null;
+        if (nameType === 0) {
+          return buffer.toString('ascii', entry + 3, entry + 3 + nameLength).toLowerCase();
+        }
+        entry += 3 + nameLength;
+      }
+      return null;
+    }
+
+    offset += length;
+  }
+
+  return null;
+}
+
+// TLSSocket reads a net.Socket's handle directly and would miss bytes already read
+// from it, so replay them through a stream wrapper instead
+function withPrefetchedData(socket, head) {
+  if (!head || head.length === 0) return socket;
+
+  const wrapper = new Duplex({
+    read() {
+      socket.resume();
+    },
+    write(chunk, encoding, callback) {
+      socket.write(chunk, encoding, callback);
+    },
+    final(callback) {
+      socket.end();
+      callback();
+    },
+    destroy(err, callback) {
+      socket.destroy(err);
+      callback(err);
+    }
+  });
+
+  wrapper.remoteAddress = socket.remoteAddress;
+  wrapper.remotePort = socket.remotePort;
+  wrapper.push(head);
+  socket.on('data', (chunk) => {
+    if (!wrapper.push(chunk)) socket.pause();
+  });
+  socket.on('end', () => wrapper.push(null));
+  socket.on('close', () => wrapper.destroy());
+  socket.on('error', (err) => wrapper.destroy(err));
+  return wrapper;
+}
+
+class TransparentListener {
+  // options: { port, host, isIntercepted(hostname), getSecureContext(hostname), sniCallback,
+  //            interceptServer, logger, generateRequestId(socket), authorize(requestId, socket, hostname),
+  //            connectTimeout, idleTimeout, connect(host, port, callback), onTunnelClose }
+  constructor(options) {
+    this.options = options;
+    this.server = net.createServer(socket => this.handleConnection(socket));
+    this.server.on('error', (err) => {
+      options.logger.log('ERROR', `Transparent listener on port ${options.port} error: ${err.message}`);
+    });
+  }
+
+  listen() {
+    return new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(this.options.port, this.options.host, () => {
+        this.server.removeListener('error', reject);
+        resolve();
+      });
+    });
+  }
+
+  close() {
+    this.server.close();
+  }
+
+  handleConnection(socket) {
+    const { logger } = this.options;
+    const requestId = this.options.generateRequestId(socket);
+    let buffered = Buffer.alloc(0);
+
+    socket.setTimeout(HELLO_TIMEOUT, () => {
+      logger.log('WARN', `[${requestId}] Transparent: no ClientHello from ${socket.remoteAddress}`);
+      socket.destroy();
+    });
+
+    const onData = (chunk) => {
+      buffered = Buffer.concat([buffered, chunk]);
+      const sni = parseSni(buffered);
+
+      if (sni === undefined && buffered.length < MAX_HELLO_SIZE) return;
+
+      socket.removeListener('data', onData);
+      socket.setTimeout(0);
+      socket.pause();
+      this.route(requestId, socket, sni || null, buffered);
+    };
+
+    socket.on('data', onData);
+    socket.on('error', (err) => {
+      logger.log('ERROR', `[${requestId}] Transparent connection error: ${err.message}`);
+    });
+  }
+
+  route(requestId, socket, hostname, head) {
+    const { logger, port } = this.options;
+
+    if (!hostname) {
+      logger.log('WARN', `[${requestId}] Transparent: connection on port ${port} without SNI, closing`);
+      socket.destroy();
+      return;
+    }
+
+    // Access control; the denial is logged by the caller
+    if (this.options.authorize && !this.options.authorize(requestId, socket, hostname)) {
+      socket.destroy();
+      return;
+    }
+
+    if (this.options.isIntercepted(hostname)) {
+      logger.log('INFO', `[${requestId}] Transparent: decrypting ${hostname}:${port}`);
+
+      this.options.getSecureContext(hostname).then((secureContext) => {
+        const tlsSocket = new tls.TLSSocket(withPrefetchedData(socket, head), {
+          isServer: true,
+          secureContext,
+          SNICallback: this.options.sniCallback
+        });
+        tlsSocket.connectHost = hostname;
+        tlsSocket.clientAddress = socket.remoteAddress;
+        tlsSocket.on('error', (err) => {
+          logger.log('ERROR', `[${requestId}] TLS error for ${hostname}: ${err.message}`);
+        });
+        this.options.interceptServer.emit('connection', tlsSocket);
+      }).catch((err) => {
+        logger.log('ERROR', `[${requestId}] Cannot intercept TLS for ${hostname}: ${err.message}`);
+        socket.destroy();
+      });
+      return;
+    }
+
+    // Not ours: pass the connection through to the real host
+    logger.log('INFO', `[${requestId}] Transparent: tunnelling ${hostname}:${port}`);
+    openTunnel(requestId, socket, hostname, port, {
+      logger,
+      head,
+      connectTimeout: this.options.connectTimeout || 30000,
+      idleTimeout: this.options.idleTimeout || 120000,
+      connect: this.options.connect,
+      onClose: this.options.onTunnelClose,
+      onError: (err) => {
+        logger.log('ERROR', `[${requestId}] Transparent tunnel error: ${err.message}`);
+        socket.destroy();
+      }
+    });
+  }
+}
+
+module.exports = { TransparentListener, parseSni, withPrefetchedData };
@@ -0,0 +1,702 @@
+// local_server.js - Local NBA 2K17 emulation server
+// Answers the 2K endpoints that both proxies redirect to 127.0.0.1:49767 with well-formed stub responses
+
+const http = require('http');
+const url = require('url');
+const querystring = require('querystring');
+const fs = require('fs');
+const { PlayerStore, isPlainObject } = require('./lib/store');
+const { SessionManager, getSessionToken, hashPassword, verifyPassword } = require('./lib/sessions');
+const { LobbyManager } = require('./lib/lobby');
+const { ContentStore, KEY_PATTERN, etagMatches } = require('./lib/content');
+
+// Configuration
+const CONFIG = {
+  HOST: '0.0.0.0',
+  PORT: 49767, // Must match LOCAL_SERVER_PORT in the proxies
+  MAX_BODY_SIZE: 10 * 1024 * 1024, // 10 MB
+  LOG_REQUESTS: true,
+  DATA_DIR: './data', // Player accounts (players.json) and cloud saves
+  CONTENT_DIR: './content', // News, message of the day, config and other files served to the game
+  STARTING_VC: 0,
+  SESSION_TTL: 3600, // Seconds a session token stays valid
+  LOBBY_PLAYER_TIMEOUT: 30, // Seconds without a lobby request before a player is dropped
+  LOBBY_IDLE_TIMEOUT: 600, // Seconds a waiting lobby lasts without any activity
+  LOBBY_MATCH_TIMEOUT: 3 * 3600 // Seconds a started match keeps its lobby without anyone checking in
+};
+
+// Persistent per-account data, loaded when the server is created
+const store = new PlayerStore(CONFIG.DATA_DIR, { startingVc: CONFIG.STARTING_VC });
+const sessions = new SessionManager({ ttl: CONFIG.SESSION_TTL });
+const lobbies = new LobbyManager({
+  playerTimeout: CONFIG.LOBBY_PLAYER_TIMEOUT,
+  idleTimeout: CONFIG.LOBBY_IDLE_TIMEOUT,
+  matchTimeout: CONFIG.LOBBY_MATCH_TIMEOUT
+});
+const contents = new ContentStore(CONFIG.CONTENT_DIR);
+
+// Minimal path router supporting `:param` segments
+class Router {
+  constructor() {
+    this.routes = [];
+  }
+
+  add(method, pattern, handler) {
+    const keys = [];
+    const regex = new RegExp('^' + pattern.replace(/\/:([A-Za-z0-9_]+)/g, (match, key) => {
+      keys.push(key);
+      return '/([^/]+)';
+    }) + '/?$', 'i');
+
+    this.routes.push({ method: method.toUpperCase(), pattern, regex, keys, handler });
+    return this;
+  }
+
+  match(method, pathname) {
+    let pathMatched = false;
+
+    for (const route of this.routes) {
+      const result = route.regex.exec(pathname);
+      if (!result) continue;
+
+      pathMatched = true;
+      if (route.method !== '*' && route.method !== method) continue;
+
+      const params = {};
+      route.keys.forEach((key, i) => {
+        params[key] = decodeURIComponent(result[i + 1]);
+      });
+      return { route, params };
+    }
+
+    return pathMatched ? { methodNotAllowed: true } : null;
+  }
+}
+
+// Response helpers
+function reply(data, status = 200, headers = {}) {
+  return { status, headers, body: { success: status < 400, ...data } };
+}
+
+function replyError(status, code, message) {
+  return { status, headers: {}, body: { success: false, error: { code, message } } };
+}
+
+const SESSION_ERRORS = {
+  SESSION_REQUIRED: 'No session token; log in first',
+  SESSION_INVALID: 'Session token is not valid; log in again',
+  SESSION_EXPIRED: 'Session has expired; log in again'
+};
+
+const LOBBY_ERRORS = {
+  LOBBY_NOT_FOUND: [404, 'No such lobby; it may have timed out'],
+  LOBBY_FULL: [409, 'Lobby is full'],
+  LOBBY_IN_GAME: [409, 'Lobby has already started its match'],
+  LOBBY_CODE_INVALID: [403, 'Wrong join code for this private lobby'],
+  NOT_IN_LOBBY: [403, 'You are not in this lobby'],
+  NOT_LOBBY_HOST: [403, 'Only the lobby host can start the match'],
+  NOT_ENOUGH_PLAYERS: [409, 'At least two players are needed to start'],
+  PLAYERS_NOT_READY: [409, 'Every player has to be ready to start'],
+  BAD_REQUEST: [400, 'maxPlayers must be between 2 and 10']
+};
+
+// Account routes need a valid session token from login. The session picks the account,
+// except for routes with a :userId, which look at another player's data.
+function withAccount(handler) {
+  return (ctx) => {
+    const token = getSessionToken(ctx.headers);
+    const { session, error } = token ? sessions.check(token) : { error: 'SESSION_REQUIRED' };
+    if (error) {
+      return replyError(401, error, SESSION_ERRORS[error]);
+    }
+
+    const account = store.getAccount(ctx.params.userId || session.userId);
+    if (!account) {
+      return replyError(404, 'ACCOUNT_NOT_FOUND', `Unknown user ${ctx.params.userId || session.userId}`);
+    }
+
+    ctx.session = session;
+    return handler(ctx, account);
+  };
+}
+
+// Parse JSON or form-encoded bodies; other payloads stay available as ctx.rawBody
+function parseBody(req, rawBody) {
+  if (rawBody.length === 0) return {};
+
+  const contentType = (req.headers['content-type'] || '').toLowerCase();
+  const text = rawBody.toString('utf8');
+
+  if (contentType.includes('application/x-www-form-urlencoded')) {
+    return querystring.parse(text);
+  }
+
+  try {
+    return JSON.parse(text);
+  } catch {
+    return contentType.includes('json') ? null : {};
+  }
+}
+
+// Route handlers
+// First login creates the account; a password given then is required on later logins. A password-less
+// account only gets one from someone already logged in to it, so whoever guesses the username first
+// can't lock its owner out
+function handleLogin(ctx) {
+  const username = ctx.body.username || ctx.body.user || ctx.body.email;
+  const password = ctx.body.password;
+  if (!username) {
+    return replyError(400, 'BAD_REQUEST', 'username is required');
+  }
+
+  const existing = store.getAccount(PlayerStore.accountIdFor(username));
+  if (existing && existing.credentials && !(password !== undefined && verifyPassword(password, existing.credentials))) {
+    return replyError(401, 'INVALID_CREDENTIALS', 'Wrong username or password');
+  }
+
+  if (existing && !existing.credentials && password !== undefined && !holdsSession(ctx, existing)) {
+    return replyError(403, 'PASSWORD_NOT_SET', 'This account has no password: log in without one, then send the password with that session to set it');
+  }
+
+  const account = store.getOrCreateAccount(username);
+  if (!account.credentials && password !== undefined) {
+    store.setCredentials(account.userId, hashPassword(password));
+  }
+
+  return sessionReply(account, sessions.create(account.userId), !existing);
+}
+
+function holdsSession(ctx, account) {
+  const token = getSessionToken(ctx.headers);
+  const { session } = token ? sessions.check(token) : {};
+  return Boolean(session) && session.userId === account.userId;
+}
+
+function sessionReply(account, session, created = false) {
+  return reply({
+    userId: account.userId,
+    username: account.username,
+    sessionToken: session.token,
+    expiresIn: sessions.expiresIn(session),
+    newAccount: created,
+    serverTime: new Date().toISOString()
+  }, 200, { 'Set-Cookie': `sessionToken=${session.token}; Path=/; HttpOnly; Max-Age=${sessions.expiresIn(session)}` });
+}
+
+function handleLogout(ctx) {
+  const token = getSessionToken(ctx.headers);
+  if (token) sessions.revoke(token);
+  return reply({}, 200, { 'Set-Cookie': 'sessionToken=; Path=/; HttpOnly; Max-Age=0' });
+}
+
+function handleSession(ctx, account) {
+  return reply({
+    userId: account.userId,
+    username: account.username,
+    expiresIn: sessions.expiresIn(ctx.session)
+  });
+}
+
+function handleRefreshSession(ctx, account) {
+  const { session, error } = sessions.refresh(ctx.session.token);
+  if (error) {
+    return replyError(401, error, SESSION_ERRORS[error]);
+  }
+  return sessionReply(account, session);
+}
+
+function handleProfile(ctx, account) {
+  return reply({
+    userId: account.userId,
+    username: account.username,
+    ...account.profile,
+    vc: account.vc,
+    mc: account.mc
+  });
+}
+
+function handleUpdateProfile(ctx, account) {
+  return reply({ profile: store.updateProfile(account.userId, ctx.body) });
+}
+
+function handleVcBalance(ctx, account) {
+  return reply({ vc: account.vc });
+}
+
+function handleVcAdjust(sign) {
+  return (ctx, account) => {
+    const amount = Number(ctx.body.amount);
+    if (!Number.isInteger(amount) || amount <= 0) {
+      return replyError(400, 'BAD_REQUEST', 'amount must be a positive integer');
+    }
+
+    const vc = store.adjustVc(account.userId, sign * amount);
+    if (vc === null) {
+      return replyError(402, 'INSUFFICIENT_VC', `Balance ${account.vc} is less than ${amount}`);
+    }
+    return reply({ vc });
+  };
+}
+
+function handleMyPlayer(ctx, account) {
+  return reply({ myPlayer: account.myPlayer });
+}
+
+function handleUpdateMyPlayer(ctx, account) {
+  if (!isPlainObject(ctx.body) || (ctx.body.attributes !== undefined && !isPlainObject(ctx.body.attributes))) {
+    return replyError(400, 'BAD_REQUEST', 'Expected a JSON object, with attributes as an object');
+  }
+  return reply({ myPlayer: store.updateMyPlayer(account.userId, ctx.body) });
+}
+
+function handleSettings(ctx, account) {
+  return reply({ settings: account.settings });
+}
+
+function handleUpdateSettings(ctx, account) {
+  if (!isPlainObject(ctx.body)) {
+    return replyError(400, 'BAD_REQUEST', 'Expected a JSON object');
+  }
+  return reply({ settings: store.updateSettings(account.userId, ctx.body) });
+}
+
+function handleListSaves(ctx, account) {
+  return reply({ saves: store.listSaves(account.userId) });
+}
+
+function handleDownloadSave(ctx, account) {
+  const data = store.readSave(account.userId, ctx.params.slot);
+  if (!data) {
+    return replyError(404, 'SAVE_NOT_FOUND', `No save in slot ${ctx.params.slot}`);
+  }
+  return { status: 200, headers: {}, body: data };
+}
+
+function handleUploadSave(ctx, account) {
+  if (!PlayerStore.isValidSlot(ctx.params.slot)) {
+    return replyError(400, 'BAD_REQUEST', 'Save slots may only use letters, digits, "-" and "_"');
+  }
+  if (ctx.rawBody.length === 0) {
+    return replyError(400, 'BAD_REQUEST', 'Save data is empty');
+  }
+  return reply({ slot: ctx.params.slot, save: store.writeSave(account.userId, ctx.params.slot, ctx.rawBody) });
+}
+
+function handleDeleteSave(ctx, account) {
+  if (!store.deleteSave(account.userId, ctx.params.slot)) {
+    return replyError(404, 'SAVE_NOT_FOUND', `No save in slot ${ctx.params.slot}`);
+  }
+  return reply({});
+}
+
+// Where other players reach this one once a match starts: the address and port the game reports,
+// else the address the request came from (through the proxy, its X-Forwarded-For)
+function playerAddress(ctx) {
+  const forwarded = String(ctx.headers['x-forwarded-for'] || '').split(',')[0].trim();
+  const ip = ctx.body.address || forwarded || ctx.req.socket.remoteAddress || '';
+  const port = Number(ctx.body.port);
+  return { ip: String(ip).replace(/^::ffff:/, ''), port: Number.isInteger(port) && port > 0 && port < 65536 ? port : null };
+}
+
+function lobbyPlayer(ctx, account) {
+  return { userId: account.userId, username: account.profile.displayName || account.username, address: playerAddress(ctx) };
+}
+
+function lobbyReply(result, account, status = 200) {
+  if (result.error) {
+    const [errorStatus, message] = LOBBY_ERRORS[result.error];
+    return replyError(errorStatus, result.error, message);
+  }
+  return reply({ lobby: lobbies.view(result.lobby, account.userId) }, status);
+}
+
+function handleListLobbies(ctx, account) {
+  return reply({ lobbies: lobbies.list(ctx.query.mode || null).map(lobby => lobbies.view(lobby, account.userId)) });
+}
+
+function handleCreateLobby(ctx, account) {
+  return lobbyReply(lobbies.create(lobbyPlayer(ctx, account), ctx.body), account, 201);
+}
+
+function handleMatchmake(ctx, account) {
+  return lobbyReply(lobbies.matchmake(lobbyPlayer(ctx, account), ctx.body.mode || undefined), account);
+}
+
+function handleCurrentLobby(ctx, account) {
+  const result = lobbies.current(account.userId);
+  if (result.lobby) lobbies.heartbeat(result.lobby.lobbyId, account.userId);
+  return lobbyReply(result, account);
+}
+
+// Polling a lobby you are in doubles as the keep-alive
+function handleGetLobby(ctx, account) {
+  const result = lobbies.get(ctx.params.lobbyId);
+  if (result.lobby && lobbies.member(result.lobby, account.userId)) lobbies.heartbeat(result.lobby.lobbyId, account.userId);
+  return lobbyReply(result, account);
+}
+
+function handleJoinLobby(ctx, account) {
+  return lobbyReply(lobbies.join(ctx.params.lobbyId, lobbyPlayer(ctx, account), ctx.body.code), account);
+}
+
+function handleLeaveLobby(ctx, account) {
+  const result = lobbies.leave(ctx.params.lobbyId, account.userId);
+  return result.error ? lobbyReply(result, account) : reply({});
+}
+
+function handleLobbyReady(ctx, account) {
+  const ready = ctx.body.ready === undefined ? true : ctx.body.ready !== false && ctx.body.ready !== 'false';
+  return lobbyReply(lobbies.setReady(ctx.params.lobbyId, account.userId, ready), account);
+}
+
+function handleStartMatch(ctx, account) {
+  return lobbyReply(lobbies.start(ctx.params.lobbyId, account.userId), account);
+}
+
+function handleEndMatch(ctx, account) {
+  return lobbyReply(lobbies.end(ctx.params.lobbyId, account.userId), account);
+}
+
+function handleLobbyHeartbeat(ctx, account) {
+  const address = ctx.body.port || ctx.body.address ? playerAddress(ctx) : null;
+  return lobbyReply(lobbies.heartbeat(ctx.params.lobbyId, account.userId, address), account);
+}
+
+function handleStatus() {
+  return reply({
+    online: true,
+    maintenance: false,
+    serverTime: new Date().toISOString(),
+    version: 'local'
+  });
+}
+
+const DEFAULT_CONFIG = {
+  features: {
+    myCareer: true,
+    myTeam: true,
+    myPark: false,
+    lobbies: true,
+    proAm: false
+  },
+  motd: 'Welcome to the local NBA 2K17 server'
+};
+
+// One level deep, so a published config can flip a single feature
+function mergeContent(defaults, data) {
+  if (Array.isArray(data)) return { ...defaults, items: data };
+  if (!data || typeof data !== 'object') return { ...defaults, data };
+
+  const merged = { ...defaults };
+  for (const [key, value] of Object.entries(data)) {
+    const isObject = value && typeof value === 'object' && !Array.isArray(value);
+    merged[key] = isObject && merged[key] && typeof merged[key] === 'object' ? { ...merged[key], ...value } : value;
+  }
+  return merged;
+}
+
+function contentHeaders(entry) {
+  return { 'ETag': entry.etag, 'Cache-Control': 'no-cache', 'X-Content-Version': String(entry.version) };
+}
+
+// The live version of a content item as stored, or 304 if the game already has it
+function rawContentReply(ctx, content) {
+  const headers = contentHeaders(content.entry);
+  if (etagMatches(ctx.headers['if-none-match'], content.entry.etag)) {
+    return { status: 304, headers, body: null };
+  }
+  return { status: 200, headers: { ...headers, 'Content-Type': content.entry.contentType }, body: content.data };
+}
+
+// A game endpoint backed by published content: JSON is merged over the built-in defaults and sent in
+// the usual envelope, anything else as is. Without published content the defaults are served.
+function contentReply(ctx, key, defaults) {
+  const content = contents.get(key);
+  if (!content) return reply(defaults);
+  if (!content.entry.contentType.startsWith('application/json')) return rawContentReply(ctx, content);
+
+  const headers = contentHeaders(content.entry);
+  if (etagMatches(ctx.headers['if-none-match'], content.entry.etag)) {
+    return { status: 304, headers, body: null };
+  }
+  return reply(mergeContent(defaults, JSON.parse(content.data.toString('utf8'))), 200, headers);
+}
+
+function handleConfig(ctx) {
+  return contentReply(ctx, 'config', DEFAULT_CONFIG);
+}
+
+function handleNews(ctx) {
+  return contentReply(ctx, 'news', { items: [] });
+}
+
+function handleMotd(ctx) {
+  return contentReply(ctx, 'motd', { motd: DEFAULT_CONFIG.motd });
+}
+
+function handleContentIndex() {
+  return reply({ items: contents.index() });
+}
+
+function handleContent(ctx) {
+  const content = KEY_PATTERN.test(ctx.params.key) ? contents.get(ctx.params.key) : null;
+  if (!content) {
+    return replyError(404, 'CONTENT_NOT_FOUND', `No published content "${ctx.params.key}"`);
+  }
+  return rawContentReply(ctx, content);
+}
+
+// Route table for the 2K endpoints seen in the proxy logs
+const router = new Router()
+  .add('GET', '/', handleStatus)
+  .add('GET', '/status', handleStatus)
+  .add('GET', '/ping', handleStatus)
+  .add('POST', '/user/login', handleLogin)
+  .add('POST', '/user/logout', handleLogout)
+  .add('GET', '/user/session', withAccount(handleSession))
+  .add('POST', '/user/session/refresh', withAccount(handleRefreshSession))
+  .add('GET', '/user/profile', withAccount(handleProfile))
+  .add('GET', '/user/:userId/profile', withAccount(handleProfile))
+  .add('PUT', '/user/profile', withAccount(handleUpdateProfile))
+  .add('GET', '/user/vc', withAccount(handleVcBalance))
+  .add('POST', '/user/vc/add', withAccount(handleVcAdjust(1)))
+  .add('POST', '/user/vc/spend', withAccount(handleVcAdjust(-1)))
+  .add('GET', '/user/settings', withAccount(handleSettings))
+  .add('PUT', '/user/settings', withAccount(handleUpdateSettings))
+  .add('GET', '/myplayer', withAccount(handleMyPlayer))
+  .add('PUT', '/myplayer', withAccount(handleUpdateMyPlayer))
+  .add('GET', '/saves', withAccount(handleListSaves))
+  .add('GET', '/saves/:slot', withAccount(handleDownloadSave))
+  .add('PUT', '/saves/:slot', withAccount(handleUploadSave))
+  .add('POST', '/saves/:slot', withAccount(handleUploadSave))
+  .add('DELETE', '/saves/:slot', withAccount(handleDeleteSave))
+  .add('GET', '/lobbies', withAccount(handleListLobbies))
+  .add('POST', '/lobbies', withAccount(handleCreateLobby))
+  .add('POST', '/lobbies/matchmake', withAccount(handleMatchmake))
+  .add('GET', '/lobbies/current', withAccount(handleCurrentLobby))
+  .add('GET', '/lobbies/:lobbyId', withAccount(handleGetLobby))
+  .add('POST', '/lobbies/:lobbyId/join', withAccount(handleJoinLobby))
+  .add('POST', '/lobbies/:lobbyId/leave', withAccount(handleLeaveLobby))
+  .add('POST', '/lobbies/:lobbyId/ready', withAccount(handleLobbyReady))
+  .add('POST', '/lobbies/:lobbyId/start', withAccount(handleStartMatch))
+  .add('POST', '/lobbies/:lobbyId/end', withAccount(handleEndMatch))
+  .add('POST', '/lobbies/:lobbyId/heartbeat', withAccount(handleLobbyHeartbeat))
+  .add('GET', '/config', handleConfig)
+  .add('GET', '/news', handleNews)
+  .add('GET', '/motd', handleMotd)
+  .add('GET', '/content', handleContentIndex)
+  .add('GET', '/content/:key', handleContent);
+
+function log(message) {
+  if (CONFIG.LOG_REQUESTS) {
+    console.log(`[${new Date().toISOString()}] ${message}`);
+  }
+}
+
+function sendResponse(res, result) {
+  // 304 Not Modified and the like
+  if (result.body === null) {
+    res.writeHead(result.status, result.headers);
+    res.end();
+    return;
+  }
+
+  const isBuffer = Buffer.isBuffer(result.body);
+  const payload = isBuffer ? result.body : Buffer.from(JSON.stringify(result.body));
+
+  res.writeHead(result.status, {
+    'Content-Type': isBuffer ? 'application/octet-stream' : 'application/json; charset=utf-8',
+    'Content-Length': payload.length,
+    ...result.headers
+  });
+  res.end(payload);
+}
+
+// Main request handler
+async function handleRequest(req, rawBody) {
+  const parsedUrl = url.parse(req.url, true);
+  const pathname = parsedUrl.pathname.replace(/\/{2,}/g, '/');
+  const matched = router.match(req.method, pathname);
+
+  if (!matched) {
+    return replyError(404, 'NOT_FOUND', `No handler for ${req.method} ${pathname}`);
+  }
+
+  if (matched.methodNotAllowed) {
+    return replyError(405, 'METHOD_NOT_ALLOWED', `${req.method} not allowed on ${pathname}`);
+  }
+
+  const body = parseBody(req, rawBody);
+  if (body === null) {
+    return replyError(400, 'BAD_REQUEST', 'Malformed JSON body');
+  }
+
+  const ctx = {
+    req,
+    method: req.method,
+    path: pathname,
+    query: parsedUrl.query,
+    params: matched.params,
+    headers: req.headers,
+    rawBody,
+    body
+  };
+
+  return matched.route.handler(ctx);
+}
+
+function createLocalServer() {
+  store.load();
+  contents.load();
+
+  return http.createServer((req, res) => {
+    const chunks = [];
+    let size = 0;
+    let aborted = false;
+
+    req.on('data', chunk => {
+      size += chunk.length;
+      if (size > CONFIG.MAX_BODY_SIZE) {
+        aborted = true;
+        sendResponse(res, replyError(413, 'PAYLOAD_TOO_LARGE', 'Request body too large'));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+
+    req.on('end', () => {
+      if (aborted) return;
+
+      Promise.resolve()
+        .then(() => handleRequest(req, Buffer.concat(chunks)))
+        .then(result => {
+          log(`${req.method} ${req.url} -> ${result.status}`);
+          sendResponse(res, result);
+        })
+        .catch(err => {
+          log(`${req.method} ${req.url} -> 500 (${err.message})`);
+          sendResponse(res, replyError(500, 'INTERNAL_ERROR', err.message));
+        });
+    });
+  });
+}
+
+module.exports = { CONFIG, Router, router, store, lobbies, contents, reply, replyError, createLocalServer };
+
+// --name=value, or true for a bare --name
+function cliOption(args, name) {
+  const arg = args.find(a => a === `--${name}` || a.startsWith(`--${name}=`));
+  return arg === undefined ? undefined : (arg.split('=').slice(1).join('=') || true);
+}
+
+// Player data commands:
+//   --export=<file> [--account=<userId>]   write accounts and cloud saves to one JSON file
+//   --import=<file> [--overwrite]          load an export, replacing existing accounts if asked
+function runDataCommand(args) {
+  const option = name => cliOption(args, name);
+
+  store.load();
+
+  if (option('export')) {
+    const file = option('export') === true ? 'players-export.json' : option('export');
+    const dump = store.exportData(option('account') || null);
+    fs.writeFileSync(file, JSON.stringify(dump, null, 2));
+    console.log(`📤 Exported ${dump.accounts.length} account(s) to ${file}`);
+    return;
+  }
+
+  const file = option('import');
+  const result = store.importData(JSON.parse(fs.readFileSync(file, 'utf8')), { overwrite: option('overwrite') === true });
+  console.log(`📥 Imported ${result.imported.length} account(s) from ${file}`);
+  if (result.skipped.length) {
+    console.log(`⏭️ Skipped existing account(s): ${result.skipped.join(', ')} (use --overwrite to replace)`);
+  }
+}
+
+// Content commands:
+//   --content-list                             every item, its versions and which one is live
+//   --content-publish[=<key>] [--note=<text>]  publish working files that changed (all, or one)
+//   --content-publish=<key> --version=<n>      make a published version live again, e.g. to roll back
+function runContentCommand(args) {
+  const option = name => cliOption(args, name);
+  contents.load();
+
+  if (option('content-list')) {
+    const items = contents.list();
+    console.log(`📰 Content in ${CONFIG.CONTENT_DIR}${items.length ? '' : ': nothing yet'}`);
+    for (const item of items) {
+      const live = item.current ? `v${item.current} live` : 'not live';
+      console.log(`  ${item.key}: ${live}, ${item.status}`);
+      for (const version of item.versions) {
+        const marker = version.version === item.current ? '*' : ' ';
+        const note = version.note ? `  ${version.note}` : '';
+        console.log(`   ${marker} v${version.version}  ${version.publishedAt}  ${version.size} bytes  ${version.contentType}${note}`);
+      }
+    }
+    return;
+  }
+
+  const key = option('content-publish');
+  if (option('version') !== undefined) {
+    if (key === true) throw new Error('--version needs --content-publish=<key>');
+    const entry = contents.activate(key, Number(option('version')));
+    console.log(`⏪ ${key}: v${entry.version} is live`);
+    return;
+  }
+
+  const keys = key === true
+    ? contents.list().filter(item => item.status === 'unpublished' || item.status === 'changed').map(item => item.key)
+    : [key];
+  if (!keys.length) {
+    console.log('📰 Nothing to publish');
+  }
+  for (const itemKey of keys) {
+    const entry = contents.publish(itemKey, { note: option('note') === true ? null : option('note') });
+    console.log(entry.unchanged
+      ? `📰 ${itemKey}: unchanged, v${entry.version} stays live`
+      : `📰 ${itemKey}: published v${entry.version} (${entry.size} bytes, ${entry.etag})`);
+  }
+}
+
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  if (args.some(arg => arg.startsWith('--content-'))) {
+    try {
+      runContentCommand(args);
+      process.exit(0);
+    } catch (err) {
+      console.error('💥 Content command failed:', err.message);
+      process.exit(1);
+    }
+  }
+  if (args.some(arg => arg.startsWith('--export') || arg.startsWith('--import='))) {
+    try {
+      runDataCommand(args);
+      process.exit(0);
+    } catch (err) {
+      console.error('💥 Data command failed:', err.message);
+      process.exit(1);
+    }
+  }
+
+  const server = createLocalServer();
+
+  server.listen(CONFIG.PORT, CONFIG.HOST, () => {
+    console.log(`🏀 NBA 2K17 local server listening on ${CONFIG.HOST}:${CONFIG.PORT}`);
+    console.log(`📋 Routes: ${router.routes.map(r => `${r.method} ${r.pattern}`).join(', ')}`);
+    console.log(`💾 Player data: ${store.dbPath} (${store.listAccounts().length} accounts)`);
+    console.log(`📰 Content: ${CONFIG.CONTENT_DIR} (${contents.index().length} items published)`);
+  });
+
+  server.on('error', (err) => {
+    console.error('💥 Local server error:', err);
+    process.exit(1);
+  });
+
+  process.on('SIGINT', () => {
+    console.log('\n🛑 Shutting down local server...');
+    store.flush();
+    server.close(() => process.exit(0));
+  });
+}
@@ -1,458 +1,1444 @@
-// enhanced-passthrough-proxy.js - NBA 2K17 Pass-through Proxy
-// This proxy forwards requests to real 2K servers while allowing monitoring and modification
-
-const http = require('http');
-const https = require('https');
-const net = require('net');
-const url = require('url');
-const fs = require('fs');
-const path = require('path');
-
-// Configuration
-const CONFIG = {
-  PROXY_PORT: 8080,
-  LOCAL_SERVER_PORT: 49767, // Your local server for fallback/testing
-  LOGS_DIR: './proxy_logs',
-  ENABLE_REQUEST_LOGGING: true,
-  ENABLE_RESPONSE_LOGGING: true,
-  ENABLE_MODIFICATIONS: true,
-  FALLBACK_TO_LOCAL: false, // Set to true to fallback to local server on errors
-  CONNECTION_TIMEOUT: 30000, // 30 seconds
-  REQUEST_TIMEOUT: 60000 // 60 seconds
-};
-
-// 2K Sports domains to intercept with correct ports
-const INTERCEPT_DOMAINS = [
-  'nba2k17-ws.2ksports.com',
-  'nba2k17-services.2ksports.com', 
-  'api.2ksports.com',
-  'services.2ksports.com'
-];
-
-// Real 2K server endpoints mapping with correct ports
-// Based on your server config, NBA 2K17 uses port 17217 for HTTPS
-const SERVER_ENDPOINTS = {
-  'nba2k17-ws.2ksports.com': { host: 'nba2k17-ws.2ksports.com', port: 17217, protocol: 'https' },
-  'nba2k17-services.2ksports.com': { host: 'nba2k17-services.2ksports.com', port: 17217, protocol: 'https' },
-  'api.2ksports.com': { host: 'api.2ksports.com', port: 17217, protocol: 'https' },
-  'services.2ksports.com': { host: 'services.2ksports.com', port: 17217, protocol: 'https' }
-};
-
-// Ensure logs directory exists
-if (!fs.existsSync(CONFIG.LOGS_DIR)) {
-  fs.mkdirSync(CONFIG.LOGS_DIR, { recursive: true });
-}
-
-// Enhanced logging system
-class ProxyLogger {
-  constructor() {
-    this.logFile = path.join(CONFIG.LOGS_DIR, `proxy-${new Date().toISOString().split('T')[0]}.log`);
-    this.requestCounter = 0;
-  }
-
-  log(level, message, data = null) {
-    const timestamp = new Date().toISOString();
-    const logEntry = `[${timestamp}] ${level.toUpperCase()}: ${message}${data ? ' | ' + JSON.stringify(data, null, 2) : ''}\n`;
-    
-    console.log(logEntry.trim());
-    
-    if (CONFIG.ENABLE_REQUEST_LOGGING || CONFIG.ENABLE_RESPONSE_LOGGING) {
-      fs.appendFileSync(this.logFile, logEntry);
-    }
-  }
-
-  logRequest(requestId, method, originalUrl, targetUrl, headers, body) {
-    if (CONFIG.ENABLE_REQUEST_LOGGING) {
-      this.log('REQUEST', `[${requestId}] ${method} ${originalUrl} -> ${targetUrl}`, {
-        headers: this.sanitizeHeaders(headers),
-        body: this.sanitizeBody(body)
-      });
-    }
-  }
-
-  logResponse(requestId, statusCode, headers, body) {
-    if (CONFIG.ENABLE_RESPONSE_LOGGING) {
-      this.log('RESPONSE', `[${requestId}] ${statusCode}`, {
-        headers: this.sanitizeHeaders(headers),
-        body: this.sanitizeBody(body)
-      });
-    }
-  }
-
-  sanitizeHeaders(headers) {
-    const sanitized = { ...headers };
-    // Remove sensitive headers but keep them for actual forwarding
-    delete sanitized['authorization'];
-    delete sanitized['cookie'];
-    delete sanitized['x-session-token'];
-    return sanitized;
-  }
-
-  sanitizeBody(body) {
-    if (!body) return null;
-    
-    try {
-      const parsed = JSON.parse(body);
-      // Remove sensitive data for logging only
-      delete parsed.password;
-      delete parsed.token;
-      delete parsed.sessionToken;
-      return parsed;
-    } catch {
-      return body.length > 200 ? body.substring(0, 200) + '...' : body;
-    }
-  }
-
-  generateRequestId() {
-    return `REQ-${++this.requestCounter}-${Date.now()}`;
-  }
-}
-
-const logger = new ProxyLogger();
-
-// Request/Response modification functions
-class RequestModifier {
-  // Modify outgoing requests before sending to real servers
-  static modifyRequest(requestId, method, path, headers, body) {
-    if (!CONFIG.ENABLE_MODIFICATIONS) {
-      return { path, headers, body };
-    }
-
-    // Example: Add custom headers
-    const modifiedHeaders = { ...headers };
-    modifiedHeaders['X-Proxy-Request-ID'] = requestId;
-    modifiedHeaders['X-Proxy-Timestamp'] = new Date().toISOString();
-
-    // Example: Modify specific endpoints
-    if (path.includes('/user/login')) {
-      logger.log('INFO', `[${requestId}] Intercepting login request`);
-      // Could modify login data here if needed
-    }
-
-    return {
-      path,
-      headers: modifiedHeaders,
-      body
-    };
-  }
-
-  // Modify incoming responses before sending back to game
-  static modifyResponse(requestId, statusCode, headers, body) {
-    if (!CONFIG.ENABLE_MODIFICATIONS) {
-      return { statusCode, headers, body };
-    }
-
-    // Example: Add custom response headers
-    const modifiedHeaders = { ...headers };
-    modifiedHeaders['X-Proxy-Response-ID'] = requestId;
-
-    // Example: Modify specific response data
-    try {
-      const bodyData = JSON.parse(body);
-      
-      // Example: Boost VC balance in responses
-      if (bodyData.vc !== undefined) {
-        logger.log('INFO', `[${requestId}] Original VC balance: ${bodyData.vc}`);
-        // bodyData.vc = Math.max(bodyData.vc, 10000); // Ensure minimum VC
-      }
-      
-      return {
-        statusCode,
-        headers: modifiedHeaders,
-        body: JSON.stringify(bodyData)
-      };
-    } catch {
-      // Not JSON, return as-is
-      return {
-        statusCode,
-        headers: modifiedHeaders,
-        body
-      };
-    }
-  }
-}
-
-// Main proxy request handler
-function handleProxyRequest(req, res) {
-  const requestId = logger.generateRequestId();
-  const targetUrl = url.parse(req.url);
-  const hostname = targetUrl.hostname || req.headers.host;
-  
-  logger.log('INFO', `[${requestId}] Incoming request: ${req.method} ${hostname}${targetUrl.path}`);
-  
-  // Check if this is a 2K Sports request
-  if (INTERCEPT_DOMAINS.some(domain => hostname.includes(domain))) {
-    logger.log('INFO', `[${requestId}] Intercepting 2K request for pass-through`);
-    
-    // Get the real server endpoint
-    const serverConfig = SERVER_ENDPOINTS[hostname];
-    if (!serverConfig) {
-      logger.log('ERROR', `[${requestId}] No server configuration found for ${hostname}`);
-      res.writeHead(502, { 'Content-Type': 'text/plain' });
-      res.end('Bad Gateway: Unknown 2K server');
-      return;
-    }
-
-    // Collect request body
-    let requestBody = '';
-    req.on('data', chunk => {
-      requestBody += chunk.toString();
-    });
-
-    req.on('end', () => {
-      // Log the original request
-      logger.logRequest(requestId, req.method, `${hostname}${targetUrl.path}`, 
-        `${serverConfig.protocol}://${serverConfig.host}:${serverConfig.port}${targetUrl.path}`, 
-        req.headers, requestBody);
-
-      // Modify request if needed
-      const modified = RequestModifier.modifyRequest(requestId, req.method, targetUrl.path, req.headers, requestBody);
-
-      // Forward to real 2K server
-      forwardToRealServer(requestId, req.method, serverConfig, modified.path, modified.headers, modified.body, res);
-    });
-
-    req.on('error', (err) => {
-      logger.log('ERROR', `[${requestId}] Request error: ${err.message}`);
-      res.writeHead(500);
-      res.end('Request Error');
-    });
-    
-  } else {
-    // Forward non-2K requests normally (standard HTTP proxy behavior)
-    forwardNormalRequest(requestId, req, res);
-  }
-}
-
-// Forward request to real 2K server
-function forwardToRealServer(requestId, method, serverConfig, path, headers, body, clientRes) {
-  const options = {
-    hostname: serverConfig.host,
-    port: serverConfig.port,
-    path: path,
-    method: method,
-    headers: {
-      ...headers,
-      host: `${serverConfig.host}:${serverConfig.port}` // Important: Update the host header
-    },
-    timeout: CONFIG.REQUEST_TIMEOUT,
-    // For HTTPS requests, we might need to ignore certificate errors during development
-    rejectUnauthorized: false
-  };
-
-  logger.log('INFO', `[${requestId}] Forwarding to real server: ${serverConfig.protocol}://${serverConfig.host}:${serverConfig.port}${path}`);
-
-  const httpModule = serverConfig.protocol === 'https' ? https : http;
-  
-  const proxyReq = httpModule.request(options, (proxyRes) => {
-    logger.log('INFO', `[${requestId}] Real server response: ${proxyRes.statusCode}`);
-    
-    // Collect response body
-    let responseBody = '';
-    proxyRes.on('data', chunk => {
-      responseBody += chunk.toString();
-    });
-
-    proxyRes.on('end', () => {
-      // Log the response
-      logger.logResponse(requestId, proxyRes.statusCode, proxyRes.headers, responseBody);
-
-      // Modify response if needed
-      const modified = RequestModifier.modifyResponse(requestId, proxyRes.statusCode, proxyRes.headers, responseBody);
-
-      // Send response back to game
-      clientRes.writeHead(modified.statusCode, modified.headers);
-      clientRes.end(modified.body);
-    });
-  });
-
-  proxyReq.on('error', (err) => {
-    logger.log('ERROR', `[${requestId}] Real server error: ${err.message}`);
-    
-    if (CONFIG.FALLBACK_TO_LOCAL) {
-      logger.log('INFO', `[${requestId}] Falling back to local server`);
-      // Forward to local server instead
-      forwardToLocalServer(requestId, method, path, headers, body, clientRes);
-    } else {
-      clientRes.writeHead(502, { 'Content-Type': 'text/plain' });
-      clientRes.end(`Bad Gateway: ${err.message}`);
-    }
-  });
-
-  proxyReq.on('timeout', () => {
-    logger.log('ERROR', `[${requestId}] Request timeout`);
-    proxyReq.destroy();
-    clientRes.writeHead(504, { 'Content-Type': 'text/plain' });
-    clientRes.end('Gateway Timeout');
-  });
-
-  // Send the request body
-  if (body) {
-    proxyReq.write(body);
-  }
-  proxyReq.end();
-}
-
-// Fallback to local server if real server fails
-function forwardToLocalServer(requestId, method, path, headers, body, clientRes) {
-  const options = {
-    hostname: '127.0.0.1',
-    port: CONFIG.LOCAL_SERVER_PORT,
-    path: path,
-    method: method,
-    headers: {
-      ...headers,
-      host: `127.0.0.1:${CONFIG.LOCAL_SERVER_PORT}`
-    }
-  };
-
-  logger.log('INFO', `[${requestId}] Forwarding to local server: http://127.0.0.1:${CONFIG.LOCAL_SERVER_PORT}${path}`);
-
-  const proxyReq = http.request(options, (proxyRes) => {
-    logger.log('INFO', `[${requestId}] Local server response: ${proxyRes.statusCode}`);
-    clientRes.writeHead(proxyRes.statusCode, proxyRes.headers);
-    proxyRes.pipe(clientRes);
-  });
-
-  proxyReq.on('error', (err) => {
-    logger.log('ERROR', `[${requestId}] Local server error: ${err.message}`);
-    clientRes.writeHead(502, { 'Content-Type': 'text/plain' });
-    clientRes.end(`Local Server Error: ${err.message}`);
-  });
-
-  if (body) {
-    proxyReq.write(body);
-  }
-  proxyReq.end();
-}
-
-// Forward non-2K requests normally
-function forwardNormalRequest(requestId, req, res) {
-  const targetUrl = url.parse(req.url);
-  const hostname = targetUrl.hostname;
-  const port = targetUrl.port || 80;
-  
-  logger.log('INFO', `[${requestId}] Forwarding normal request: ${req.method} ${hostname}:${port}${targetUrl.path}`);
-  
-  const options = {
-    hostname: hostname,
-    port: port,
-    path: targetUrl.path,
-    method: req.method,
-    headers: req.headers
-  };
-  
-  const proxyReq = http.request(options, (proxyRes) => {
-    res.writeHead(proxyRes.statusCode, proxyRes.headers);
-    proxyRes.pipe(res);
-  });
-  
-  proxyReq.on('error', (err) => {
-    logger.log('ERROR', `[${requestId}] Normal request error: ${err.message}`);
-    res.writeHead(500);
-    res.end('Forward Error');
-  });
-  
-  req.pipe(proxyReq);
-}
-
-// Handle HTTPS CONNECT method for SSL tunneling
-function handleConnect(req, clientSocket, head) {
-  const requestId = logger.generateRequestId();
-  const [hostname, port] = req.url.split(':');
-  const targetPort = parseInt(port) || 443;
-  
-  logger.log('INFO', `[${requestId}] HTTPS CONNECT: ${hostname}:${targetPort}`);
-  
-  // Check if this is a 2K Sports HTTPS request
-  if (INTERCEPT_DOMAINS.some(domain => hostname.includes(domain))) {
-    logger.log('INFO', `[${requestId}] Intercepting 2K HTTPS CONNECT for pass-through`);
-    
-    // For 2K requests, we need to establish a tunnel to the real server
-    // Using the correct port (17217) instead of standard 443
-    const realPort = 17217;
-    
-    logger.log('INFO', `[${requestId}] Establishing tunnel to real 2K server: ${hostname}:${realPort}`);
-    
-    const serverSocket = net.connect(realPort, hostname, () => {
-      logger.log('INFO', `[${requestId}] Tunnel established to ${hostname}:${realPort}`);
-      clientSocket.write('HTTP/1.1 200 Connection Established\r\n\r\n');
-      
-      // Pipe data bidirectionally
-      serverSocket.pipe(clientSocket);
-      clientSocket.pipe(serverSocket);
-    });
-    
-    serverSocket.on('error', (err) => {
-      logger.log('ERROR', `[${requestId}] Tunnel error: ${err.message}`);
-      clientSocket.write('HTTP/1.1 502 Bad Gateway\r\n\r\n');
-      clientSocket.end();
-    });
-    
-  } else {
-    // Forward non-2K HTTPS requests normally
-    logger.log('INFO', `[${requestId}] Forwarding normal HTTPS: ${hostname}:${targetPort}`);
-    
-    const serverSocket = net.connect(targetPort, hostname, () => {
-      clientSocket.write('HTTP/1.1 200 Connection Established\r\n\r\n');
-      serverSocket.write(head);
-      serverSocket.pipe(clientSocket);
-      clientSocket.pipe(serverSocket);
-    });
-    
-    serverSocket.on('error', (err) => {
-      logger.log('ERROR', `[${requestId}] Normal HTTPS error: ${err.message}`);
-      clientSocket.end();
-    });
-  }
-}
-
-// Create the proxy server
-const proxy = http.createServer(handleProxyRequest);
-
-// Handle HTTPS CONNECT method
-proxy.on('connect', handleConnect);
-
-// Start the proxy server
-proxy.listen(CONFIG.PROXY_PORT, () => {
-  logger.log('INFO', '🚀 NBA 2K17 Pass-Through Proxy Started');
-  logger.log('INFO', `📡 Proxy listening on port ${CONFIG.PROXY_PORT}`);
-  logger.log('INFO', `🎯 Intercepting domains: ${INTERCEPT_DOMAINS.join(', ')}`);
-  logger.log('INFO', `🔗 Forwarding to real 2K servers on port 17217`);
-  logger.log('INFO', `📁 Logs directory: ${CONFIG.LOGS_DIR}`);
-  logger.log('INFO', `🔄 Fallback to local server: ${CONFIG.FALLBACK_TO_LOCAL ? 'ENABLED' : 'DISABLED'}`);
-  
-  console.log('\n🛠️  Setup Instructions:');
-  console.log('1. Set system proxy to 127.0.0.1:8080');
-  console.log('2. Ensure your firewall allows outbound connections to 2K servers');
-  console.log('3. Launch NBA 2K17');
-  console.log('4. Monitor logs for request/response traffic');
-  console.log('\n⚙️  Configuration:');
-  console.log(`- Request logging: ${CONFIG.ENABLE_REQUEST_LOGGING ? 'ON' : 'OFF'}`);
-  console.log(`- Response logging: ${CONFIG.ENABLE_RESPONSE_LOGGING ? 'ON' : 'OFF'}`);
-  console.log(`- Request modifications: ${CONFIG.ENABLE_MODIFICATIONS ? 'ON' : 'OFF'}`);
-});
-
-// Error handling
-proxy.on('error', (err) => {
-  logger.log('ERROR', `Proxy server error: ${err.message}`);
-});
-
-// Graceful shutdown
-process.on('SIGINT', () => {
-  logger.log('INFO', 'Shutting down proxy...');
-  proxy.close(() => {
-    logger.log('INFO', 'Proxy closed');
-    process.exit(0);
-  });
-});
-
-// Handle uncaught exceptions
-process.on('uncaughtException', (err) => {
-  logger.log('ERROR', `Uncaught exception: ${err.message}`, { stack: err.stack });
-  process.exit(1);
-});
-
-process.on('unhandledRejection', (reason, promise) => {
-  logger.log('ERROR', `Unhandled rejection: ${reason}`, { promise });
+// server.js - NBA 2K17 Proxy
+// Single entry point for every setup: redirect to the local server, pass through to the real
+// 2K servers with monitoring and modification, record, replay, or a hybrid of these
+
+const http = require('http');
+const https = require('https');
+const tls = require('tls');
+const url = require('url');
+const fs = require('fs');
+const path = require('path');
+const { TrafficRecorder, encodeBody } = require('./lib/recorder');
+const { ReplayStore } = require('./lib/replay');
+const { CertificateAuthority } = require('./lib/ca');
+const { loadConfig, USAGE } = require('./lib/config');
+const { RuleEngine } = require('./lib/rules');
+const { DnsServer } = require('./lib/dns');
+const { TransparentListener, withPrefetchedData } = require('./lib/transparent');
+const { TrafficMonitor, Dashboard } = require('./lib/dashboard');
+const { BreakpointManager, TerminalPrompt } = require('./lib/breakpoints');
+const { BodyTap, collectBody, decodeContent, encodeContent, setBodyLength, toBuffer } = require('./lib/body');
+const { createDecoderRegistry } = require('./lib/decoders');
+const { HealthMonitor } = require('./lib/health');
+const { LogWriter, Redactor, levelRank } = require('./lib/logging');
+const { ProxyMetrics } = require('./lib/metrics');
+const { EndpointInventory } = require('./lib/discovery');
+const { ClientRegistry, normalizeAddress } = require('./lib/clients');
+const { AccessControl } = require('./lib/access');
+const { UpstreamProxies } = require('./lib/upstream');
+const { OUTCOMES, RequestLifecycle, TIMEOUT_OUTCOMES, openTunnel, outcomeOf } = require('./lib/lifecycle');
+
+// Configuration: defaults < config file < command-line flags (see lib/config.js)
+let loaded;
+try {
+  loaded = loadConfig(process.argv.slice(2));
+} catch (err) {
+  console.error(`❌ ${err.message}`);
+  process.exit(1);
+}
+
+const { config: CONFIG, commands: CLI_COMMANDS, configFile: CONFIG_FILE } = loaded;
+const { INTERCEPT_DOMAINS, SERVER_ENDPOINTS } = CONFIG;
+
+if (CLI_COMMANDS.help) {
+  console.log(USAGE);
+  process.exit(0);
+}
+
+// Host names are case-insensitive and may end in the root dot; SERVER_ENDPOINTS and the rules use the plain
+// lowercase form
+function normalizeHostname(hostname) {
+  return String(hostname || '').toLowerCase().replace(/\.$/, '');
+}
+
+// The domains themselves and their subdomains, as in DnsServer.isIntercepted. A lookalike such as
+// api.2ksports.com.example.net is someone else's host.
+function isInterceptedHost(hostname) {
+  const host = normalizeHostname(hostname);
+  return INTERCEPT_DOMAINS.some(domain => host === domain || host.endsWith(`.${domain}`));
+}
+
+// Body formats for logging and rules: built-ins plus DECODER_PLUGINS (see lib/decoders.js)
+let decoders;
+try {
+  decoders = createDecoderRegistry({
+    plugins: CONFIG.DECODER_PLUGINS,
+    paths: CONFIG.DECODER_PATHS,
+    maxOutputLength: CONFIG.MAX_DECODED_BODY
+  });
+} catch (err) {
+  console.error(`❌ Could not load decoders: ${err.message}`);
+  process.exit(1);
+}
+
+// Ensure logs directory exists
+if (!fs.existsSync(CONFIG.LOGS_DIR)) {
+  fs.mkdirSync(CONFIG.LOGS_DIR, { recursive: true });
+}
+
+// Enhanced logging system: level filtering, redaction, and buffered writes to rotated files (see lib/logging.js)
+const HELD_CONSOLE_LINES = 200; // Console lines kept back while the breakpoint editor is open
+
+class ProxyLogger {
+  constructor() {
+    this.requestCounter = 0;
+    this.level = levelRank(CONFIG.LOG_LEVEL);
+    this.redactor = new Redactor(CONFIG.LOG_REDACT_KEYS);
+    this.writer = CONFIG.ENABLE_REQUEST_LOGGING || CONFIG.ENABLE_RESPONSE_LOGGING
+      ? new LogWriter({
+        dir: CONFIG.LOGS_DIR,
+        maxSize: CONFIG.LOG_MAX_SIZE,
+        retentionDays: CONFIG.LOG_RETENTION_DAYS,
+        compress: CONFIG.LOG_COMPRESS
+      })
+      : null;
+    this.consoleHeld = null; // { lines, dropped } while the breakpoint editor has the terminal
+  }
+
+  log(level, message, data = null) {
+    if (levelRank(level) > this.level) return;
+
+    const timestamp = new Date().toISOString();
+    const details = data ? ' | ' + JSON.stringify(this.redactor.value(data), null, 2) : '';
+    const logEntry = `[${timestamp}] ${level.toUpperCase()}: ${this.redactor.text(message)}${details}\n`;
+    
+    if (this.consoleHeld) {
+      this.consoleHeld.lines.push(logEntry.trim());
+      if (this.consoleHeld.lines.length > HELD_CONSOLE_LINES) {
+        this.consoleHeld.lines.shift();
+        this.consoleHeld.dropped++;
+      }
+    } else {
+      console.log(logEntry.trim());
+    }
+    
+    if (this.writer) {
+      this.writer.write(logEntry);
+    }
+  }
+
+  // Console lines wait while an editor owns the terminal, so they don't write over it; the most recent
+  // ones are printed once it closes. The log file gets every line as usual.
+  holdConsole() {
+    if (!this.consoleHeld) this.consoleHeld = { lines: [], dropped: 0 };
+  }
+
+  releaseConsole() {
+    const held = this.consoleHeld;
+    this.consoleHeld = null;
+    if (!held) return;
+    if (held.dropped) console.log(`(${held.dropped} earlier log lines from while the editor was open not shown)`);
+    held.lines.forEach(line => console.log(line));
+  }
+
+  // Wait for buffered lines to reach the file
+  close() {
+    return this.writer ? this.writer.close() : Promise.resolve();
+  }
+
+  flushSync() {
+    if (this.writer) this.writer.flushSync();
+  }
+
+  logRequest(requestId, method, originalUrl, targetUrl, headers, body) {
+    if (CONFIG.ENABLE_REQUEST_LOGGING) {
+      const requestPath = originalUrl.slice(originalUrl.indexOf('/'));
+      this.log('REQUEST', `[${requestId}] ${method} ${originalUrl} -> ${targetUrl}`, {
+        headers,
+        ...this.formatBody(body, { path: requestPath, headers, phase: 'request' })
+      });
+    }
+  }
+
+  logResponse(requestId, statusCode, headers, body, requestPath) {
+    if (CONFIG.ENABLE_RESPONSE_LOGGING) {
+      this.log('RESPONSE', `[${requestId}] ${statusCode}`, {
+        headers,
+        ...this.formatBody(body, { path: requestPath, headers, phase: 'response' })
+      });
+    }
+  }
+
+  // Returns { body } for the log entry, plus { format } when it took more than plain JSON to read it.
+  // Sensitive keys are masked later, in log()
+  formatBody(body, context = {}) {
+    if (!body || body.length === 0) return { body: null };
+    if (typeof body === 'string') return { body };
+
+    const decoded = decoders.decode(body, context);
+    if (!decoded) {
+      if (encodeBody(body).encoding === 'base64') {
+        return { body: `<${body.length} bytes of binary data>` };
+      }
+      const text = body.toString('utf8');
+      return { body: text.length > 200 ? text.substring(0, 200) + '...' : text };
+    }
+
+    const format = decoded.formats.join(' > ');
+    const value = Buffer.isBuffer(decoded.value) ? `<${decoded.value.length} bytes of ${format} data>` : decoded.value;
+    return format === 'json' ? { body: value } : { format, body: value };
+  }
+
+  // Tagged with the client, so its lines can be told apart when several consoles share the proxy
+  generateRequestId(clientId = null) {
+    return `REQ-${++this.requestCounter}-${Date.now()}${clientId ? `@${clientId}` : ''}`;
+  }
+}
+
+const logger = new ProxyLogger();
+
+// Which console or PC each request comes from, and where its 2K traffic goes (see lib/clients.js)
+let clients;
+try {
+  clients = new ClientRegistry(CONFIG.CLIENTS, {
+    deviceHeaders: CONFIG.CLIENT_DEVICE_HEADERS,
+    defaults: {
+      mode: CONFIG.MODE,
+      replayFile: CONFIG.REPLAY_FILE,
+      fallbackToLocal: CONFIG.FALLBACK_TO_LOCAL,
+      modifications: CONFIG.ENABLE_MODIFICATIONS,
+      capture: CONFIG.ENABLE_CAPTURE
+    }
+  });
+} catch (err) {
+  console.error(`❌ Invalid client profile: ${err.message}`);
+  process.exit(1);
+}
+
+// Who may use the proxy at all: address ranges, logins, 2K-only and rate limits (see lib/access.js)
+let access;
+try {
+  access = new AccessControl({
+    allow: CONFIG.ACCESS_ALLOW,
+    credentials: CONFIG.PROXY_AUTH,
+    allowOtherTraffic: CONFIG.ALLOW_OTHER_TRAFFIC,
+    rateLimit: CONFIG.RATE_LIMIT,
+    rateBurst: CONFIG.RATE_LIMIT_BURST
+  });
+} catch (err) {
+  console.error(`❌ ${err.message}`);
+  process.exit(1);
+}
+
+// Outbound connections to real servers, possibly through another proxy (see lib/upstream.js)
+let upstream;
+try {
+  upstream = new UpstreamProxies({
+    proxy: CONFIG.UPSTREAM_PROXY,
+    hosts: CONFIG.UPSTREAM_PROXY_HOSTS,
+    noProxy: CONFIG.NO_PROXY,
+    env: CONFIG.USE_ENV_PROXY ? process.env : null,
+    connectTimeout: CONFIG.CONNECTION_TIMEOUT
+  });
+} catch (err) {
+  console.error(`❌ ${err.message}`);
+  process.exit(1);
+}
+
+const recorder = clients.routings().some(routing => routing.capture) ? new TrafficRecorder(CONFIG.CAPTURE_DIR) : null;
+
+// One store per capture file, shared by every client replaying it
+const replayStores = new Map();
+for (const routing of clients.routings()) {
+  const key = JSON.stringify(routing.replayFile);
+  if (routing.replayFile && !replayStores.has(key)) {
+    replayStores.set(key, new ReplayStore({
+      matchLevel: CONFIG.REPLAY_MATCH,
+      ignoreQueryParams: CONFIG.REPLAY_IGNORE_QUERY_PARAMS,
+      ignoreBodyKeys: CONFIG.REPLAY_IGNORE_BODY_KEYS
+    }).load(routing.replayFile));
+  }
+}
+
+function replayStoreFor(routing) {
+  return routing.replayFile ? replayStores.get(JSON.stringify(routing.replayFile)) : null;
+}
+
+// Live view of every proxied exchange for the dashboard
+const monitor = CONFIG.ENABLE_DASHBOARD ? new TrafficMonitor({ maxEntries: CONFIG.DASHBOARD_HISTORY, decoders }) : null;
+
+// Counters and latency per endpoint for /metrics and /metrics.json
+const metrics = CONFIG.ENABLE_METRICS ? new ProxyMetrics() : null;
+
+// Every 2K endpoint seen, with examples and how the local server answered (see lib/discovery.js)
+let inventory = null;
+if (CONFIG.ENABLE_DISCOVERY) {
+  try {
+    inventory = new EndpointInventory({
+      file: path.join(CONFIG.DISCOVERY_DIR, 'endpoints.json'),
+      decoders,
+      redactor: logger.redactor,
+      maxExamples: CONFIG.DISCOVERY_EXAMPLES
+    });
+  } catch (err) {
+    console.error(`❌ Could not load the endpoint inventory: ${err.message}`);
+    process.exit(1);
+  }
+  setInterval(() => {
+    if (inventory.dirty) inventory.save();
+  }, 60000).unref();
+}
+
+function noteRoute(requestId, step) {
+  if (monitor) monitor.route(requestId, step);
+  if (metrics) metrics.route(requestId, step);
+  if (inventory) inventory.route(requestId, step);
+}
+
+// Circuit breakers for the real servers, so a dead host costs nothing instead of a timeout per request
+const dialsRealServers = clients.routings().some(routing => routing.mode !== 'local' && routing.mode !== 'replay');
+const health = CONFIG.ENABLE_HEALTH_CHECKS && dialsRealServers
+  ? new HealthMonitor(SERVER_ENDPOINTS, {
+    failureThreshold: CONFIG.HEALTH_FAILURE_THRESHOLD,
+    cooldown: CONFIG.HEALTH_COOLDOWN,
+    interval: CONFIG.HEALTH_CHECK_INTERVAL,
+    timeout: CONFIG.HEALTH_CHECK_TIMEOUT,
+    path: CONFIG.HEALTH_CHECK_PATH,
+    upstream
+  })
+  : null;
+
+if (health) {
+  health.on('change', ({ hostname, from, to, reason, failures }) => {
+    if (to === 'down') {
+      const target = CONFIG.HEALTH_FAILOVER ? 'sending its traffic to the local server' : 'answering 503';
+      logger.log('WARN', `🔴 ${hostname} is down after ${failures} failure(s) (${reason}), ${target}`);
+    } else if (to === 'up') {
+      logger.log('INFO', `🟢 ${hostname} is back up (${reason}), was ${from}`);
+    } else {
+      logger.log('INFO', `🟡 ${hostname} ${reason}`);
+    }
+  });
+}
+
+// Upstream errors and gateway failures count against the host; anything else means it is alive
+function recordHealth(hostname, statusCode, reason) {
+  if (!health) return;
+  if (statusCode === null || [502, 503, 504].includes(statusCode)) {
+    health.failure(hostname, reason || `HTTP ${statusCode}`);
+  } else {
+    health.success(hostname);
+  }
+}
+
+function serveHealth(res) {
+  const hosts = health ? health.status() : [];
+  const body = {
+    enabled: Boolean(health),
+    mode: CONFIG.MODE,
+    failover: CONFIG.HEALTH_FAILOVER ? 'local' : 'none',
+    status: hosts.some(host => host.state !== 'up') ? 'degraded' : 'ok',
+    hosts
+  };
+  res.writeHead(200, { 'Content-Type': 'application/json; charset=utf-8', 'Cache-Control': 'no-store' });
+  res.end(JSON.stringify(body, null, 2));
+}
+
+function serveMetrics(res, format) {
+  if (!metrics) {
+    res.writeHead(404, { 'Content-Type': 'text/plain' });
+    res.end('Metrics are disabled (ENABLE_METRICS)');
+    return;
+  }
+  if (format === 'json') {
+    res.writeHead(200, { 'Content-Type': 'application/json; charset=utf-8', 'Cache-Control': 'no-store' });
+    res.end(JSON.stringify(metrics.summary(health), null, 2));
+  } else {
+    res.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4; charset=utf-8', 'Cache-Control': 'no-store' });
+    res.end(metrics.prometheus(health));
+  }
+}
+
+function serveClients(res) {
+  const body = { profiles: clients.profiles.map(profile => ({ id: profile.id, ...profile.routing })), clients: clients.list() };
+  res.writeHead(200, { 'Content-Type': 'application/json; charset=utf-8', 'Cache-Control': 'no-store' });
+  res.end(JSON.stringify(body, null, 2));
+}
+
+function serveInventory(res, format) {
+  if (!inventory) {
+    res.writeHead(404, { 'Content-Type': 'text/plain' });
+    res.end('Endpoint discovery is disabled (ENABLE_DISCOVERY)');
+    return;
+  }
+  if (format === 'markdown') {
+    res.writeHead(200, { 'Content-Type': 'text/markdown; charset=utf-8', 'Cache-Control': 'no-store' });
+    res.end(inventory.toMarkdown());
+  } else {
+    const body = format === 'openapi' ? inventory.toOpenApi() : inventory.toJSON();
+    res.writeHead(200, { 'Content-Type': 'application/json; charset=utf-8', 'Cache-Control': 'no-store' });
+    res.end(JSON.stringify(body, null, 2));
+  }
+}
+
+// Every denial is counted; an address that keeps trying is only logged now and then
+function noteDenial(requestId, address, attempt, denial) {
+  if (metrics) metrics.denied(denial.reason);
+  const suppressed = access.shouldLog(address, denial.reason);
+  if (suppressed === null) return;
+  const more = suppressed ? ` (${suppressed} more since the last one logged)` : '';
+  logger.log('WARN', `[${requestId}] 🚫 Denied ${attempt} from ${normalizeAddress(address)}: ${denial.message}${more}`);
+}
+
+// A bare path, or an absolute URL naming the proxy's own port (a client that sends everything through it)
+function isProxyItself(targetUrl) {
+  if (!targetUrl.hostname) return true;
+  const local = ['127.0.0.1', 'localhost', '::1', CONFIG.PROXY_HOST].includes(targetUrl.hostname);
+  return local && Number(targetUrl.port || 80) === CONFIG.PROXY_PORT;
+}
+
+function refuseRequest(res, denial) {
+  res.writeHead(denial.statusCode, denial.headers);
+  res.end(`${denial.statusCode} ${http.STATUS_CODES[denial.statusCode]}`);
+}
+
+// Requests made to the proxy port itself (not through it)
+const HEALTH_PATH = '/__proxy/health';
+const ADMIN_ROUTES = {
+  [HEALTH_PATH]: res => serveHealth(res),
+  '/metrics': res => serveMetrics(res, 'prometheus'),
+  '/metrics.json': res => serveMetrics(res, 'json'),
+  '/__proxy/clients': res => serveClients(res),
+  '/__proxy/endpoints': res => serveInventory(res, 'json'),
+  '/__proxy/endpoints.md': res => serveInventory(res, 'markdown'),
+  '/__proxy/openapi.json': res => serveInventory(res, 'openapi')
+};
+
+// Timeouts, cancellation and the logged outcome of each request (see lib/lifecycle.js),
+// kept on the response so every forwarding path can reach it
+function startLifecycle(requestId, req, res, hostname) {
+  if (metrics) metrics.start(requestId, req, res, hostname);
+  res.lifecycle = new RequestLifecycle(requestId, res, {
+    logger,
+    connectTimeout: CONFIG.CONNECTION_TIMEOUT,
+    idleTimeout: CONFIG.IDLE_TIMEOUT,
+    totalTimeout: CONFIG.REQUEST_TIMEOUT,
+    onFinish: (outcome, statusCode) => {
+      if (metrics) metrics.finish(requestId, outcome, statusCode);
+      if (inventory) inventory.finish(requestId, outcome, statusCode);
+    }
+  });
+  return res.lifecycle;
+}
+
+// Answer an upstream failure: 504 when one of our timeouts fired, else 502
+function failUpstream(res, err, label) {
+  const outcome = outcomeOf(err);
+  const statusCode = TIMEOUT_OUTCOMES.includes(outcome) ? 504 : 502;
+  res.lifecycle.fail(outcome, statusCode, `${statusCode === 504 ? 'Gateway Timeout' : 'Bad Gateway'}: ${label}: ${err.message}`);
+}
+
+// The game hung up while its request was paused or being rewritten; nothing left to forward for
+function isCancelled(requestId, res) {
+  if (!res.lifecycle.cancelled) return false;
+  logger.log('INFO', `[${requestId}] Client disconnected, not forwarding`);
+  return true;
+}
+
+// Interactive breakpoints, released from the dashboard or the terminal prompt
+let breakpoints = null;
+if (CONFIG.ENABLE_BREAKPOINTS) {
+  breakpoints = new BreakpointManager({ timeout: CONFIG.BREAKPOINT_TIMEOUT, logger });
+  try {
+    CONFIG.BREAKPOINTS.forEach(definition => breakpoints.add(definition));
+  } catch (err) {
+    console.error(`❌ Invalid breakpoint: ${err.message}`);
+    process.exit(1);
+  }
+}
+let terminalPrompt = null;
+
+// Hold a message at a matching breakpoint; resolves with it (maybe edited) or null if dropped
+function pauseAtBreakpoint(requestId, phase, host, method, path, message) {
+  if (!breakpoints) return Promise.resolve(message);
+  return breakpoints.pause(requestId, phase, { host, method, path }, message);
+}
+
+function dropAtBreakpoint(requestId, res) {
+  noteRoute(requestId, 'dropped');
+  res.lifecycle.outcome = OUTCOMES.DROPPED;
+  res.destroy();
+}
+
+// Decompress a body so logs, rules and breakpoints see the actual payload.
+// The body stays as received when its content-encoding cannot be decoded.
+function openBody(requestId, headers, raw) {
+  const encoding = headers['content-encoding'];
+  if (!encoding || raw.length === 0) {
+    return { raw, body: raw, encoding: null };
+  }
+  try {
+    return { raw, body: decodeContent(raw, encoding, CONFIG.MAX_DECODED_BODY), encoding };
+  } catch (err) {
+    logger.log('WARN', `[${requestId}] Cannot decode ${encoding} body, leaving it as is: ${err.message}`);
+    return { raw, body: raw, encoding: null };
+  }
+}
+
+// Bytes to send on: the original bytes when nothing touched the body, otherwise the new
+// body compressed like the original (unless a rule dropped or replaced content-encoding),
+// with content-length recalculated
+function closeBody(opened, message) {
+  if (message.body === opened.body) {
+    return opened.raw;
+  }
+  const body = toBuffer(message.body);
+  const reencode = opened.encoding && message.headers['content-encoding'] === opened.encoding;
+  const encoded = reencode ? encodeContent(body, opened.encoding) : body;
+  setBodyLength(message.headers, encoded);
+  return encoded;
+}
+
+// Responses are buffered only when a rule or breakpoint needs the body; everything else streams
+function responseNeedsBody(clientRes, hostname, method, path, statusCode, headers) {
+  const client = clientRes.client.id;
+  if (clientRes.routing.modifications && rules.needsBody('response', { host: hostname, client, method, path, statusCode, headers })) {
+    return true;
+  }
+  return Boolean(breakpoints && breakpoints.wouldPause('response', { host: hostname, method, path }));
+}
+
+// Local CA for terminating 2K HTTPS; blind tunnelling is used until (or unless) it is ready
+const ca = new CertificateAuthority(CONFIG.CERT_DIR);
+let caReady = false;
+let fallbackContext = null;
+
+// Used only when openssl is unavailable: the bundled single-host certificate
+function loadBundledCertificate() {
+  try {
+    fallbackContext = tls.createSecureContext({
+      key: fs.readFileSync('nba2k17-ws.2ksports.com-key.pem'),
+      cert: fs.readFileSync('nba2k17-ws.2ksports.com.pem')
+    });
+    logger.log('WARN', 'Falling back to the bundled nba2k17-ws.2ksports.com certificate (other hosts will fail validation)');
+  } catch {
+    logger.log('WARN', 'Bundled certificate not found, 2K HTTPS cannot be decrypted');
+  }
+}
+
+function canInterceptTls() {
+  return caReady || fallbackContext !== null;
+}
+
+function getSecureContext(hostname) {
+  if (caReady) return ca.getSecureContext(hostname);
+  if (fallbackContext) return Promise.resolve(fallbackContext);
+  return Promise.reject(new Error('No certificate authority available'));
+}
+
+// Declarative request/response rules, reloaded when the rules file changes (see lib/rules.js)
+const rules = new RuleEngine(logger, { decoders });
+try {
+  rules.load(CONFIG.RULES_FILE);
+} catch (err) {
+  console.error(`❌ Could not load rules from ${CONFIG.RULES_FILE}: ${err.message}`);
+  process.exit(1);
+}
+if (clients.routings().some(routing => routing.modifications)) {
+  rules.watch();
+}
+
+// Modify outgoing requests before sending them on; rules can match the client (clientRes.client)
+function modifyRequest(requestId, clientRes, host, method, path, headers, body) {
+  if (!clientRes.routing.modifications) {
+    return Promise.resolve({ path, headers, body });
+  }
+  return rules.apply(requestId, 'request', { host, client: clientRes.client.id, method, path, headers, body });
+}
+
+// Modify incoming responses before sending back to game
+function modifyResponse(requestId, clientRes, host, method, path, statusCode, headers, body) {
+  if (!clientRes.routing.modifications) {
+    return Promise.resolve({ statusCode, headers, body });
+  }
+  return rules.apply(requestId, 'response', { host, client: clientRes.client.id, method, path, statusCode, headers, body })
+    .then(modified => modified.respond || modified);
+}
+
+// Request bodies are buffered only when something reads them: a rule or breakpoint, replay matching,
+// the capture, or a fallback that may have to send them a second time
+function requestNeedsBody(clientRes, hostname, method, path, headers) {
+  const { routing } = clientRes;
+  if (routing.modifications && rules.needsBody('request', { host: hostname, client: clientRes.client.id, method, path, headers })) {
+    return true;
+  }
+  if (breakpoints && breakpoints.wouldPause('request', { host: hostname, method, path })) return true;
+  return Boolean(replayStoreFor(routing) || (recorder && routing.capture) || routing.fallbackToLocal);
+}
+
+function refuseLargeRequest(requestId, req, res) {
+  logger.log('WARN', `[${requestId}] Request body is over MAX_REQUEST_BODY (${CONFIG.MAX_REQUEST_BODY} bytes), answering 413`);
+  res.lifecycle.respond(413, { 'Content-Type': 'text/plain', Connection: 'close' }, 'Payload Too Large', OUTCOMES.TOO_LARGE);
+  req.resume();
+}
+
+// Nothing needs the request body: apply header and routing rules, then pipe it on as it arrives,
+// keeping a preview for the log
+function streamRequest(requestId, req, res, hostname, path, serverConfig) {
+  const { routing } = res;
+  // Listeners (dashboard, inventory) already set the body flowing; hold it until there is somewhere to send it
+  req.pause();
+
+  const upstreamUrl = routing.mode === 'local'
+    ? `http://${CONFIG.LOCAL_SERVER_HOST}:${CONFIG.LOCAL_SERVER_PORT}${path}`
+    : `${serverConfig.protocol}://${serverConfig.host}:${serverConfig.port}${path}`;
+  const tap = new BodyTap();
+  req.on('data', chunk => tap.push(chunk));
+  req.on('end', () => {
+    const logged = tap.complete ? openBody(requestId, req.headers, tap.body).body : `<${tap.size} bytes streamed>`;
+    logger.logRequest(requestId, req.method, `${hostname}${path}`, upstreamUrl, req.headers, logged);
+  });
+
+  modifyRequest(requestId, res, hostname, req.method, path, { ...req.headers }, undefined).then((modified) => {
+    if (modified.respond) {
+      logger.log('INFO', `[${requestId}] Answered by rule with ${modified.respond.statusCode}`);
+      noteRoute(requestId, 'rule');
+      req.resume();
+      res.lifecycle.respond(modified.respond.statusCode, modified.respond.headers, modified.respond.body);
+      return;
+    }
+    if (isCancelled(requestId, res)) return;
+
+    if (modified.routeLocal) {
+      logger.log('INFO', `[${requestId}] Routed to local server by rule`);
+      noteRoute(requestId, 'rule');
+      forwardToLocalServer(requestId, req.method, modified.path, modified.headers, req, res);
+    } else if (routing.mode === 'local') {
+      forwardToLocalServer(requestId, req.method, modified.path, modified.headers, req, res);
+    } else {
+      forwardToRealServer(requestId, hostname, req.method, serverConfig, modified.path, modified.headers, req, res);
+    }
+  }).catch((err) => {
+    logger.log('ERROR', `[${requestId}] Rule error: ${err.message}`);
+    req.resume();
+    res.lifecycle.fail(OUTCOMES.PROXY_ERROR, 500, 'Rule Error');
+  });
+}
+
+// Send a body on: a Buffer as is, or the game's request piped through as it arrives
+function sendBody(proxyReq, body) {
+  if (body && typeof body.pipe === 'function') {
+    body.pipe(proxyReq);
+    return;
+  }
+  if (body && body.length) {
+    proxyReq.write(body);
+  }
+  proxyReq.end();
+}
+
+// Main proxy request handler
+function handleProxyRequest(req, res) {
+  const targetUrl = url.parse(req.url);
+  // Decrypted CONNECT traffic only carries a path, so take the host from the tunnel
+  const hostname = normalizeHostname(targetUrl.hostname || req.socket.connectHost || (req.headers.host || '').split(':')[0]);
+
+  const address = req.socket.clientAddress || req.socket.remoteAddress;
+
+  if (!req.socket.encrypted && isProxyItself(targetUrl) && ADMIN_ROUTES[targetUrl.pathname]) {
+    const denial = access.checkAdmin({ address, headers: req.headers });
+    if (denial) {
+      noteDenial(logger.generateRequestId(), address, `${req.method} ${targetUrl.pathname}`, denial);
+      refuseRequest(res, denial);
+    } else {
+      ADMIN_ROUTES[targetUrl.pathname](res);
+    }
+    return;
+  }
+
+  // Checked before the client is looked up, so refused requests never reach the client registry
+  const denial = access.check({
+    address,
+    headers: req.headers,
+    intercepted: isInterceptedHost(hostname),
+    authenticated: Boolean(req.socket.encrypted)
+  });
+  if (denial) {
+    noteDenial(logger.generateRequestId(), address, `${req.method} ${hostname}${targetUrl.path}`, denial);
+    refuseRequest(res, denial);
+    return;
+  }
+
+  // Like the lifecycle, kept on the response for every forwarding path
+  res.client = clients.identify(address, req.headers);
+  res.routing = clients.routing(res.client);
+  const { client, routing } = res;
+  const requestId = logger.generateRequestId(client.id);
+  // The login is for this proxy only
+  delete req.headers['proxy-authorization'];
+
+  logger.log('INFO', `[${requestId}] Incoming request: ${req.method} ${hostname}${targetUrl.path}`);
+  const lifecycle = startLifecycle(requestId, req, res, hostname);
+  if (monitor) {
+    monitor.track(requestId, req, res, hostname, client.id);
+  }
+  
+  // Check if this is a 2K Sports request
+  if (isInterceptedHost(hostname)) {
+    logger.log('INFO', `[${requestId}] Intercepting 2K request (${routing.mode} mode)`);
+    if (inventory) inventory.track(requestId, req, res, hostname);
+    noteRoute(requestId, 'intercept');
+    
+    // Get the real server endpoint (local mode never dials it)
+    const serverConfig = SERVER_ENDPOINTS[hostname];
+    if (!serverConfig && routing.mode !== 'local') {
+      logger.log('ERROR', `[${requestId}] No server configuration found for ${hostname}`);
+      lifecycle.fail(OUTCOMES.PROXY_ERROR, 502, 'Bad Gateway: Unknown 2K server');
+      return;
+    }
+
+    if (!requestNeedsBody(res, hostname, req.method, targetUrl.path, req.headers)) {
+      streamRequest(requestId, req, res, hostname, targetUrl.path, serverConfig);
+      return;
+    }
+
+    const length = Number(req.headers['content-length']);
+    if (length > CONFIG.MAX_REQUEST_BODY) {
+      refuseLargeRequest(requestId, req, res);
+      return;
+    }
+
+    // Collect request body
+    const requestChunks = [];
+    let received = 0;
+    req.on('data', (chunk) => {
+      received += chunk.length;
+      if (received > CONFIG.MAX_REQUEST_BODY) {
+        if (received - chunk.length <= CONFIG.MAX_REQUEST_BODY) refuseLargeRequest(requestId, req, res);
+        return;
+      }
+      requestChunks.push(chunk);
+    });
+
+    req.on('end', () => {
+      if (received > CONFIG.MAX_REQUEST_BODY) return;
+      const requestBuffer = Buffer.concat(requestChunks);
+      const request = openBody(requestId, req.headers, requestBuffer);
+      const originalUrl = `${req.socket.encrypted ? 'https' : 'http'}://${hostname}${targetUrl.path}`;
+      const upstreamUrl = routing.mode === 'local'
+        ? `http://${CONFIG.LOCAL_SERVER_HOST}:${CONFIG.LOCAL_SERVER_PORT}${targetUrl.path}`
+        : `${serverConfig.protocol}://${serverConfig.host}:${serverConfig.port}${targetUrl.path}`;
+
+      // Log the original request
+      logger.logRequest(requestId, req.method, `${hostname}${targetUrl.path}`, upstreamUrl, req.headers, request.body);
+
+      // Apply request rules, which may answer or reroute the request themselves
+      modifyRequest(requestId, res, hostname, req.method, targetUrl.path, { ...req.headers }, request.body).then((modified) => {
+        return modified.respond ? modified : pauseAtBreakpoint(requestId, 'request', hostname, req.method, targetUrl.path, modified);
+      }).then((modified) => {
+        if (!modified) {
+          dropAtBreakpoint(requestId, res);
+          return;
+        }
+
+        if (modified.respond) {
+          logger.log('INFO', `[${requestId}] Answered by rule with ${modified.respond.statusCode}`);
+          noteRoute(requestId, 'rule');
+          lifecycle.respond(modified.respond.statusCode, modified.respond.headers, modified.respond.body);
+          return;
+        }
+
+        if (isCancelled(requestId, res)) return;
+        modified.body = closeBody(request, modified);
+
+        if (modified.routeLocal) {
+          logger.log('INFO', `[${requestId}] Routed to local server by rule`);
+          noteRoute(requestId, 'rule');
+          forwardToLocalServer(requestId, req.method, modified.path, modified.headers, modified.body, res);
+          return;
+        }
+
+        // Answer from the loaded capture instead of the real server
+        const replayStore = replayStoreFor(routing);
+        if (replayStore) {
+          const recorded = replayStore.match(req.method, hostname, targetUrl.path, requestBuffer);
+
+          if (recorded) {
+            serveFromReplay(requestId, hostname, req.method, targetUrl.path, recorded, res);
+            return;
+          }
+
+          logger.log('WARN', `[${requestId}] No recorded response for ${req.method} ${hostname}${targetUrl.path}`);
+          if (routing.mode === 'replay') {
+            serveUnmatchedReplay(requestId, req.method, modified.path, modified.headers, modified.body, res);
+            return;
+          }
+        }
+
+        // Capture the request as the game sent it, before any modification
+        const exchange = recorder && routing.capture
+          ? recorder.begin(requestId, req, originalUrl, upstreamUrl, requestBuffer, client.id)
+          : null;
+
+        if (routing.mode === 'local') {
+          // Redirect to local server
+          forwardToLocalServer(requestId, req.method, modified.path, modified.headers, modified.body, res, exchange);
+        } else {
+          // Forward to real 2K server
+          forwardToRealServer(requestId, hostname, req.method, serverConfig, modified.path, modified.headers, modified.body, res, exchange);
+        }
+      }).catch((err) => {
+        logger.log('ERROR', `[${requestId}] Rule error: ${err.message}`);
+        lifecycle.fail(OUTCOMES.PROXY_ERROR, 500, 'Rule Error');
+      });
+    });
+
+    req.on('error', (err) => {
+      logger.log('ERROR', `[${requestId}] Request error: ${err.message}`);
+      lifecycle.fail(OUTCOMES.CLIENT_ABORTED, 500, 'Request Error');
+    });
+    
+  } else {
+    // Forward non-2K requests normally (standard HTTP proxy behavior)
+    forwardNormalRequest(requestId, req, res);
+  }
+}
+
+// Forward request to real 2K server
+function forwardToRealServer(requestId, hostname, method, serverConfig, path, headers, body, clientRes, exchange = null) {
+  const options = {
+    hostname: serverConfig.host,
+    port: serverConfig.port,
+    path: path,
+    method: method,
+    headers: {
+      ...headers,
+      host: `${serverConfig.host}:${serverConfig.port}` // Important: Update the host header
+    },
+    // For HTTPS requests, we might need to ignore certificate errors during development
+    rejectUnauthorized: false
+  };
+
+  // Skip hosts known to be down rather than waiting for them to time out again
+  if (health && !health.allow(hostname)) {
+    if (CONFIG.HEALTH_FAILOVER) {
+      logger.log('INFO', `[${requestId}] ${hostname} is down, failing over to the local server`);
+      noteRoute(requestId, 'failover');
+      forwardToLocalServer(requestId, method, path, headers, body, clientRes, exchange);
+    } else {
+      logger.log('WARN', `[${requestId}] ${hostname} is down, answering 503`);
+      noteRoute(requestId, 'unavailable');
+      clientRes.lifecycle.respond(503, {
+        'Content-Type': 'text/plain',
+        'Retry-After': String(Math.ceil(CONFIG.HEALTH_COOLDOWN / 1000))
+      }, 'Service Unavailable: real server is down', OUTCOMES.UPSTREAM_UNAVAILABLE);
+    }
+    return;
+  }
+
+  const secure = serverConfig.protocol === 'https';
+  logger.log('INFO', `[${requestId}] Forwarding to real server: ${serverConfig.protocol}://${serverConfig.host}:${serverConfig.port}${path}${upstream.via(serverConfig.host, serverConfig.port, secure)}`);
+  noteRoute(requestId, 'forward');
+
+  const httpModule = secure ? https : http;
+  
+  const proxyReq = httpModule.request(upstream.requestOptions(options, secure), (proxyRes) => {
+    logger.log('INFO', `[${requestId}] Real server response: ${proxyRes.statusCode}`);
+    recordHealth(hostname, proxyRes.statusCode);
+    if (exchange) exchange.firstByteAt = Date.now();
+
+    if (!responseNeedsBody(clientRes, hostname, method, path, proxyRes.statusCode, proxyRes.headers)) {
+      streamResponse(requestId, hostname, method, path, proxyRes, clientRes, exchange);
+      return;
+    }
+
+    collectBody(proxyRes).then((responseBuffer) => {
+      // Capture the server's original response
+      if (exchange) {
+        recorder.record(exchange, proxyRes, responseBuffer);
+      }
+
+      const response = openBody(requestId, proxyRes.headers, responseBuffer);
+      logger.logResponse(requestId, proxyRes.statusCode, proxyRes.headers, response.body, path);
+
+      // Modify response if needed, then send it back to game
+      return modifyResponse(requestId, clientRes, hostname, method, path, proxyRes.statusCode, { ...proxyRes.headers }, response.body).then((modified) => {
+        return pauseAtBreakpoint(requestId, 'response', hostname, method, path, modified);
+      }).then((modified) => {
+        if (!modified) {
+          dropAtBreakpoint(requestId, clientRes);
+          return;
+        }
+        const output = closeBody(response, modified);
+        clientRes.lifecycle.respond(modified.statusCode, modified.headers, output);
+      });
+    }).catch((err) => {
+      logger.log('ERROR', `[${requestId}] Response error: ${err.message}`);
+      clientRes.lifecycle.fail(OUTCOMES.PROXY_ERROR, 500, 'Rule Error');
+    });
+  });
+
+  clientRes.lifecycle.track(proxyReq);
+
+  // Timeouts arrive here too, as errors carrying their outcome
+  proxyReq.on('error', (err) => {
+    const outcome = outcomeOf(err);
+    if (outcome === OUTCOMES.CLIENT_ABORTED) {
+      // Says nothing about the server, but frees a trial request for the next one
+      if (health) health.abandon(hostname);
+      return;
+    }
+    logger.log('ERROR', `[${requestId}] Real server ${outcome}: ${err.message}`);
+    recordHealth(hostname, null, err.message);
+    
+    if (clientRes.routing.fallbackToLocal && !clientRes.lifecycle.responded) {
+      logger.log('INFO', `[${requestId}] Falling back to local server`);
+      noteRoute(requestId, 'fallback');
+      // Forward to local server instead
+      forwardToLocalServer(requestId, method, path, headers, body, clientRes, exchange);
+    } else {
+      failUpstream(clientRes, err, 'real server');
+    }
+  });
+
+  sendBody(proxyReq, body);
+  if (exchange) exchange.sentAt = Date.now();
+}
+
+// Nothing needs the response body: apply header and status rules, then pipe it through as it
+// arrives, keeping a copy for the log (and the capture, which needs all of it)
+function streamResponse(requestId, hostname, method, path, proxyRes, clientRes, exchange) {
+  modifyResponse(requestId, clientRes, hostname, method, path, proxyRes.statusCode, { ...proxyRes.headers }, undefined).then((modified) => {
+    // A rule served a file instead
+    if (modified.body !== undefined) {
+      proxyRes.resume();
+      clientRes.lifecycle.respond(modified.statusCode, modified.headers, modified.body);
+      return;
+    }
+
+    const tap = new BodyTap({ keepAll: Boolean(exchange) });
+    proxyRes.on('data', chunk => tap.push(chunk));
+    proxyRes.on('end', () => {
+      if (exchange) {
+        recorder.record(exchange, proxyRes, tap.body);
+      }
+      const logged = tap.complete
+        ? openBody(requestId, proxyRes.headers, tap.body).body
+        : `<${tap.size} bytes streamed>`;
+      logger.logResponse(requestId, proxyRes.statusCode, proxyRes.headers, logged, path);
+    });
+
+    clientRes.writeHead(modified.statusCode, modified.headers);
+    proxyRes.pipe(clientRes);
+  }).catch((err) => {
+    logger.log('ERROR', `[${requestId}] Rule error: ${err.message}`);
+    proxyRes.resume();
+    clientRes.lifecycle.fail(OUTCOMES.PROXY_ERROR, 500, 'Rule Error');
+  });
+}
+
+// Replay mode without a match: fall back to the local server or 404
+function serveUnmatchedReplay(requestId, method, path, headers, body, clientRes) {
+  if (clientRes.routing.fallbackToLocal) {
+    logger.log('INFO', `[${requestId}] Falling back to local server`);
+    noteRoute(requestId, 'fallback');
+    forwardToLocalServer(requestId, method, path, headers, body, clientRes);
+  } else {
+    clientRes.lifecycle.respond(404, { 'Content-Type': 'text/plain' }, 'Not Found: no recorded response');
+  }
+}
+
+// Serve a response recorded in the loaded capture
+function serveFromReplay(requestId, hostname, method, path, recorded, clientRes) {
+  logger.log('INFO', `[${requestId}] Replaying recorded response ${recorded.statusCode} (from ${recorded.requestId})`);
+  noteRoute(requestId, 'replay');
+  const response = openBody(requestId, recorded.headers, recorded.body);
+  logger.logResponse(requestId, recorded.statusCode, recorded.headers, response.body, path);
+
+  // Modify response if needed
+  modifyResponse(requestId, clientRes, hostname, method, path, recorded.statusCode, { ...recorded.headers }, response.body).then((modified) => {
+    return pauseAtBreakpoint(requestId, 'response', hostname, method, path, modified);
+  }).then((modified) => {
+    if (!modified) {
+      dropAtBreakpoint(requestId, clientRes);
+      return;
+    }
+    const output = closeBody(response, modified);
+    clientRes.lifecycle.respond(modified.statusCode, modified.headers, output);
+  }).catch((err) => {
+    logger.log('ERROR', `[${requestId}] Rule error: ${err.message}`);
+    clientRes.lifecycle.fail(OUTCOMES.PROXY_ERROR, 500, 'Rule Error');
+  });
+}
+
+// Fallback to local server if real server fails
+function forwardToLocalServer(requestId, method, path, headers, body, clientRes, exchange = null) {
+  const options = {
+    hostname: CONFIG.LOCAL_SERVER_HOST,
+    port: CONFIG.LOCAL_SERVER_PORT,
+    path: path,
+    method: method,
+    headers: {
+      ...headers,
+      host: `${CONFIG.LOCAL_SERVER_HOST}:${CONFIG.LOCAL_SERVER_PORT}`
+    }
+  };
+  // The local server hands this out as the player's address when a lobby match starts
+  const clientAddress = clientRes.client.ip;
+  if (clientAddress) {
+    options.headers['x-forwarded-for'] = [headers['x-forwarded-for'], clientAddress].filter(Boolean).join(', ');
+  }
+
+  logger.log('INFO', `[${requestId}] Forwarding to local server: http://${CONFIG.LOCAL_SERVER_HOST}:${CONFIG.LOCAL_SERVER_PORT}${path}`);
+  noteRoute(requestId, 'local');
+
+  const proxyReq = http.request(options, (proxyRes) => {
+    logger.log('INFO', `[${requestId}] Local server response: ${proxyRes.statusCode}`);
+
+    // Capture the fallback response alongside the pipe
+    if (exchange) {
+      exchange.target = `http://${CONFIG.LOCAL_SERVER_HOST}:${CONFIG.LOCAL_SERVER_PORT}${path}`;
+      exchange.firstByteAt = Date.now();
+      const responseChunks = [];
+      proxyRes.on('data', chunk => responseChunks.push(chunk));
+      proxyRes.on('end', () => recorder.record(exchange, proxyRes, Buffer.concat(responseChunks)));
+    }
+
+    clientRes.writeHead(proxyRes.statusCode, proxyRes.headers);
+    proxyRes.pipe(clientRes);
+  });
+
+  clientRes.lifecycle.track(proxyReq);
+
+  proxyReq.on('error', (err) => {
+    if (outcomeOf(err) === OUTCOMES.CLIENT_ABORTED) return;
+    logger.log('ERROR', `[${requestId}] Local server ${outcomeOf(err)}: ${err.message}`);
+    failUpstream(clientRes, err, 'local server');
+  });
+
+  sendBody(proxyReq, body);
+  if (exchange) exchange.sentAt = Date.now();
+}
+
+// Forward non-2K requests normally
+function forwardNormalRequest(requestId, req, res) {
+  const targetUrl = url.parse(req.url);
+  const hostname = targetUrl.hostname;
+  const port = targetUrl.port || 80;
+  
+  logger.log('INFO', `[${requestId}] Forwarding normal request: ${req.method} ${hostname}:${port}${targetUrl.path}${upstream.via(hostname, port, false)}`);
+  noteRoute(requestId, 'passthrough');
+  
+  const options = {
+    hostname: hostname,
+    port: port,
+    path: targetUrl.path,
+    method: req.method,
+    headers: req.headers
+  };
+  
+  const proxyReq = http.request(upstream.requestOptions(options, false), (proxyRes) => {
+    res.writeHead(proxyRes.statusCode, proxyRes.headers);
+    proxyRes.pipe(res);
+  });
+  
+  res.lifecycle.track(proxyReq);
+
+  proxyReq.on('error', (err) => {
+    if (outcomeOf(err) === OUTCOMES.CLIENT_ABORTED) return;
+    logger.log('ERROR', `[${requestId}] Normal request ${outcomeOf(err)}: ${err.message}`);
+    failUpstream(res, err, hostname);
+  });
+  
+  req.pipe(proxyReq);
+}
+
+// Handle HTTPS CONNECT method for SSL tunneling
+function handleConnect(req, clientSocket, head) {
+  const [host, port] = req.url.split(':');
+  const hostname = normalizeHostname(host);
+  const targetPort = parseInt(port) || 443;
+  // Check if this is a 2K Sports HTTPS request
+  const is2K = isInterceptedHost(hostname);
+
+  // The HTTP server lets go of the socket after 'connect', so its errors are ours to handle
+  let requestId = logger.generateRequestId();
+  clientSocket.on('error', (err) => {
+    logger.log('WARN', `[${requestId}] Client connection error: ${err.message}`);
+    clientSocket.destroy();
+  });
+
+  // As for plain requests, only a connection that passes is counted as a client
+  const denial = access.check({ address: clientSocket.remoteAddress, headers: req.headers, intercepted: is2K });
+  if (denial) {
+    noteDenial(requestId, clientSocket.remoteAddress, `CONNECT ${hostname}:${targetPort}`, denial);
+    clientSocket.end(access.rawResponse(denial));
+    return;
+  }
+
+  // No request headers yet: the address alone picks the client until the requests inside are decrypted
+  const client = clients.identifyConnection(clientSocket.remoteAddress);
+  const routing = clients.routing(client);
+  requestId = logger.generateRequestId(client.id);
+
+  logger.log('INFO', `[${requestId}] HTTPS CONNECT: ${hostname}:${targetPort}`);
+
+  if (is2K && canInterceptTls()) {
+    logger.log('INFO', `[${requestId}] Terminating TLS for ${hostname} to intercept decrypted requests`);
+    interceptTls(requestId, hostname, clientSocket, head);
+
+  } else if (is2K && routing.mode !== 'passthrough' && routing.mode !== 'record') {
+    // Local and replay answers need the decrypted request
+    logger.log('ERROR', `[${requestId}] Cannot intercept HTTPS for ${hostname} without a certificate`);
+    clientSocket.write('HTTP/1.1 500 SSL Interception Not Available\r\n\r\n');
+    clientSocket.end();
+
+  } else if (is2K) {
+    logger.log('INFO', `[${requestId}] Intercepting 2K HTTPS CONNECT for pass-through`);
+    
+    // Without the local CA, we need to establish a tunnel to the real server
+    // Using the configured port (17217) instead of standard 443
+    const endpoint = SERVER_ENDPOINTS[hostname] || { host: hostname, port: 17217 };
+    const realHost = endpoint.host;
+    const realPort = endpoint.port;
+    
+    logger.log('INFO', `[${requestId}] Establishing tunnel to real 2K server: ${realHost}:${realPort}`);
+    tunnelConnect(requestId, clientSocket, realHost, realPort, head);
+    
+  } else {
+    // Forward non-2K HTTPS requests normally
+    logger.log('INFO', `[${requestId}] Forwarding normal HTTPS: ${hostname}:${targetPort}`);
+    tunnelConnect(requestId, clientSocket, hostname, targetPort, head);
+  }
+}
+
+function noteTunnel(outcome, bytesUp, bytesDown) {
+  if (metrics) metrics.tunnel(outcome, bytesUp, bytesDown);
+}
+
+// Pipe a CONNECT tunnel to host:port, answering 502 if it can't be reached
+function tunnelConnect(requestId, clientSocket, host, port, head) {
+  openTunnel(requestId, clientSocket, host, port, {
+    logger,
+    head,
+    connectTimeout: CONFIG.CONNECTION_TIMEOUT,
+    idleTimeout: CONFIG.TUNNEL_IDLE_TIMEOUT,
+    connect: (target, targetPort, callback) => upstream.connect(target, targetPort, callback),
+    onClose: noteTunnel,
+    onConnect: () => {
+      logger.log('INFO', `[${requestId}] Tunnel established to ${host}:${port}${upstream.via(host, port, true)}`);
+      clientSocket.write('HTTP/1.1 200 Connection Established\r\n\r\n');
+    },
+    onError: (err) => {
+      logger.log('ERROR', `[${requestId}] Tunnel to ${host}:${port} failed: ${err.message}`);
+      clientSocket.end('HTTP/1.1 502 Bad Gateway\r\n\r\n');
+    }
+  });
+}
+
+// Terminate TLS locally and feed the decrypted requests through handleProxyRequest;
+// forwardToRealServer then re-encrypts them to the upstream
+function interceptTls(requestId, hostname, clientSocket, head) {
+  getSecureContext(hostname).then((secureContext) => {
+    clientSocket.write('HTTP/1.1 200 Connection Established\r\n\r\n');
+
+    const tlsSocket = new tls.TLSSocket(withPrefetchedData(clientSocket, head), {
+      isServer: true,
+      secureContext,
+      SNICallback: caReady ? ca.sniCallback() : undefined
+    });
+    tlsSocket.connectHost = hostname;
+    tlsSocket.clientAddress = clientSocket.remoteAddress;
+    tlsSocket.on('error', (err) => {
+      logger.log('ERROR', `[${requestId}] TLS error for ${hostname}: ${err.message}`);
+    });
+
+    interceptServer.emit('connection', tlsSocket);
+  }).catch((err) => {
+    logger.log('ERROR', `[${requestId}] Cannot intercept TLS for ${hostname}: ${err.message}`);
+    clientSocket.write('HTTP/1.1 502 Bad Gateway\r\n\r\n');
+    clientSocket.end();
+  });
+}
+
+// Create the proxy server
+const proxy = http.createServer(handleProxyRequest);
+
+// Decrypted HTTPS connections from interceptTls are handed to this server
+const interceptServer = http.createServer(handleProxyRequest);
+
+// Close keep-alive connections from the game that have gone quiet
+proxy.setTimeout(CONFIG.TUNNEL_IDLE_TIMEOUT);
+interceptServer.setTimeout(CONFIG.TUNNEL_IDLE_TIMEOUT);
+
+// Handle HTTPS CONNECT method
+proxy.on('connect', handleConnect);
+
+// Where 2K traffic ends up in each mode
+const MODE_DESCRIPTIONS = {
+  local: () => `🏠 Redirecting 2K traffic to the local server at ${CONFIG.LOCAL_SERVER_HOST}:${CONFIG.LOCAL_SERVER_PORT}`,
+  passthrough: () => '🔗 Forwarding 2K traffic to the real servers',
+  record: () => '🔗 Forwarding 2K traffic to the real servers and recording it',
+  replay: () => '📼 Answering 2K traffic from the recorded capture',
+  hybrid: () => '🔀 Replaying recorded responses, else real servers with local fallback'
+};
+
+// Start the proxy server
+function startProxy() {
+  proxy.listen(CONFIG.PROXY_PORT, CONFIG.PROXY_HOST, () => {
+    logger.log('INFO', `🚀 NBA 2K17 Proxy Started (${CONFIG.MODE} mode)`);
+    logger.log('INFO', `📡 Proxy listening on ${CONFIG.PROXY_HOST}:${CONFIG.PROXY_PORT}`);
+    if (CONFIG_FILE) {
+      logger.log('INFO', `🗂️ Config file: ${CONFIG_FILE}`);
+    }
+    logger.log('INFO', `🎯 Intercepting domains: ${INTERCEPT_DOMAINS.join(', ')}`);
+    logger.log('INFO', MODE_DESCRIPTIONS[CONFIG.MODE]());
+    logger.log('INFO', `📁 Logs directory: ${CONFIG.LOGS_DIR}`);
+    if (recorder) {
+      logger.log('INFO', `🎥 Capturing traffic to: ${recorder.jsonlPath} (+ .har)`);
+    }
+    for (const [file, replayStore] of replayStores) {
+      logger.log('INFO', `📼 Replaying ${replayStore.recordCount} recorded exchanges from ${JSON.parse(file)} (match: ${CONFIG.REPLAY_MATCH})`);
+    }
+    if (clients.profiles.length) {
+      const profiles = clients.profiles.map(profile => `${profile.id} (${profile.routing.mode})`).join(', ');
+      logger.log('INFO', `👥 Client profiles: ${profiles}; everyone else ${CONFIG.MODE} (http://${CONFIG.PROXY_HOST === '0.0.0.0' ? '127.0.0.1' : CONFIG.PROXY_HOST}:${CONFIG.PROXY_PORT}/__proxy/clients)`);
+    }
+    const limits = [
+      CONFIG.PROXY_AUTH.length ? `${CONFIG.PROXY_AUTH.length} login(s) required` : 'no login',
+      CONFIG.ALLOW_OTHER_TRAFFIC ? 'all traffic' : '2K traffic only',
+      CONFIG.RATE_LIMIT ? `${CONFIG.RATE_LIMIT} req/s per client (burst ${CONFIG.RATE_LIMIT_BURST})` : 'no rate limit'
+    ];
+    logger.log('INFO', `🔒 Access: clients from ${CONFIG.ACCESS_ALLOW.join(', ')}; ${limits.join(', ')}`);
+    if (upstream.enabled) {
+      logger.log('INFO', `🌐 Upstream proxy: ${upstream.describe()}`);
+    }
+    if (caReady) {
+      logger.log('INFO', `🔏 Intercepting 2K HTTPS with CA ${ca.caCertPath} (SHA-256 ${ca.getFingerprint()})`);
+    }
+    if (CONFIG.MODE !== 'local') {
+      logger.log('INFO', `🔄 Fallback to local server: ${CONFIG.FALLBACK_TO_LOCAL ? 'ENABLED' : 'DISABLED'}`);
+    }
+    if (health) {
+      const probes = CONFIG.HEALTH_CHECK_INTERVAL ? `probing every ${CONFIG.HEALTH_CHECK_INTERVAL / 1000}s` : 'no probes';
+      logger.log('INFO', `🩺 Health checks: down after ${CONFIG.HEALTH_FAILURE_THRESHOLD} failures, ${probes} (http://${CONFIG.PROXY_HOST === '0.0.0.0' ? '127.0.0.1' : CONFIG.PROXY_HOST}:${CONFIG.PROXY_PORT}${HEALTH_PATH})`);
+      health.start();
+    }
+    if (metrics) {
+      logger.log('INFO', `📊 Metrics: http://${CONFIG.PROXY_HOST === '0.0.0.0' ? '127.0.0.1' : CONFIG.PROXY_HOST}:${CONFIG.PROXY_PORT}/metrics (Prometheus) and /metrics.json`);
+    }
+    if (inventory) {
+      logger.log('INFO', `🧭 Endpoint discovery: ${inventory.endpoints.size} known endpoints, reports in ${CONFIG.DISCOVERY_DIR} on shutdown`);
+    }
+  
+    console.log('\n🛠️  Setup Instructions:');
+    if (CONFIG.ENABLE_DNS) {
+      console.log('1. Point the DNS setting of the device running the game at this machine');
+    } else {
+      console.log(`1. Set system proxy to 127.0.0.1:${CONFIG.PROXY_PORT}`);
+    }
+    console.log(`2. Install ${ca.caCertPath} as a trusted root CA to intercept HTTPS`);
+    if (CONFIG.MODE === 'passthrough' || CONFIG.MODE === 'record') {
+      console.log('3. Ensure your firewall allows outbound connections to 2K servers');
+    } else {
+      console.log('3. Start your local 2K17 server (node local_server.js)');
+    }
+    console.log('4. Launch NBA 2K17');
+    console.log('5. Monitor logs for request/response traffic');
+    console.log('\n⚙️  Configuration:');
+    console.log(`- Request logging: ${CONFIG.ENABLE_REQUEST_LOGGING ? 'ON' : 'OFF'}`);
+    console.log(`- Response logging: ${CONFIG.ENABLE_RESPONSE_LOGGING ? 'ON' : 'OFF'}`);
+    console.log(`- Request modifications: ${CONFIG.ENABLE_MODIFICATIONS ? `ON (${rules.rules.length} rules from ${CONFIG.RULES_FILE})` : 'OFF'}`);
+    console.log(`- Body decoders: ${decoders.decoders.map(decoder => decoder.name).join(', ')}`);
+  });
+}
+
+// DNS redirection: the game resolves 2K hosts to this machine and connects to the
+// transparent listeners directly, so no system proxy is needed
+const transparentListeners = [];
+let dnsServer = null;
+
+function startTransparentListeners() {
+  if (!canInterceptTls()) {
+    logger.log('ERROR', 'Transparent HTTPS listeners need a certificate, not starting them');
+    return Promise.resolve();
+  }
+
+  return Promise.all(CONFIG.TRANSPARENT_PORTS.map((port) => {
+    const listener = new TransparentListener({
+      port,
+      host: CONFIG.PROXY_HOST,
+      isIntercepted: isInterceptedHost,
+      getSecureContext,
+      sniCallback: caReady ? ca.sniCallback() : undefined,
+      interceptServer,
+      logger,
+      // The request ID comes before the checks, so an address outside ACCESS_ALLOW isn't made a client
+      generateRequestId: socket => logger.generateRequestId(access.allowsAddress(socket.remoteAddress)
+        ? clients.identifyConnection(socket.remoteAddress).id
+        : undefined),
+      // No way to send credentials here, so the address, 2K-only and rate limit checks apply
+      authorize: (requestId, socket, hostname) => {
+        const denial = access.check({ address: socket.remoteAddress, intercepted: isInterceptedHost(hostname), authenticated: true });
+        if (denial) noteDenial(requestId, socket.remoteAddress, `connection for ${hostname}:${port}`, denial);
+        return !denial;
+      },
+      connectTimeout: CONFIG.CONNECTION_TIMEOUT,
+      idleTimeout: CONFIG.TUNNEL_IDLE_TIMEOUT,
+      connect: (host, port, callback) => upstream.connect(host, port, callback),
+      onTunnelClose: noteTunnel
+    });
+
+    return listener.listen().then(() => {
+      transparentListeners.push(listener);
+      logger.log('INFO', `🔀 Transparent HTTPS listener on ${CONFIG.PROXY_HOST}:${port}`);
+    }).catch((err) => {
+      logger.log('ERROR', `Could not listen on port ${port}: ${err.message}${err.code === 'EACCES' ? ' (ports below 1024 need admin rights)' : ''}`);
+    });
+  }));
+}
+
+function startDnsServer() {
+  dnsServer = new DnsServer({
+    domains: INTERCEPT_DOMAINS,
+    answerIp: CONFIG.DNS_ANSWER_IP,
+    upstream: CONFIG.DNS_UPSTREAM,
+    ttl: CONFIG.DNS_TTL,
+    allowClient: address => access.allowsAddress(address),
+    logger
+  });
+
+  return dnsServer.listen(CONFIG.DNS_PORT, CONFIG.DNS_HOST).then(() => {
+    logger.log('INFO', `🧭 DNS server on ${CONFIG.DNS_HOST}:${CONFIG.DNS_PORT} answering 2K hosts with ${dnsServer.answerIp}`);
+    logger.log('INFO', `🧭 Other names: ${CONFIG.DNS_UPSTREAM ? `forwarded to ${CONFIG.DNS_UPSTREAM}` : 'refused'}`);
+    console.log(`\n🧭 Set the DNS server of the console/PC running NBA 2K17 to ${dnsServer.answerIp}`);
+  }).catch((err) => {
+    dnsServer = null;
+    logger.log('ERROR', `Could not start DNS server on port ${CONFIG.DNS_PORT}: ${err.message}${err.code === 'EACCES' ? ' (port 53 needs admin rights)' : ''}`);
+  });
+}
+
+let dashboard = null;
+
+function startDashboard() {
+  if (!monitor) return Promise.resolve();
+
+  dashboard = new Dashboard(monitor, logger, breakpoints);
+  return dashboard.listen(CONFIG.DASHBOARD_PORT, CONFIG.DASHBOARD_HOST).then(() => {
+    logger.log('INFO', `📊 Traffic dashboard at http://${CONFIG.DASHBOARD_HOST}:${CONFIG.DASHBOARD_PORT}`);
+    if (breakpoints) {
+      logger.log('INFO', `⏸️ Breakpoints: ${breakpoints.list().map(bp => `${bp.phase} ${bp.host || '*'}${bp.path || ''}`).join(', ') || 'none yet (add them in the dashboard)'}; timeout ${CONFIG.BREAKPOINT_TIMEOUT}ms`);
+      if (process.stdin.isTTY) {
+        terminalPrompt = new TerminalPrompt(breakpoints, { logger });
+      }
+    }
+  }).catch((err) => {
+    dashboard = null;
+    logger.log('ERROR', `Could not start the dashboard on port ${CONFIG.DASHBOARD_PORT}: ${err.message}`);
+  });
+}
+
+function startRedirection() {
+  return Promise.resolve()
+    .then(() => CONFIG.ENABLE_TRANSPARENT && startTransparentListeners())
+    .then(() => CONFIG.ENABLE_DNS && startDnsServer());
+}
+
+// Certificate management commands (--regenerate-ca, --ca-fingerprint, --export-ca=<file>)
+async function runCertificateCommand() {
+  if (CLI_COMMANDS['regenerate-ca']) {
+    await ca.generateCA();
+    console.log('🔐 Generated a new root CA');
+  } else {
+    await ca.ensureCA();
+  }
+
+  if (CLI_COMMANDS['export-ca']) {
+    const destination = typeof CLI_COMMANDS['export-ca'] === 'string' ? CLI_COMMANDS['export-ca'] : 'nba2k17-proxy-ca.pem';
+    ca.exportCA(destination);
+    console.log(`📤 CA certificate exported to ${destination}`);
+  }
+
+  console.log(`🔏 CA certificate: ${ca.caCertPath}`);
+  console.log(`🔏 SHA-256 fingerprint: ${ca.getFingerprint()}`);
+}
+
+function writeEndpointReports() {
+  const files = inventory.writeReports(CONFIG.DISCOVERY_DIR);
+  const missing = inventory.list().filter(endpoint => endpoint.local.state === 'missing').length;
+  logger.log('INFO', `🧭 Endpoints: ${inventory.endpoints.size} seen, ${missing} missing on the local server (${files.markdown}, ${files.openapi})`);
+}
+
+if (CLI_COMMANDS['endpoint-report']) {
+  if (!inventory) {
+    console.error('❌ Endpoint discovery is disabled (ENABLE_DISCOVERY)');
+    process.exit(1);
+  }
+  writeEndpointReports();
+  logger.close().then(() => process.exit(0));
+} else if (CLI_COMMANDS['regenerate-ca'] || CLI_COMMANDS['ca-fingerprint'] || CLI_COMMANDS['export-ca']) {
+  runCertificateCommand().then(() => process.exit(0), (err) => {
+    console.error('💥 Certificate command failed:', err.message);
+    process.exit(1);
+  });
+} else if (CONFIG.ENABLE_TLS_INTERCEPTION) {
+  ca.ensureCA().then((created) => {
+    caReady = true;
+    logger.log('INFO', created ? `🔐 Generated root CA at ${ca.caCertPath}` : '✅ Root CA loaded for HTTPS interception');
+  }).catch((err) => {
+    logger.log('WARN', `Could not set up the local CA: ${err.message}`);
+    if (clients.routings().every(routing => routing.mode === 'passthrough' || routing.mode === 'record')) {
+      logger.log('WARN', 'Tunnelling 2K HTTPS blindly');
+    } else {
+      loadBundledCertificate();
+    }
+  }).then(startProxy).then(startRedirection).then(startDashboard);
+} else {
+  startProxy();
+  startRedirection().then(startDashboard);
+}
+
+// Error handling
+proxy.on('error', (err) => {
+  logger.log('ERROR', `Proxy server error: ${err.message}`);
+});
+
+// Graceful shutdown
+process.on('SIGINT', () => {
+  logger.log('INFO', 'Shutting down proxy...');
+  if (dnsServer) {
+    dnsServer.close();
+  }
+  transparentListeners.forEach(listener => listener.close());
+  if (health) {
+    health.stop();
+  }
+  if (breakpoints) {
+    breakpoints.releaseAll();
+  }
+  if (terminalPrompt) {
+    terminalPrompt.close();
+  }
+  if (dashboard) {
+    dashboard.close();
+  }
+  const recording = recorder ? recorder.close() : Promise.resolve();
+  Array.from(replayStores.values()).forEach((replayStore, i) => {
+    const report = replayStore.getReport();
+    const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+    const reportPath = path.join(CONFIG.CAPTURE_DIR, `replay-report-${stamp}${i ? `-${i + 1}` : ''}.json`);
+    if (!fs.existsSync(CONFIG.CAPTURE_DIR)) {
+      fs.mkdirSync(CONFIG.CAPTURE_DIR, { recursive: true });
+    }
+    replayStore.writeReport(reportPath);
+    logger.log('INFO', `📼 Replay: ${report.matched} matched, ${report.unmatched.length} unmatched endpoints (report: ${reportPath})`);
+  });
+  if (inventory) {
+    writeEndpointReports();
+  }
+  proxy.close(() => {
+    logger.log('INFO', 'Proxy closed');
+    recording.then(() => logger.close()).then(() => process.exit(0));
+  });
+});
+
+// Handle uncaught exceptions
+process.on('uncaughtException', (err) => {
+  logger.log('ERROR', `Uncaught exception: ${err.message}`, { stack: err.stack });
+  logger.flushSync();
+  process.exit(1);
+});
+
+process.on('unhandledRejection', (reason, promise) => {
+  logger.log('ERROR', `Unhandled rejection: ${reason}`, { promise });
 });
\ No newline at end of file
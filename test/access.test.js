@@ -0,0 +1,96 @@
+// access.test.js - Address ranges, logins, 2K-only and rate limits (lib/access.js)
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { AccessControl } = require('../lib/access');
+const { ClientRegistry } = require('../lib/clients');
+
+function basic(credential) {
+  return { 'proxy-authorization': `Basic ${Buffer.from(credential).toString('base64')}` };
+}
+
+describe('addresses', () => {
+  it('allows only the listed ranges, IPv4-mapped addresses included', () => {
+    const access = new AccessControl({ allow: ['192.168.1.0/24', '::1'] });
+    assert.ok(access.allowsAddress('::ffff:192.168.1.40'));
+    assert.ok(access.allowsAddress('::1'));
+    assert.ok(!access.allowsAddress('192.168.2.40'));
+    assert.ok(!access.allowsAddress(undefined));
+    assert.equal(access.check({ address: '8.8.8.8', intercepted: true }).statusCode, 403);
+  });
+
+  it('rejects entries that are not addresses or ranges', () => {
+    assert.throws(() => new AccessControl({ allow: ['192.168.1.0/33'] }), /Invalid ACCESS_ALLOW entry/);
+    assert.throws(() => new AccessControl({ allow: ['lan'] }), /Invalid ACCESS_ALLOW entry/);
+  });
+});
+
+describe('logins', () => {
+  const access = new AccessControl({ allow: ['0.0.0.0/0'], credentials: ['den:secret'] });
+
+  it('asks for Basic credentials with 407', () => {
+    const denial = access.check({ address: '10.0.0.2', intercepted: true });
+    assert.equal(denial.statusCode, 407);
+    assert.match(denial.headers['Proxy-Authenticate'], /^Basic realm=/);
+    assert.equal(access.check({ address: '10.0.0.2', headers: basic('den:wrong'), intercepted: true }).reason, 'auth');
+    assert.equal(access.check({ address: '10.0.0.2', headers: basic('den:secret'), intercepted: true }), null);
+  });
+
+  it('asks for the same login on the admin pages, through the proxy or directly', () => {
+    const denial = access.checkAdmin({ address: '10.0.0.2' });
+    assert.equal(denial.statusCode, 401);
+    assert.match(denial.headers['WWW-Authenticate'], /^Basic realm=/);
+    assert.equal(access.checkAdmin({ address: '10.0.0.2', headers: basic('den:wrong') }).reason, 'admin-auth');
+    assert.equal(access.checkAdmin({ address: '10.0.0.2', headers: basic('den:secret') }), null);
+    assert.equal(access.checkAdmin({ address: '10.0.0.2', headers: { authorization: basic('den:secret')['proxy-authorization'] } }), null);
+
+    const lan = new AccessControl({ allow: ['10.0.0.0/8'] });
+    assert.equal(lan.checkAdmin({ address: '8.8.8.8' }).reason, 'address');
+    assert.equal(lan.checkAdmin({ address: '10.0.0.2' }), null);
+  });
+
+  it('trusts connections already authenticated', () => {
+    assert.equal(access.check({ address: '10.0.0.2', intercepted: true, authenticated: true }), null);
+    assert.throws(() => new AccessControl({ credentials: ['nopassword'] }), /user:password/);
+  });
+});
+
+describe('traffic and rate', () => {
+  it('refuses non-2K traffic when told to', () => {
+    const access = new AccessControl({ allow: ['0.0.0.0/0'], allowOtherTraffic: false });
+    assert.equal(access.check({ address: '10.0.0.2', intercepted: false }).reason, 'other-traffic');
+    assert.equal(access.check({ address: '10.0.0.2', intercepted: true }), null);
+  });
+
+  it('limits an address however many device IDs it claims', () => {
+    const clients = new ClientRegistry([], { deviceHeaders: ['x-2k-device-id'], defaults: { mode: 'passthrough' } });
+    const access = new AccessControl({ allow: ['0.0.0.0/0'], rateLimit: 1, rateBurst: 2 });
+    const answers = [1, 2, 3].map((n) => {
+      const headers = { 'x-2k-device-id': `console-${n}` };
+      assert.equal(clients.identify('10.0.0.2', headers).id, `console-${n}`);
+      const denial = access.check({ address: '::ffff:10.0.0.2', headers, intercepted: true });
+      return denial ? denial.statusCode : 200;
+    });
+    assert.deepEqual(answers, [200, 200, 429]);
+    assert.equal(access.check({ address: '10.0.0.3', intercepted: true }), null);
+  });
+
+  it('limits each address to its burst, refilled at the rate', () => {
+    const access = new AccessControl({ rateLimit: 2, rateBurst: 3 });
+    const now = 1000000;
+    for (let i = 0; i < 3; i++) assert.equal(access.take('a', now), 0);
+    assert.equal(access.take('a', now), 1);
+    assert.equal(access.take('b', now), 0);
+    assert.equal(access.take('a', now + 500), 0);
+    assert.equal(access.denial('rate-limit', 1).headers['Retry-After'], '1');
+  });
+
+  it('logs repeated denials now and then, with a count of the rest', () => {
+    const access = new AccessControl();
+    assert.equal(access.shouldLog('a', 'auth', 0), 0);
+    assert.equal(access.shouldLog('a', 'auth', 1000), null);
+    assert.equal(access.shouldLog('a', 'auth', 2000), null);
+    assert.equal(access.shouldLog('a', 'address', 2000), 0);
+    assert.equal(access.shouldLog('a', 'auth', 11000), 2);
+  });
+});
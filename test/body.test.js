@@ -0,0 +1,24 @@
+// body.test.js - Compressed message bodies (lib/body.js)
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const zlib = require('zlib');
+const { decodeContent, encodeContent } = require('../lib/body');
+
+describe('decodeContent', () => {
+  it('undoes stacked encodings, including raw deflate', () => {
+    const body = Buffer.from('{"vc":1000}');
+    assert.deepEqual(decodeContent(encodeContent(body, 'gzip, br'), 'gzip, br'), body);
+    assert.deepEqual(decodeContent(zlib.deflateRawSync(body), 'deflate'), body);
+  });
+
+  it('refuses to inflate a body past the limit', () => {
+    const bomb = Buffer.alloc(1024 * 1024);
+    for (const encoding of ['gzip', 'deflate', 'br']) {
+      const compressed = encodeContent(bomb, encoding);
+      assert.throws(() => decodeContent(compressed, encoding, 64 * 1024), { code: 'ERR_BUFFER_TOO_LARGE' }, encoding);
+      assert.equal(decodeContent(compressed, encoding).length, bomb.length);
+    }
+    assert.throws(() => decodeContent(zlib.deflateRawSync(bomb), 'deflate', 64 * 1024), { code: 'ERR_BUFFER_TOO_LARGE' });
+  });
+});
@@ -0,0 +1,53 @@
+// breakpoints.test.js - Pausing and editing messages at breakpoints (lib/breakpoints.js)
+
+const { describe, it, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { BreakpointManager, TerminalPrompt } = require('../lib/breakpoints');
+const { tempDir } = require('./harness');
+
+const logger = { log() {} };
+const dir = tempDir();
+
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+describe('terminal prompt', () => {
+  it('keeps the event loop running while $EDITOR is open, with console logging held back', async () => {
+    // An "editor" that takes a while, then changes the status code
+    const editor = path.join(dir, 'editor.sh');
+    fs.writeFileSync(editor, `#!/bin/sh\nsleep 0.5\n${JSON.stringify(process.execPath)} -e "const fs = require('fs'); const m = JSON.parse(fs.readFileSync(process.argv[1])); m.statusCode = 418; fs.writeFileSync(process.argv[1], JSON.stringify(m))" "$1"\n`);
+    fs.chmodSync(editor, 0o755);
+    const saved = { VISUAL: process.env.VISUAL, EDITOR: process.env.EDITOR };
+    delete process.env.VISUAL;
+    process.env.EDITOR = editor;
+
+    const manager = new BreakpointManager({ logger });
+    manager.add({ path: '/news', phase: 'response' });
+    let held = false;
+    const terminalLogger = { holdConsole: () => { held = true; }, releaseConsole: () => { held = false; } };
+    const prompt = new TerminalPrompt(manager, { logger: terminalLogger });
+    try {
+      const context = { method: 'GET', host: 'api.2ksports.com', path: '/news' };
+      const paused = manager.pause('req-1', 'response', context, { statusCode: 200, headers: {}, body: Buffer.from('{}') });
+
+      let ticks = 0;
+      let heldTicks = 0;
+      const ticker = setInterval(() => {
+        ticks++;
+        if (held) heldTicks++;
+      }, 50);
+      await prompt.edit('req-1-response');
+      clearInterval(ticker);
+
+      assert.ok(ticks >= 3, `only ${ticks} ticks while the editor was open`);
+      assert.equal(heldTicks, ticks);
+      assert.equal(held, false);
+      assert.equal((await paused).statusCode, 418);
+    } finally {
+      prompt.close();
+      Object.assign(process.env, saved);
+      for (const [key, value] of Object.entries(saved)) if (value === undefined) delete process.env[key];
+    }
+  });
+});
@@ -0,0 +1,70 @@
+// clients.test.js - Client identification and per-client routing (lib/clients.js)
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { ClientRegistry } = require('../lib/clients');
+
+const DEFAULTS = { mode: 'passthrough', replayFile: null, fallbackToLocal: false, modifications: true, capture: false };
+
+function registry(profiles = []) {
+  return new ClientRegistry(profiles, { deviceHeaders: ['x-2k-device-id'], defaults: DEFAULTS });
+}
+
+describe('identification', () => {
+  it('falls back from profile to device header to source address', () => {
+    const clients = registry([{ id: 'ps4-den', match: { ip: '192.168.1.2*' }, mode: 'local' }]);
+    assert.equal(clients.identify('::ffff:192.168.1.20').id, 'ps4-den');
+    assert.equal(clients.identify('192.168.1.30', { 'x-2k-device-id': 'XB1 #7' }).id, 'XB1__7');
+    assert.equal(clients.identify('192.168.1.30').id, '192.168.1.30');
+  });
+
+  it('needs every condition of a profile to hold', () => {
+    const clients = registry([{ id: 'pc', match: { ip: '10.0.0.5', device: 'pc-*' } }]);
+    assert.equal(clients.identify('10.0.0.5').id, '10.0.0.5');
+    assert.equal(clients.identify('10.0.0.5', { 'x-2k-device-id': 'pc-1' }).id, 'pc');
+  });
+
+  it('follows a session token to the client that first used it', () => {
+    const clients = registry([{ id: 'ps4-den', match: { ip: '192.168.1.20' }, mode: 'local' }]);
+    clients.identify('192.168.1.20', { 'x-session-token': 'abc' });
+    const moved = clients.identify('10.8.0.3', { authorization: 'Bearer abc' });
+    assert.equal(moved.id, 'ps4-den');
+    assert.equal(clients.routing(moved).mode, 'local');
+    assert.equal(moved.ip, '10.8.0.3');
+    assert.equal(moved.requests, 2);
+  });
+
+  it('treats a malformed session cookie as no token', () => {
+    const clients = registry();
+    const client = clients.identify('10.0.0.7', { cookie: 'sessionToken=%E0%A4%A' });
+    assert.equal(client.id, '10.0.0.7');
+    assert.equal(clients.sessions.size, 0);
+  });
+
+  it('does not count connections as requests', () => {
+    const clients = registry();
+    clients.identifyConnection('10.0.0.9');
+    assert.equal(clients.identify('10.0.0.9').requests, 1);
+  });
+});
+
+describe('routing profiles', () => {
+  it('inherits the global settings and applies what each mode implies', () => {
+    const clients = registry([
+      { id: 'a', match: { ip: '10.0.0.1' }, mode: 'hybrid', replayFile: 'a.har' },
+      { id: 'b', match: { ip: '10.0.0.2' }, mode: 'record', modifications: false }
+    ]);
+    const [a, b] = clients.profiles.map(profile => profile.routing);
+    assert.deepEqual(a, { mode: 'hybrid', replayFile: 'a.har', fallbackToLocal: true, modifications: true, capture: false });
+    assert.deepEqual(b, { mode: 'record', replayFile: null, fallbackToLocal: false, modifications: false, capture: true });
+    assert.equal(clients.routing(clients.identify('10.0.0.3')), clients.defaultRouting);
+  });
+
+  it('rejects profiles it cannot route', () => {
+    assert.throws(() => registry([{ id: 'x', match: { ip: '1.2.3.4' }, mode: 'replay' }]), /needs a replayFile/);
+    assert.throws(() => registry([{ id: 'x', match: {} }]), /needs an ip or device/);
+    assert.throws(() => registry([{ id: 'x', match: { ip: '1.2.3.4' }, mode: 'live' }]), /unknown mode/);
+    assert.throws(() => registry([{ id: 'x y', match: { ip: '1.2.3.4' } }]), /needs an id/);
+    assert.throws(() => registry([{ id: 'x', match: { ip: '1.2.3.4' }, rules: [] }]), /unknown keys rules/);
+  });
+});
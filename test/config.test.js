@@ -0,0 +1,45 @@
+// config.test.js - Defaults, config file and flags (lib/config.js)
+
+const { describe, it, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { loadConfig } = require('../lib/config');
+const { tempDir } = require('./harness');
+
+const dir = tempDir();
+const configFile = path.join(dir, 'proxy.config.json');
+fs.writeFileSync(configFile, JSON.stringify({ REPLAY_FILE: 'session.har' }));
+
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+function load(...flags) {
+  return loadConfig([`--config=${configFile}`, ...flags]).config;
+}
+
+describe('modes', () => {
+  it('falls back to local in hybrid mode unless told not to', () => {
+    assert.equal(load('--mode=hybrid').FALLBACK_TO_LOCAL, true);
+    assert.equal(load('--mode=hybrid', '--no-fallback').FALLBACK_TO_LOCAL, false);
+    assert.equal(load().FALLBACK_TO_LOCAL, false);
+    assert.equal(load('--fallback').FALLBACK_TO_LOCAL, true);
+  });
+});
+
+describe('config files', () => {
+  it('reads YAML with js-yaml, or says how to get it', () => {
+    const yamlFile = path.join(dir, 'proxy.config.yaml');
+    fs.writeFileSync(yamlFile, 'MODE: local\n');
+    let hasYaml = true;
+    try {
+      require.resolve('js-yaml');
+    } catch {
+      hasYaml = false;
+    }
+    if (hasYaml) {
+      assert.equal(loadConfig([`--config=${yamlFile}`]).config.MODE, 'local');
+    } else {
+      assert.throws(() => loadConfig([`--config=${yamlFile}`]), /proxy\.config\.yaml: YAML files need the js-yaml package \(npm install js-yaml\)/);
+    }
+  });
+});
@@ -0,0 +1,80 @@
+// content.test.js - Content versioning and publishing (lib/content.js)
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { ContentStore, etagMatches } = require('../lib/content');
+const harness = require('./harness');
+
+let dir;
+let contents;
+
+function writeDraft(name, data) {
+  fs.writeFileSync(path.join(dir, name), data);
+}
+
+beforeEach(() => {
+  dir = harness.tempDir();
+  contents = new ContentStore(dir).load();
+});
+
+afterEach(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+describe('publishing', () => {
+  it('serves nothing until a working file is published', () => {
+    writeDraft('news.json', '{"items":[]}');
+    assert.equal(contents.get('news'), null);
+    assert.deepEqual(contents.list().map(item => [item.key, item.status]), [['news', 'unpublished']]);
+
+    const entry = contents.publish('news', { note: 'launch' });
+    assert.equal(entry.version, 1);
+    assert.equal(contents.get('news').data.toString(), '{"items":[]}');
+    assert.equal(contents.list()[0].status, 'published');
+  });
+
+  it('adds a version per change and none for an unchanged file', () => {
+    writeDraft('motd.json', '{"motd":"one"}');
+    contents.publish('motd');
+    writeDraft('motd.json', '{"motd":"two"}');
+    assert.equal(contents.list()[0].status, 'changed');
+    assert.equal(contents.publish('motd').version, 2);
+    assert.equal(contents.publish('motd').unchanged, true);
+    assert.equal(contents.list()[0].versions.length, 2);
+  });
+
+  it('refuses JSON that does not parse', () => {
+    writeDraft('config.json', '{"features":');
+    assert.throws(() => contents.publish('config'), /not valid JSON/);
+    assert.equal(contents.get('config'), null);
+  });
+
+  it('rolls back by making an older version live', () => {
+    writeDraft('roster.bin', 'v1');
+    const first = contents.publish('roster');
+    writeDraft('roster.bin', 'v2');
+    contents.publish('roster');
+
+    contents.activate('roster', 1);
+    assert.equal(contents.get('roster').data.toString(), 'v1');
+    assert.equal(contents.get('roster').entry.etag, first.etag);
+    assert.throws(() => contents.activate('roster', 3), /no version 3/);
+  });
+
+  it('shows publishes from another process to a running server', () => {
+    writeDraft('news.json', '{"items":[1]}');
+    new ContentStore(dir).load().publish('news');
+    assert.equal(contents.get('news').entry.version, 1);
+    assert.deepEqual(contents.index().map(item => item.key), ['news']);
+  });
+});
+
+describe('etags', () => {
+  it('matches If-None-Match lists, weak tags and *', () => {
+    assert.ok(etagMatches('"a", "b"', '"b"'));
+    assert.ok(etagMatches('W/"b"', '"b"'));
+    assert.ok(etagMatches('*', '"b"'));
+    assert.ok(!etagMatches('"a"', '"b"'));
+    assert.ok(!etagMatches(undefined, '"b"'));
+  });
+});
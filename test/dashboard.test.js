@@ -0,0 +1,88 @@
+// dashboard.test.js - Dashboard admin API (lib/dashboard.js)
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { TrafficMonitor, Dashboard } = require('../lib/dashboard');
+const { BreakpointManager } = require('../lib/breakpoints');
+
+const logger = { log() {} };
+let breakpoints;
+let dashboard;
+
+function call(method, path, headers = {}, body = '') {
+  return new Promise((resolve, reject) => {
+    const req = http.request({ host: '127.0.0.1', port: dashboard.server.address().port, method, path, headers }, (res) => {
+      let text = '';
+      res.on('data', (chunk) => { text += chunk; });
+      res.on('end', () => resolve({ statusCode: res.statusCode, body: JSON.parse(text) }));
+    });
+    req.on('error', reject);
+    req.end(body);
+  });
+}
+
+before(async () => {
+  breakpoints = new BreakpointManager({ logger });
+  dashboard = new Dashboard(new TrafficMonitor(), logger, breakpoints);
+  await dashboard.listen(0, '127.0.0.1');
+});
+
+after(() => dashboard.close());
+
+describe('admin API', () => {
+  it('answers a malformed ID escape with 400', async () => {
+    assert.equal((await call('GET', '/api/requests/%E0%A4%A')).statusCode, 400);
+    const json = { 'content-type': 'application/json' };
+    assert.equal((await call('POST', '/api/paused/%E0%A4%A/drop', json)).statusCode, 400);
+  });
+
+  it('only takes changes sent as JSON from its own origin', async () => {
+    const definition = JSON.stringify({ path: '/user/login' });
+    // What a form on another site can send
+    const form = await call('POST', '/api/breakpoints', { 'content-type': 'text/plain', origin: 'http://evil.example' }, definition);
+    assert.equal(form.statusCode, 403);
+    const foreign = await call('POST', '/api/breakpoints', { 'content-type': 'application/json', origin: 'http://evil.example' }, definition);
+    assert.equal(foreign.statusCode, 403);
+    assert.deepEqual(breakpoints.list(), []);
+
+    const port = dashboard.server.address().port;
+    const own = await call('POST', '/api/breakpoints', { 'content-type': 'application/json; charset=utf-8', origin: `http://127.0.0.1:${port}` }, definition);
+    assert.equal(own.statusCode, 201);
+    assert.equal((await call('DELETE', `/api/breakpoints/${own.body.id}`, { 'content-type': 'text/plain' })).statusCode, 403);
+    assert.equal((await call('DELETE', `/api/breakpoints/${own.body.id}`, { 'content-type': 'application/json' })).statusCode, 200);
+  });
+});
+
+describe('traffic API', () => {
+  it('takes one value per filter, however often it is repeated', async () => {
+    const res = await call('GET', '/api/requests?host=a&host=b&path=/x&path=/y&status=2xx&status=404');
+    assert.equal(res.statusCode, 200);
+    assert.deepEqual(res.body, []);
+  });
+
+  it('answers a status filter that is not a code or class with 400', async () => {
+    assert.equal((await call('GET', '/api/requests?status=(')).statusCode, 400);
+    assert.equal((await call('GET', '/api/requests?status=6xx')).statusCode, 400);
+    assert.equal((await call('GET', '/api/requests?status=5XX')).statusCode, 200);
+  });
+
+  it('answers only to its address, not a rebound host name', async () => {
+    const port = dashboard.server.address().port;
+    assert.equal((await call('GET', '/api/requests', { host: `evil.example:${port}` })).statusCode, 403);
+    assert.equal((await call('GET', '/api/requests', { host: '127.0.0.1:1' })).statusCode, 403);
+    assert.equal((await call('GET', '/api/requests', { host: `localhost:${port}` })).statusCode, 200);
+  });
+
+  it('answers 500 instead of crashing when a request fails', async () => {
+    const list = dashboard.monitor.list;
+    dashboard.monitor.list = () => { throw new Error('boom'); };
+    try {
+      const res = await call('GET', '/api/requests');
+      assert.equal(res.statusCode, 500);
+      assert.equal(res.body.error, 'boom');
+    } finally {
+      dashboard.monitor.list = list;
+    }
+  });
+});
@@ -0,0 +1,25 @@
+// decoders.test.js - Body decoder registry (lib/decoders.js)
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const zlib = require('zlib');
+const { createDecoderRegistry } = require('../lib/decoders');
+
+describe('compressed blobs', () => {
+  it('decodes base64 of gzip of JSON down to the JSON', () => {
+    const body = Buffer.from(zlib.gzipSync(JSON.stringify({ slot: 1 })).toString('base64'));
+    const decoded = createDecoderRegistry().decode(body, { path: '/saves/1', headers: {} });
+    assert.deepEqual(decoded.formats, ['base64', 'gzip', 'json']);
+    assert.deepEqual(decoded.value, { slot: 1 });
+  });
+
+  it('leaves blobs that would inflate past the limit as bytes', () => {
+    const json = Buffer.from(JSON.stringify({ padding: 'x'.repeat(1024 * 1024) }));
+    const registry = createDecoderRegistry({ maxOutputLength: 64 * 1024 });
+    const context = { path: '/saves/1', headers: {} };
+    assert.equal(registry.decode(zlib.gzipSync(json), context), null);
+    assert.equal(registry.decode(zlib.deflateSync(json), context), null);
+    assert.equal(registry.decode(Buffer.from(zlib.gzipSync(json).toString('base64')), context), null);
+    assert.deepEqual(createDecoderRegistry().decode(zlib.gzipSync(json), context).formats, ['gzip', 'json']);
+  });
+});
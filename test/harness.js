@@ -0,0 +1,246 @@
+// harness.js - Fixtures for the proxy tests
+// A stub "real 2K" HTTPS server, a plain HTTP server for non-2K traffic, the local server and the proxy
+// (both as child processes, as they run for real), plus a fake game client that talks to the proxy
+// as a plain HTTP proxy, through CONNECT tunnels and over intercepted HTTPS
+
+const { spawn } = require('child_process');
+const fs = require('fs');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const tls = require('tls');
+const { CertificateAuthority } = require('../lib/ca');
+
+const ROOT = path.join(__dirname, '..');
+const LOCAL_SERVER_PORT = 49767;
+const START_TIMEOUT = 15000;
+
+function tempDir() {
+  return fs.mkdtempSync(path.join(os.tmpdir(), 'nba2k17-proxy-test-'));
+}
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const server = net.createServer();
+    server.on('error', reject);
+    server.listen(0, '127.0.0.1', () => {
+      const { port } = server.address();
+      server.close(() => resolve(port));
+    });
+  });
+}
+
+function listen(server) {
+  return new Promise((resolve, reject) => {
+    server.on('error', reject);
+    server.listen(0, '127.0.0.1', () => resolve(server.address().port));
+  });
+}
+
+function readBody(stream) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    stream.on('data', chunk => chunks.push(chunk));
+    stream.on('end', () => resolve(Buffer.concat(chunks)));
+    stream.on('error', reject);
+  });
+}
+
+// Stands in for a SERVER_ENDPOINTS host, with the bundled certificate (the proxy doesn't verify it).
+//   /slow  never answers
+//   /vc    { "vc": 5 }, for response rules
+//   else   echoes the request as JSON
+async function startStubUpstream() {
+  const requests = [];
+  const server = https.createServer({
+    key: fs.readFileSync(path.join(ROOT, 'nba2k17-ws.2ksports.com-key.pem')),
+    cert: fs.readFileSync(path.join(ROOT, 'nba2k17-ws.2ksports.com.pem'))
+  }, async (req, res) => {
+    const body = await readBody(req);
+    requests.push({ method: req.method, url: req.url, headers: req.headers, body });
+    if (req.url === '/slow') return;
+
+    const payload = req.url === '/vc'
+      ? { vc: 5 }
+      : { upstream: 'stub', method: req.method, url: req.url, headers: req.headers, body: body.toString() };
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(payload));
+  });
+  const port = await listen(server);
+  return { port, requests, close: () => closeServer(server) };
+}
+
+// A non-2K web server; the proxy should pass requests for it through untouched
+async function startPlainServer() {
+  const server = http.createServer((req, res) => {
+    res.writeHead(200, { 'Content-Type': 'text/plain' });
+    res.end(`plain ${req.method} ${req.url}`);
+  });
+  const port = await listen(server);
+  return { port, close: () => closeServer(server) };
+}
+
+function closeServer(server) {
+  return new Promise((resolve) => {
+    server.close(() => resolve());
+    if (server.closeAllConnections) server.closeAllConnections();
+  });
+}
+
+// Shared CA so every proxy started in a run intercepts with the same certificate
+async function createCA(dir) {
+  const ca = new CertificateAuthority(path.join(dir, 'certs'));
+  await ca.ensureCA();
+  return { dir: ca.certDir, cert: fs.readFileSync(ca.caCertPath) };
+}
+
+// Poll until the check passes or the child dies
+function waitFor(child, check) {
+  const deadline = Date.now() + START_TIMEOUT;
+  return new Promise((resolve, reject) => {
+    const attempt = () => {
+      if (child.exitCode !== null) {
+        reject(new Error(`${child.label} exited with ${child.exitCode}:\n${child.output}`));
+        return;
+      }
+      check().then(resolve, () => {
+        if (Date.now() > deadline) {
+          reject(new Error(`${child.label} did not start within ${START_TIMEOUT}ms:\n${child.output}`));
+        } else {
+          setTimeout(attempt, 100);
+        }
+      });
+    };
+    attempt();
+  });
+}
+
+function startChild(label, script, args, cwd) {
+  const child = spawn(process.execPath, [path.join(ROOT, script), ...args], { cwd, stdio: ['ignore', 'pipe', 'pipe'] });
+  child.label = label;
+  child.output = '';
+  child.stdout.on('data', (chunk) => { child.output += chunk; });
+  child.stderr.on('data', (chunk) => { child.output += chunk; });
+  return child;
+}
+
+// SIGINT runs the same shutdown as Ctrl+C; anything still alive after that is killed
+function stopChild(child) {
+  if (child.exitCode !== null) return Promise.resolve();
+  return new Promise((resolve) => {
+    const timer = setTimeout(() => child.kill('SIGKILL'), 5000);
+    child.once('exit', () => {
+      clearTimeout(timer);
+      resolve();
+    });
+    child.kill('SIGINT');
+  });
+}
+
+function portOpen(port) {
+  return new Promise((resolve, reject) => {
+    const socket = net.connect(port, '127.0.0.1', () => {
+      socket.destroy();
+      resolve();
+    });
+    socket.on('error', reject);
+  });
+}
+
+// The local server always listens on 49767; its player data goes to a scratch directory
+async function startLocalServer(dir) {
+  const child = startChild('local server', 'local_server.js', [], dir);
+  await waitFor(child, () => portOpen(LOCAL_SERVER_PORT));
+  return { port: LOCAL_SERVER_PORT, process: child, stop: () => stopChild(child) };
+}
+
+// config: keys merged over test defaults (quiet logs, no probes, everything under dir)
+async function startProxy(dir, config = {}) {
+  const port = await freePort();
+  const configFile = path.join(dir, `proxy-${port}.config.json`);
+  fs.writeFileSync(configFile, JSON.stringify({
+    PROXY_HOST: '127.0.0.1',
+    PROXY_PORT: port,
+    LOCAL_SERVER_PORT,
+    LOGS_DIR: path.join(dir, 'logs'),
+    CAPTURE_DIR: path.join(dir, 'captures'),
+    CERT_DIR: path.join(dir, 'certs'),
+    DISCOVERY_DIR: path.join(dir, `discovery-${port}`),
+    RULES_FILE: path.join(dir, 'no-rules.json'),
+    ENABLE_REQUEST_LOGGING: false,
+    ENABLE_RESPONSE_LOGGING: false,
+    HEALTH_CHECK_INTERVAL: 0,
+    ...config
+  }, null, 2));
+
+  const child = startChild(`proxy on ${port}`, 'server.js', [`--config=${configFile}`], dir);
+  const proxy = { port, process: child, stop: () => stopChild(child) };
+  await waitFor(child, () => request(proxy, { url: `http://127.0.0.1:${port}/__proxy/health` }).then((res) => {
+    if (res.statusCode !== 200) throw new Error(`health ${res.statusCode}`);
+  }));
+  return proxy;
+}
+
+// Plain HTTP through the proxy: absolute URL in the request line, as a proxied game sends it.
+// Resolves with { statusCode, headers, body } where body is a string
+function request(proxy, { url, method = 'GET', headers = {}, body = null }) {
+  return new Promise((resolve, reject) => {
+    const req = http.request({ host: '127.0.0.1', port: proxy.port, method, path: url, headers, agent: false }, (res) => {
+      readBody(res).then(data => resolve({ statusCode: res.statusCode, headers: res.headers, body: data.toString() }), reject);
+    });
+    req.on('error', reject);
+    req.end(body);
+  });
+}
+
+// CONNECT host:port through the proxy; resolves with the raw socket once the proxy answers 200
+function connectTunnel(proxy, host, port) {
+  return new Promise((resolve, reject) => {
+    const req = http.request({ host: '127.0.0.1', port: proxy.port, method: 'CONNECT', path: `${host}:${port}`, agent: false });
+    req.on('connect', (res, socket) => {
+      if (res.statusCode === 200) {
+        resolve(socket);
+      } else {
+        socket.destroy();
+        reject(new Error(`CONNECT ${host}:${port} answered ${res.statusCode}`));
+      }
+    });
+    req.on('error', reject);
+    req.end();
+  });
+}
+
+// HTTPS through a CONNECT tunnel, the way the game does it. options.ca is the certificate the fake
+// game trusts; without it the certificate isn't checked. Also resolves with the peer certificate.
+async function httpsRequest(proxy, { host, port = 443, path: requestPath = '/', method = 'GET', headers = {}, body = null, ca = null }) {
+  const socket = await connectTunnel(proxy, host, port);
+  return new Promise((resolve, reject) => {
+    const secure = tls.connect({ socket, servername: host, ca: ca || undefined, rejectUnauthorized: Boolean(ca) });
+    secure.on('error', reject);
+    const req = https.request({ host, port, method, path: requestPath, headers, createConnection: () => secure }, (res) => {
+      const certificate = secure.getPeerCertificate();
+      readBody(res).then((data) => {
+        secure.destroy();
+        resolve({ statusCode: res.statusCode, headers: res.headers, body: data.toString(), certificate });
+      }, reject);
+    });
+    req.on('error', reject);
+    req.end(body);
+  });
+}
+
+module.exports = {
+  LOCAL_SERVER_PORT,
+  connectTunnel,
+  createCA,
+  freePort,
+  httpsRequest,
+  request,
+  startLocalServer,
+  startPlainServer,
+  startProxy,
+  startStubUpstream,
+  tempDir
+};
@@ -0,0 +1,39 @@
+// health.test.js - Circuit breakers for the real 2K servers (lib/health.js)
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { CircuitBreaker, STATES } = require('../lib/health');
+
+function openBreaker() {
+  const breaker = new CircuitBreaker({ failureThreshold: 1, cooldown: 1000 });
+  breaker.failure('ECONNREFUSED');
+  breaker.openedAt -= 1000;
+  return breaker;
+}
+
+describe('CircuitBreaker', () => {
+  it('lets one trial through after the cooldown and closes when it succeeds', () => {
+    const breaker = openBreaker();
+    assert.equal(breaker.allow(), true);
+    assert.equal(breaker.state, STATES.HALF_OPEN);
+    assert.equal(breaker.allow(), false);
+    breaker.success();
+    assert.equal(breaker.state, STATES.CLOSED);
+  });
+
+  it('frees the trial when it is abandoned', () => {
+    const breaker = openBreaker();
+    assert.equal(breaker.allow(), true);
+    breaker.abandon();
+    assert.equal(breaker.allow(), true);
+    assert.equal(breaker.state, STATES.HALF_OPEN);
+  });
+
+  it('lets another trial through when one never reports back', () => {
+    const breaker = openBreaker();
+    assert.equal(breaker.allow(), true);
+    assert.equal(breaker.allow(), false);
+    breaker.trialStartedAt -= 1000;
+    assert.equal(breaker.allow(), true);
+  });
+});
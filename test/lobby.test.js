@@ -0,0 +1,123 @@
+// lobby.test.js - Lobby and matchmaking rules (lib/lobby.js)
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { LOBBY_STATES, LobbyManager } = require('../lib/lobby');
+
+function player(name, port = 3074) {
+  return { userId: `id-${name}`, username: name, address: { ip: `10.0.0.${name.length}`, port } };
+}
+
+const alice = player('alice');
+const bob = player('bob', 3075);
+const carol = player('carol');
+
+let lobbies;
+
+beforeEach(() => {
+  lobbies = new LobbyManager({ playerTimeout: 30, idleTimeout: 600 });
+});
+
+afterEach(() => lobbies.close());
+
+describe('joining and leaving', () => {
+  it('fills a head-to-head lobby with two players', () => {
+    const { lobby } = lobbies.create(alice);
+    assert.equal(lobbies.join(lobby.lobbyId, bob).lobby, lobby);
+    assert.equal(lobbies.join(lobby.lobbyId, carol).error, 'LOBBY_FULL');
+    assert.deepEqual(lobbies.list(), []);
+  });
+
+  it('needs the join code for a private lobby', () => {
+    const { lobby } = lobbies.create(alice, { private: true, maxPlayers: 4 });
+    assert.match(lobby.code, /^\d{6}$/);
+    const wrongCode = lobby.code === '000000' ? '000001' : '000000';
+    assert.equal(lobbies.join(lobby.lobbyId, bob, wrongCode).error, 'LOBBY_CODE_INVALID');
+    assert.ok(lobbies.join(lobby.lobbyId, bob, lobby.code).lobby);
+    assert.equal(lobbies.view(lobby, carol.userId).code, undefined);
+  });
+
+  it('hands the lobby to the next player when the host leaves, and closes it when empty', () => {
+    const { lobby } = lobbies.create(alice, { maxPlayers: 3 });
+    lobbies.join(lobby.lobbyId, bob);
+    lobbies.leave(lobby.lobbyId, alice.userId);
+    assert.equal(lobby.hostId, bob.userId);
+
+    lobbies.leave(lobby.lobbyId, bob.userId);
+    assert.equal(lobbies.get(lobby.lobbyId).error, 'LOBBY_NOT_FOUND');
+  });
+
+  it('keeps a player in one lobby at a time', () => {
+    const first = lobbies.create(alice, { maxPlayers: 3 }).lobby;
+    lobbies.join(first.lobbyId, bob);
+    const second = lobbies.create(bob).lobby;
+    assert.deepEqual(first.players.map(p => p.userId), [alice.userId]);
+    assert.equal(lobbies.current(bob.userId).lobby, second);
+  });
+
+  it('matchmakes into the oldest open lobby for the mode', () => {
+    const open = lobbies.create(alice).lobby;
+    lobbies.create(carol, { mode: 'blacktop' });
+    assert.equal(lobbies.matchmake(bob).lobby, open);
+    assert.equal(lobbies.matchmake(player('dave')).lobby.hostId, 'id-dave');
+  });
+});
+
+describe('starting a match', () => {
+  it('starts once everyone is ready and hands out peer addresses', () => {
+    const { lobby } = lobbies.create(alice);
+    assert.equal(lobbies.start(lobby.lobbyId, alice.userId).error, 'NOT_ENOUGH_PLAYERS');
+    lobbies.join(lobby.lobbyId, bob);
+    lobbies.setReady(lobby.lobbyId, alice.userId, true);
+    assert.equal(lobbies.start(lobby.lobbyId, alice.userId).error, 'PLAYERS_NOT_READY');
+    lobbies.setReady(lobby.lobbyId, bob.userId, true);
+    assert.equal(lobbies.start(lobby.lobbyId, bob.userId).error, 'NOT_LOBBY_HOST');
+
+    assert.ok(lobbies.start(lobby.lobbyId, alice.userId).lobby);
+    assert.equal(lobby.state, LOBBY_STATES.IN_GAME);
+    assert.deepEqual(lobby.match.host, { userId: alice.userId, ...alice.address });
+    assert.deepEqual(lobby.match.peers.map(peer => peer.port), [3074, 3075]);
+    assert.equal(lobbies.view(lobby, bob.userId).match, lobby.match);
+    assert.equal(lobbies.view(lobby, carol.userId).match, null);
+  });
+
+  it('returns to the lobby, unready, when the match ends', () => {
+    const { lobby } = lobbies.create(alice);
+    lobbies.join(lobby.lobbyId, bob);
+    lobbies.setReady(lobby.lobbyId, alice.userId, true);
+    lobbies.setReady(lobby.lobbyId, bob.userId, true);
+    lobbies.start(lobby.lobbyId, alice.userId);
+    assert.equal(lobbies.join(lobby.lobbyId, carol).error, 'LOBBY_IN_GAME');
+
+    lobbies.end(lobby.lobbyId, bob.userId);
+    assert.equal(lobby.state, LOBBY_STATES.WAITING);
+    assert.equal(lobby.match, null);
+    assert.ok(lobby.players.every(p => !p.ready));
+  });
+});
+
+describe('timeouts', () => {
+  it('drops players who stop polling and closes the lobby once empty', () => {
+    const { lobby } = lobbies.create(alice);
+    lobbies.join(lobby.lobbyId, bob);
+    const later = Date.now() + 31 * 1000;
+    lobbies.member(lobby, alice.userId).lastSeen = later;
+
+    lobbies.prune(later);
+    assert.deepEqual(lobby.players.map(p => p.userId), [alice.userId]);
+    lobbies.prune(later + 31 * 1000);
+    assert.equal(lobbies.get(lobby.lobbyId).error, 'LOBBY_NOT_FOUND');
+    assert.equal(lobbies.current(alice.userId).error, 'NOT_IN_LOBBY');
+  });
+
+  it('leaves players alone while their match is on', () => {
+    const { lobby } = lobbies.create(alice);
+    lobbies.join(lobby.lobbyId, bob);
+    lobbies.setReady(lobby.lobbyId, alice.userId, true);
+    lobbies.setReady(lobby.lobbyId, bob.userId, true);
+    lobbies.start(lobby.lobbyId, alice.userId);
+
+    lobbies.prune(Date.now() + 60 * 60 * 1000);
+    assert.equal(lobby.players.length, 2);
+  });
+});
@@ -0,0 +1,307 @@
+// proxy.test.js - End-to-end tests for server.js
+// Runs offline: the real 2K servers are a local stub, the game is a fake client (see harness.js)
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const harness = require('./harness');
+
+const IDLE_TIMEOUT = 1000;
+
+let dir;
+let ca;
+let upstream;
+let plain;
+let local;
+let proxy; // Passthrough, no fallback, with rules
+let fallbackProxy; // Passthrough with FALLBACK_TO_LOCAL, 2K traffic only
+let closedPort; // Nothing listens here: a dead 2K server or web host
+
+before(async () => {
+  dir = harness.tempDir();
+  ca = await harness.createCA(dir);
+  upstream = await harness.startStubUpstream();
+  plain = await harness.startPlainServer();
+  local = await harness.startLocalServer(dir);
+
+  closedPort = await harness.freePort();
+
+  const rulesFile = path.join(dir, 'rules.json');
+  fs.writeFileSync(rulesFile, JSON.stringify({
+    rules: [
+      {
+        name: 'tag-requests',
+        phase: 'request',
+        match: { host: 'api.2ksports.com' },
+        actions: [{ type: 'setHeader', name: 'X-Test-Rule', value: '{{method}} {{path}}' }]
+      },
+      {
+        name: 'more-vc',
+        phase: 'response',
+        match: { path: '/vc', json: [{ path: '$.vc', lt: 10000 }] },
+        actions: [{ type: 'jsonPatch', patch: [{ op: 'replace', path: '/vc', value: 10000 }] }]
+      },
+      {
+        name: 'tag-second-console',
+        phase: 'request',
+        match: { client: 'console-b' },
+        actions: [{ type: 'setHeader', name: 'X-Test-Client', value: '{{client}}' }]
+      },
+      {
+        name: 'teapot',
+        phase: 'response',
+        match: { path: '/teapot' },
+        actions: [{ type: 'status', code: 418 }]
+      }
+    ]
+  }));
+
+  const config = {
+    MODE: 'passthrough',
+    IDLE_TIMEOUT,
+    MAX_REQUEST_BODY: 64 * 1024,
+    ENABLE_HEALTH_CHECKS: false,
+    SERVER_ENDPOINTS: {
+      'api.2ksports.com': { host: '127.0.0.1', port: upstream.port, protocol: 'https' },
+      'services.2ksports.com': { host: '127.0.0.1', port: closedPort, protocol: 'https' }
+    }
+  };
+  proxy = await harness.startProxy(dir, {
+    ...config,
+    RULES_FILE: rulesFile,
+    FALLBACK_TO_LOCAL: false,
+    CLIENTS: [
+      { id: 'console-b', match: { device: 'console-b' } },
+      { id: 'console-c', match: { device: 'console-c' }, mode: 'local' }
+    ]
+  });
+  fallbackProxy = await harness.startProxy(dir, { ...config, FALLBACK_TO_LOCAL: true, ALLOW_OTHER_TRAFFIC: false });
+});
+
+after(async () => {
+  await Promise.all([proxy, fallbackProxy, local].filter(Boolean).map(child => child.stop()));
+  await Promise.all([upstream, plain].filter(Boolean).map(server => server.close()));
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+describe('interception of INTERCEPT_DOMAINS', () => {
+  it('forwards plain HTTP for a 2K host to its SERVER_ENDPOINTS server', async () => {
+    const res = await harness.request(proxy, {
+      url: 'http://api.2ksports.com/user/profile?id=7',
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: '{"name":"tester"}'
+    });
+    assert.equal(res.statusCode, 200);
+    const echoed = JSON.parse(res.body);
+    assert.equal(echoed.upstream, 'stub');
+    assert.equal(echoed.method, 'POST');
+    assert.equal(echoed.url, '/user/profile?id=7');
+    assert.equal(echoed.body, '{"name":"tester"}');
+  });
+
+  it('decrypts HTTPS with a certificate from the local CA', async () => {
+    const res = await harness.httpsRequest(proxy, { host: 'api.2ksports.com', path: '/user/session', ca: ca.cert });
+    assert.equal(res.statusCode, 200);
+    assert.equal(JSON.parse(res.body).url, '/user/session');
+    assert.match(res.certificate.subjectaltname, /DNS:api\.2ksports\.com/);
+  });
+
+  it('answers 502 when the 2K server is unreachable and fallback is off', async () => {
+    const res = await harness.request(proxy, { url: 'http://services.2ksports.com/status' });
+    assert.equal(res.statusCode, 502);
+  });
+
+  it('matches a mixed-case Host header to its SERVER_ENDPOINTS entry', async () => {
+    const res = await harness.request(proxy, { url: '/status', headers: { Host: 'API.2KSports.com' } });
+    assert.equal(res.statusCode, 200);
+    assert.equal(JSON.parse(res.body).upstream, 'stub');
+  });
+});
+
+describe('non-2K traffic', () => {
+  it('passes plain HTTP through untouched', async () => {
+    const res = await harness.request(proxy, { url: `http://127.0.0.1:${plain.port}/hello?x=1` });
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.body, 'plain GET /hello?x=1');
+  });
+
+  it('tunnels CONNECT blindly, with the server\'s own certificate', async () => {
+    const res = await harness.httpsRequest(proxy, { host: '127.0.0.1', port: upstream.port, path: '/direct' });
+    assert.equal(res.statusCode, 200);
+    assert.equal(JSON.parse(res.body).url, '/direct');
+    // Rules only apply to intercepted traffic
+    assert.equal(JSON.parse(res.body).headers['x-test-rule'], undefined);
+
+    const bundled = new crypto.X509Certificate(fs.readFileSync(path.join(__dirname, '..', 'nba2k17-ws.2ksports.com.pem')));
+    assert.equal(res.certificate.fingerprint256, bundled.fingerprint256);
+  });
+
+  it('answers 502 for a host that refuses connections', async () => {
+    const res = await harness.request(proxy, { url: `http://127.0.0.1:${closedPort}/` });
+    assert.equal(res.statusCode, 502);
+  });
+});
+
+describe('fallback to the local server', () => {
+  it('sends the request to the local server when the 2K server is unreachable', async () => {
+    const res = await harness.request(fallbackProxy, { url: 'http://services.2ksports.com/news' });
+    assert.equal(res.statusCode, 200);
+    assert.deepEqual(JSON.parse(res.body).items, []);
+  });
+
+  it('passes the local server\'s own errors through', async () => {
+    const res = await harness.request(fallbackProxy, { url: 'http://services.2ksports.com/not/implemented' });
+    assert.equal(res.statusCode, 404);
+    assert.equal(JSON.parse(res.body).error.code, 'NOT_FOUND');
+  });
+});
+
+describe('local server accounts', () => {
+  const login = (body, headers = {}) => harness.request(local, {
+    url: '/user/login', method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: JSON.stringify(body)
+  });
+
+  it('only lets the account\'s own session set a password on a password-less account', async () => {
+    const first = await login({ username: 'no-password' });
+    assert.equal(first.statusCode, 200);
+
+    const stranger = await login({ username: 'no-password', password: 'hijack' });
+    assert.equal(stranger.statusCode, 403);
+    assert.equal(JSON.parse(stranger.body).error.code, 'PASSWORD_NOT_SET');
+
+    const owner = await login({ username: 'no-password', password: 'mine' }, { 'X-Session-Token': JSON.parse(first.body).sessionToken });
+    assert.equal(owner.statusCode, 200);
+    assert.equal((await login({ username: 'no-password', password: 'hijack' })).statusCode, 401);
+    assert.equal((await login({ username: 'no-password', password: 'mine' })).statusCode, 200);
+  });
+});
+
+describe('access control', () => {
+  it('refuses non-2K requests and tunnels with ALLOW_OTHER_TRAFFIC off', async () => {
+    const res = await harness.request(fallbackProxy, { url: `http://127.0.0.1:${plain.port}/hello` });
+    assert.equal(res.statusCode, 403);
+    await assert.rejects(harness.connectTunnel(fallbackProxy, '127.0.0.1', upstream.port), /answered 403/);
+
+    const metrics = await harness.request(fallbackProxy, { url: `http://127.0.0.1:${fallbackProxy.port}/metrics` });
+    assert.match(metrics.body, /proxy_denied_total\{reason="other-traffic"\} 2/);
+  });
+
+  it('does not take a lookalike of a 2K host for one', async () => {
+    const res = await harness.request(fallbackProxy, { url: 'http://api.2ksports.com.example.net/news' });
+    assert.equal(res.statusCode, 403);
+    await assert.rejects(harness.connectTunnel(fallbackProxy, 'api.2ksports.com.example.net', 443), /answered 403/);
+
+    // A real subdomain is still 2K traffic; this one has no SERVER_ENDPOINTS entry
+    const subdomain = await harness.request(fallbackProxy, { url: 'http://cdn.services.2ksports.com/news' });
+    assert.equal(subdomain.statusCode, 502);
+    assert.match(subdomain.body, /Unknown 2K server/);
+  });
+
+  it('does not register refused requests as clients', async () => {
+    const res = await harness.request(fallbackProxy, { url: `http://127.0.0.1:${plain.port}/hello`, headers: { 'X-2K-Device-Id': 'refused-console' } });
+    assert.equal(res.statusCode, 403);
+
+    const list = await harness.request(fallbackProxy, { url: `http://127.0.0.1:${fallbackProxy.port}/__proxy/clients` });
+    assert.ok(!JSON.parse(list.body).clients.some(client => client.id === 'refused-console'));
+  });
+});
+
+describe('request bodies', () => {
+  const large = 'x'.repeat(100 * 1024);
+
+  it('streams a body nothing needs, whatever its size', async () => {
+    const res = await harness.request(proxy, { url: 'http://api.2ksports.com/upload', method: 'POST', body: large });
+    assert.equal(res.statusCode, 200);
+    const echoed = JSON.parse(res.body);
+    assert.equal(echoed.body.length, large.length);
+    assert.equal(echoed.headers['x-test-rule'], 'POST /upload');
+  });
+
+  it('answers 413 when a body that must be buffered is over MAX_REQUEST_BODY', async () => {
+    // With FALLBACK_TO_LOCAL the body may have to be sent twice, so it is buffered
+    const res = await harness.request(fallbackProxy, { url: 'http://api.2ksports.com/upload', method: 'POST', body: large });
+    assert.equal(res.statusCode, 413);
+
+    const chunked = await harness.request(fallbackProxy, {
+      url: 'http://api.2ksports.com/upload',
+      method: 'POST',
+      headers: { 'Transfer-Encoding': 'chunked' },
+      body: large
+    });
+    assert.equal(chunked.statusCode, 413);
+
+    const small = await harness.request(fallbackProxy, { url: 'http://api.2ksports.com/upload', method: 'POST', body: 'ok' });
+    assert.equal(JSON.parse(small.body).body, 'ok');
+  });
+});
+
+describe('several clients on one proxy', () => {
+  it('applies rules only to the client they match', async () => {
+    const tagged = await harness.request(proxy, { url: 'http://api.2ksports.com/echo', headers: { 'X-2K-Device-Id': 'console-b' } });
+    assert.equal(JSON.parse(tagged.body).headers['x-test-client'], 'console-b');
+
+    const other = await harness.request(proxy, { url: 'http://api.2ksports.com/echo' });
+    assert.equal(JSON.parse(other.body).headers['x-test-client'], undefined);
+  });
+
+  it('routes a client by its own profile', async () => {
+    const local = await harness.request(proxy, { url: 'http://api.2ksports.com/news', headers: { 'X-2K-Device-Id': 'console-c' } });
+    assert.deepEqual(JSON.parse(local.body).items, []);
+
+    const res = await harness.request(proxy, { url: `http://127.0.0.1:${proxy.port}/__proxy/clients` });
+    const client = JSON.parse(res.body).clients.find(candidate => candidate.id === 'console-c');
+    assert.equal(client.profile, 'console-c');
+    assert.equal(client.mode, 'local');
+    assert.equal(client.requests, 1);
+  });
+
+  it('sends any 2ksports.com host to the local server in local mode', async () => {
+    const res = await harness.request(proxy, { url: 'http://www.2ksports.com/news', headers: { 'X-2K-Device-Id': 'console-c' } });
+    assert.equal(res.statusCode, 200);
+    assert.deepEqual(JSON.parse(res.body).items, []);
+  });
+});
+
+describe('timeouts', () => {
+  it('answers 504 when the 2K server goes quiet for IDLE_TIMEOUT', async () => {
+    const startedAt = Date.now();
+    const res = await harness.request(proxy, { url: 'http://api.2ksports.com/slow' });
+    assert.equal(res.statusCode, 504);
+    assert.ok(Date.now() - startedAt < IDLE_TIMEOUT * 5, 'took far longer than IDLE_TIMEOUT');
+  });
+
+  it('falls back to the local server after a timeout when fallback is on', async () => {
+    const res = await harness.request(fallbackProxy, { url: 'http://api.2ksports.com/slow' });
+    assert.equal(res.statusCode, 404);
+    assert.equal(JSON.parse(res.body).error.code, 'NOT_FOUND');
+  });
+});
+
+describe('request and response modification', () => {
+  it('applies request rules before forwarding', async () => {
+    const res = await harness.request(proxy, { url: 'http://api.2ksports.com/echo' });
+    assert.equal(JSON.parse(res.body).headers['x-test-rule'], 'GET /echo');
+  });
+
+  it('patches JSON responses over intercepted HTTPS', async () => {
+    const res = await harness.httpsRequest(proxy, { host: 'api.2ksports.com', path: '/vc', ca: ca.cert });
+    assert.equal(res.statusCode, 200);
+    assert.deepEqual(JSON.parse(res.body), { vc: 10000 });
+    assert.equal(res.headers['content-length'], String(Buffer.byteLength(res.body)));
+  });
+
+  it('changes response status codes', async () => {
+    const res = await harness.request(proxy, { url: 'http://api.2ksports.com/teapot' });
+    assert.equal(res.statusCode, 418);
+  });
+
+  it('leaves responses alone without rules', async () => {
+    const res = await harness.request(fallbackProxy, { url: 'http://api.2ksports.com/vc' });
+    assert.deepEqual(JSON.parse(res.body), { vc: 5 });
+  });
+});
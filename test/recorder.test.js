@@ -0,0 +1,37 @@
+// recorder.test.js - JSONL and HAR capture files (lib/recorder.js)
+
+const { describe, it, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const { TrafficRecorder, loadCapture } = require('../lib/recorder');
+const { tempDir } = require('./harness');
+
+const dir = tempDir();
+
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+function exchange(recorder, i) {
+  const req = { method: 'GET', httpVersion: '1.1', headers: { host: 'api.2ksports.com' } };
+  const started = recorder.begin(`req-${i}`, req, `https://api.2ksports.com/news?page=${i}`, 'api.2ksports.com', null);
+  const res = { statusCode: 200, statusMessage: 'OK', httpVersion: '1.1', headers: { 'content-type': 'application/json' } };
+  recorder.record(started, res, Buffer.from(JSON.stringify({ page: i })));
+}
+
+describe('TrafficRecorder', () => {
+  it('appends HAR entries in batches without holding the session in memory', async () => {
+    const recorder = new TrafficRecorder(dir, 'batches');
+    assert.deepEqual(loadCapture(recorder.harPath), []);
+
+    for (let i = 0; i < 3; i++) exchange(recorder, i);
+    await recorder.flushHar();
+    assert.equal(recorder.pending.length, 0);
+    assert.deepEqual(loadCapture(recorder.harPath).map(record => record.requestId), ['req-0', 'req-1', 'req-2']);
+
+    exchange(recorder, 3);
+    await recorder.close();
+    const har = loadCapture(recorder.harPath);
+    assert.equal(har.length, 4);
+    assert.equal(har[3].response.body, '{"page":3}');
+    assert.deepEqual(loadCapture(recorder.jsonlPath).map(record => record.requestId), har.map(record => record.requestId));
+  });
+});
@@ -0,0 +1,92 @@
+// store.test.js - Persistent player data for the local server (lib/store.js)
+
+const { describe, it, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { PlayerStore } = require('../lib/store');
+const { tempDir } = require('./harness');
+
+const opened = [];
+
+function open() {
+  const store = new PlayerStore(tempDir()).load();
+  opened.push(store);
+  return { store, account: store.getOrCreateAccount('mamba') };
+}
+
+after(() => {
+  for (const store of opened) {
+    store.flush();
+    fs.rmSync(store.dataDir, { recursive: true, force: true });
+  }
+});
+
+describe('updates from request bodies', () => {
+  it('only takes known MyPlayer fields and attributes', () => {
+    const { store, account } = open();
+    const body = JSON.parse('{"name":"Kobe","overall":99,"vc":1000000,"attributes":{"shooting":95,"__proto__":{"admin":true},"cheat":1},"__proto__":{"admin":true}}');
+    const myPlayer = store.updateMyPlayer(account.userId, body);
+
+    assert.equal(myPlayer.name, 'Kobe');
+    assert.equal(myPlayer.overall, 99);
+    assert.equal(myPlayer.attributes.shooting, 95);
+    assert.deepEqual(Object.keys(myPlayer), ['name', 'position', 'overall', 'attributes']);
+    assert.equal(Object.keys(myPlayer.attributes).includes('cheat'), false);
+    assert.equal(Object.getPrototypeOf(myPlayer), Object.prototype);
+    assert.equal(Object.getPrototypeOf(myPlayer.attributes), Object.prototype);
+    assert.equal(account.vc, 0);
+  });
+
+  it('keeps settings off the prototype', () => {
+    const { store, account } = open();
+    const settings = store.updateSettings(account.userId, JSON.parse('{"difficulty":"hof","__proto__":{"admin":true},"constructor":1}'));
+    assert.deepEqual(settings, { difficulty: 'hof' });
+    assert.equal(Object.getPrototypeOf(settings), Object.prototype);
+  });
+
+  it('rejects bodies that are not objects', () => {
+    const { store, account } = open();
+    assert.throws(() => store.updateSettings(account.userId, 'abc'), /Settings must be a JSON object/);
+    assert.throws(() => store.updateSettings(account.userId, ['a']), /Settings must be a JSON object/);
+    assert.throws(() => store.updateMyPlayer(account.userId, { attributes: 'abc' }), /MyPlayer attributes must be a JSON object/);
+    assert.deepEqual(account.settings, {});
+  });
+});
+
+describe('cloud saves', () => {
+  it('does not mistake Object.prototype names for slots', () => {
+    const { store, account } = open();
+    assert.equal(store.readSave(account.userId, 'constructor'), null);
+    assert.equal(store.deleteSave(account.userId, 'toString'), false);
+    assert.equal(PlayerStore.isValidSlot('__proto__'), false);
+    assert.throws(() => store.writeSave(account.userId, '__proto__', Buffer.from('x')), /Invalid save slot/);
+
+    store.writeSave(account.userId, 'career_1', Buffer.from('save'));
+    assert.equal(store.readSave(account.userId, 'career_1').toString(), 'save');
+  });
+});
+
+describe('accounts', () => {
+  it('does not take Object.prototype names for account IDs', () => {
+    const { store } = open();
+    assert.equal(store.getAccount('constructor'), null);
+    assert.equal(store.getAccount('__proto__'), null);
+    assert.throws(() => store.listSaves('toString'), /Unknown account toString/);
+  });
+
+  it('refuses an import whose user IDs or slots are not its own format', () => {
+    const { store, account } = open();
+    const valid = store.exportData(account.userId);
+    for (const userId of ['../../x', '__proto__', 'constructor', 'ABCDEF0123456789', 42]) {
+      const dump = { ...valid, accounts: [{ ...valid.accounts[0], userId }] };
+      assert.throws(() => store.importData(dump, { overwrite: true }), /invalid userId/, String(userId));
+    }
+    const badSlot = { ...valid, accounts: [{ ...valid.accounts[0], saves: { '../evil': { data: 'eA==' } } }] };
+    assert.throws(() => store.importData(badSlot, { overwrite: true }), /invalid save slot "\.\.\/evil"/);
+    assert.equal(fs.existsSync(path.join(store.dataDir, 'x')), false);
+    assert.deepEqual(Object.keys(store.data.accounts), [account.userId]);
+
+    assert.deepEqual(store.importData(valid, { overwrite: true }).imported, [account.userId]);
+  });
+});
@@ -0,0 +1,48 @@
+// transparent.test.js - Reading the SNI hostname from a ClientHello (lib/transparent.js)
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const net = require('net');
+const tls = require('tls');
+const { parseSni } = require('../lib/transparent');
+
+// The first bytes a TLS client sends for servername
+function captureClientHello(servername) {
+  return new Promise((resolve) => {
+    const server = net.createServer((socket) => {
+      socket.once('data', (hello) => {
+        socket.destroy();
+        server.close();
+        resolve(hello);
+      });
+    });
+    server.listen(0, '127.0.0.1', () => {
+      tls.connect({ port: server.address().port, host: '127.0.0.1', servername }).on('error', () => {});
+    });
+  });
+}
+
+// A ClientHello record of recordLength bytes, zero-filled apart from the given bytes
+function craftedHello(recordLength, bytes) {
+  const buffer = Buffer.alloc(5 + recordLength);
+  buffer.set([0x16, 0x03, 0x01]);
+  buffer.writeUInt16BE(recordLength, 3);
+  buffer[5] = 0x01;
+  for (const [index, value] of Object.entries(bytes)) buffer[index] = value;
+  return buffer;
+}
+
+describe('parseSni', () => {
+  it('reads the hostname from a real ClientHello', async () => {
+    const hello = await captureClientHello('API.2ksports.com');
+    assert.equal(parseSni(hello), 'api.2ksports.com');
+    assert.equal(parseSni(hello.subarray(0, 20)), undefined);
+  });
+
+  it('returns null for lengths that run past the record instead of throwing', () => {
+    assert.equal(parseSni(craftedHello(45, { 43: 0xff })), null); // Session ID longer than the record
+    assert.equal(parseSni(craftedHello(45, { 44: 0xff, 45: 0xff })), null); // Cipher suites likewise
+    // Extensions claiming more than is there, with a server_name entry cut short
+    assert.equal(parseSni(craftedHello(56, { 48: 0xff, 52: 0x20, 57: 0x40 })), null);
+  });
+});